@@ -0,0 +1,116 @@
+/**
+ * NAICS ↔ UNSPSC crosswalk: curated codes checked against the code set, imported tables and inferred suggestions
+ */
+
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { NAICSUNSPSCCrosswalk, LOW_CONFIDENCE_THRESHOLD } from '../crosswalk'
+import { UNSPSCParser } from '../unspsc-parser'
+import { loadServices } from '../services-data'
+import type { NAICSIndustry } from '../naics-parser'
+
+const CODES = {
+  '80000000': 'Management and Business Professionals and Administrative Services',
+  '80120000': 'Legal services',
+  '80121600': 'Business law services',
+  '90000000': 'Travel and Food and Lodging and Entertainment Services',
+  '90101500': 'Eating and drinking establishments',
+  '90101501': 'Restaurants'
+}
+
+const [lawyers] = loadServices().filter(record => record.naics.code === '541110')
+
+const industry = (code: string, title: string): NAICSIndustry => ({
+  code,
+  title,
+  sector: { code: code.substring(0, 2), name: 'Sector' }
+})
+
+describe('curated mappings', () => {
+  it('keep full confidence when the code set lists the code', () => {
+    const crosswalk = new NAICSUNSPSCCrosswalk(new UNSPSCParser(CODES), [lawyers])
+
+    expect(crosswalk.getMappings('541110')).toEqual([{ naics: '541110', unspsc: '80120000', confidence: 1, source: 'manual' }])
+    expect(crosswalk.resolve(industry('541110', 'Offices of Lawyers'))?.unspsc).toBe('80120000')
+  })
+
+  it('are low-confidence and ranked last when the code set does not list the code', () => {
+    const crosswalk = new NAICSUNSPSCCrosswalk(new UNSPSCParser(CODES), [{ ...lawyers, unspsc: '80121500' }])
+    crosswalk.addMapping({ naics: '541110', unspsc: '80121600', confidence: 0.8, source: 'imported' })
+
+    const [imported, curated] = crosswalk.getMappings('541110')
+    expect(imported).toEqual({ naics: '541110', unspsc: '80121600', confidence: 0.8, source: 'imported' })
+    expect(curated).toMatchObject({ unspsc: '80121500', source: 'manual' })
+    expect(curated.confidence).toBeLessThan(LOW_CONFIDENCE_THRESHOLD)
+    expect(crosswalk.isLowConfidence(curated)).toBe(true)
+  })
+
+  it('are checked against the code set loaded after them', async () => {
+    const unspsc = new UNSPSCParser({ '80000000': CODES['80000000'] })
+    const crosswalk = new NAICSUNSPSCCrosswalk(unspsc, [lawyers])
+    expect(crosswalk.isLowConfidence(crosswalk.getMappings('541110')[0])).toBe(true)
+
+    const directory = mkdtempSync(join(tmpdir(), 'unspsc-'))
+    try {
+      writeFileSync(join(directory, 'codes.csv'), `Code,Title\n80000000,Management\n80120000,Legal services\n`)
+      await unspsc.loadFromFile(join(directory, 'codes.csv'))
+    } finally {
+      rmSync(directory, { recursive: true, force: true })
+    }
+    expect(crosswalk.getMappings('541110')[0].confidence).toBe(1)
+  })
+})
+
+describe('loadFromFile', () => {
+  let directory: string
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'crosswalk-'))
+  })
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true })
+  })
+
+  it('reads codes, clamps confidence and skips rows without full codes', async () => {
+    const file = join(directory, 'mappings.csv')
+    writeFileSync(file, [
+      'NAICS Code,UNSPSC Code,Confidence',
+      '722511,9010-1501,1.5',
+      '722513,90101500,',
+      '72251,90101501,0.9',
+      '722515,901015,0.9'
+    ].join('\n'))
+
+    const crosswalk = new NAICSUNSPSCCrosswalk(new UNSPSCParser(CODES), [])
+    await crosswalk.loadFromFile(file)
+
+    expect(crosswalk.getMappings('722511')).toEqual([{ naics: '722511', unspsc: '90101501', confidence: 1, source: 'imported' }])
+    expect(crosswalk.getMappings('722513')).toEqual([{ naics: '722513', unspsc: '90101500', confidence: 0.8, source: 'imported' }])
+    expect(crosswalk.getMappings('72251')).toEqual([])
+    expect(crosswalk.getMappings('722515')).toEqual([])
+  })
+
+  it('throws without naics and unspsc columns', async () => {
+    const file = join(directory, 'mappings.csv')
+    writeFileSync(file, 'Code,Title\n722511,Restaurants\n')
+
+    await expect(new NAICSUNSPSCCrosswalk(new UNSPSCParser(CODES), []).loadFromFile(file))
+      .rejects.toThrow('must have naics and unspsc columns')
+  })
+})
+
+describe('suggest', () => {
+  const crosswalk = new NAICSUNSPSCCrosswalk(new UNSPSCParser(CODES), [])
+
+  it('infers codes from title similarity, best first', () => {
+    const [best] = crosswalk.suggest(industry('722511', 'Full-Service Restaurants'))
+    expect(best).toMatchObject({ naics: '722511', unspsc: '90101501', source: 'inferred' })
+  })
+
+  it('is what resolve falls back to without a recorded mapping', () => {
+    expect(crosswalk.resolve(industry('541110', 'Offices of Lawyers'))).toBeNull()
+    expect(crosswalk.resolve(industry('722511', 'Full-Service Restaurants'))?.unspsc).toBe('90101501')
+  })
+})
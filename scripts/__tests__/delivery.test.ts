@@ -0,0 +1,85 @@
+/**
+ * Delivery methods and default channels, from the NAICS prefix rules in data/delivery.json
+ */
+
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { inferDelivery, loadDeliveryRules, type DeliveryRules } from '../delivery'
+
+const rules: DeliveryRules = {
+  default: { deliveryMethod: 'hybrid', channels: ['web', 'phone', 'location'] },
+  rules: {
+    '54': { deliveryMethod: 'hybrid', channels: ['web', 'phone', 'location'] },
+    '5415': { deliveryMethod: 'remote', channels: ['web', 'phone'] },
+    '541513': { deliveryMethod: 'in-person', channels: ['phone'] }
+  },
+  overrides: { '541511': { deliveryMethod: 'remote', channels: ['web'] } }
+}
+
+describe('inferDelivery', () => {
+  it('applies the rule with the longest matching prefix', () => {
+    expect(inferDelivery('541110', rules)).toEqual({ deliveryMethod: 'hybrid', availableChannel: ['web', 'phone', 'location'] })
+    expect(inferDelivery('541512', rules)).toEqual({ deliveryMethod: 'remote', availableChannel: ['web', 'phone'] })
+    expect(inferDelivery('541513', rules)).toEqual({ deliveryMethod: 'in-person', availableChannel: ['phone'] })
+  })
+
+  it('prefers an override for the full code over every rule', () => {
+    expect(inferDelivery('541511', rules)).toEqual({ deliveryMethod: 'remote', availableChannel: ['web'] })
+  })
+
+  it('falls back to the default outside every rule', () => {
+    expect(inferDelivery('111110', rules)).toEqual({ deliveryMethod: 'hybrid', availableChannel: ['web', 'phone', 'location'] })
+  })
+
+  it('returns a copy of the channels the rules hold', () => {
+    inferDelivery('541512', rules).availableChannel.push('location')
+
+    expect(rules.rules!['5415'].channels).toEqual(['web', 'phone'])
+  })
+
+  it.each([
+    ['541511', 'remote', ['web', 'phone']],
+    ['541110', 'hybrid', ['web', 'phone', 'location']],
+    ['611110', 'in-person', ['web', 'phone', 'location']],
+    ['621210', 'in-person', ['web', 'phone', 'location']],
+    ['722511', 'in-person', ['phone', 'location']],
+    ['562111', 'in-person', ['phone']]
+  ])('maps %s to %s delivery through data/delivery.json', (code, deliveryMethod, availableChannel) => {
+    expect(inferDelivery(code)).toEqual({ deliveryMethod, availableChannel })
+  })
+})
+
+describe('loadDeliveryRules', () => {
+  let dir: string
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'delivery-'))
+  })
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  const write = (content: unknown) => {
+    const file = join(dir, 'delivery.json')
+    writeFileSync(file, JSON.stringify(content))
+    return file
+  }
+
+  it('reads rules that name known methods and channels', () => {
+    expect(loadDeliveryRules(write(rules))).toEqual(rules)
+  })
+
+  it('rejects an unknown delivery method, naming the entry', () => {
+    const file = write({ ...rules, overrides: { '541511': { deliveryMethod: 'online', channels: ['web'] } } })
+
+    expect(() => loadDeliveryRules(file)).toThrow(`${file}: 541511 has unknown deliveryMethod "online"`)
+  })
+
+  it('rejects unknown channels, naming the entry', () => {
+    const file = write({ ...rules, default: { deliveryMethod: 'hybrid', channels: ['web', 'email', 'fax'] } })
+
+    expect(() => loadDeliveryRules(file)).toThrow(`${file}: default has unknown channels email, fax`)
+  })
+})
@@ -0,0 +1,86 @@
+/**
+ * Digital scores: the weighted signals behind them and the levels they fall in
+ */
+
+import { digitalLevel, loadDigitalModel, scoreDigital, type DigitalModel } from '../digital-score'
+
+const model: DigitalModel = {
+  weights: { default: 1, sector: 1, subsector: 2 },
+  default: 0.5,
+  sectors: { '54': 0.6 },
+  subsectors: { '541': 0.9 },
+  keywords: [
+    { pattern: 'software|web', fields: ['title'], value: 1, weight: 3 },
+    { pattern: 'remote', fields: ['description'], value: 0.8, weight: 1 }
+  ],
+  overrides: { '541199': { value: 0.2, reason: 'Process serving is done in person' } },
+  levels: [
+    { min: 0.7, label: 'high', description: 'primarily digital/remote delivery' },
+    { min: 0.4, label: 'medium', description: 'hybrid delivery with digital components' },
+    { min: 0, label: 'low', description: 'primarily in-person service delivery' }
+  ]
+}
+
+describe('scoreDigital', () => {
+  it('takes the weighted mean of the sector and subsector priors', () => {
+    expect(scoreDigital({ code: '541110', title: 'Offices of Lawyers' }, { model })).toEqual({
+      score: 0.8,
+      signals: [
+        { source: 'sector:54', value: 0.6, weight: 1 },
+        { source: 'subsector:541', value: 0.9, weight: 2 }
+      ]
+    })
+  })
+
+  it('adds a signal for each keyword rule matching a whole word in its fields', () => {
+    const { score, signals } = scoreDigital({
+      code: '541511',
+      title: 'Custom Software Programming',
+      description: 'Often delivered remote.'
+    }, { model })
+
+    expect(signals.map(signal => signal.source)).toEqual(['sector:54', 'subsector:541', 'keyword:software (title)', 'keyword:remote (description)'])
+    expect(score).toBe(0.89)
+    expect(scoreDigital({ code: '541511', title: 'Webinar Production' }, { model }).signals).toHaveLength(2)
+  })
+
+  it('falls back to the default for codes outside every sector', () => {
+    expect(scoreDigital({ code: '111110', title: 'Soybean Farming' }, { model })).toEqual({
+      score: 0.5,
+      signals: [{ source: 'default', value: 0.5, weight: 1 }]
+    })
+  })
+
+  it('lets a configured override, then a curated value, replace the model', () => {
+    expect(scoreDigital({ code: '541199', title: 'All Other Legal Services' }, { model })).toEqual({
+      score: 0.2,
+      signals: [{ source: 'override:541199', value: 0.2, reason: 'Process serving is done in person' }]
+    })
+    expect(scoreDigital({ code: '541199', title: 'All Other Legal Services' }, { model, override: 0.65 })).toEqual({
+      score: 0.65,
+      signals: [{ source: 'curated', value: 0.65 }]
+    })
+  })
+
+  it('scores with data/digital-score.json by default', () => {
+    expect(scoreDigital({ code: '541511', title: 'Custom Computer Programming Services' }).score).toBe(0.85)
+    expect(scoreDigital({ code: '722511', title: 'Full-Service Restaurants' }).score).toBe(0.2)
+  })
+})
+
+describe('digitalLevel', () => {
+  it.each([
+    [1, 'high'],
+    [0.7, 'high'],
+    [0.69, 'medium'],
+    [0.4, 'medium'],
+    [0.39, 'low'],
+    [0, 'low']
+  ])('puts %d at the %s level', (score, label) => {
+    expect(digitalLevel(score, model).label).toBe(label)
+  })
+
+  it('uses the levels of the default model', () => {
+    expect(digitalLevel(0.85)).toEqual(loadDigitalModel().levels[0])
+  })
+})
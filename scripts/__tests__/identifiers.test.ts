@@ -0,0 +1,120 @@
+/**
+ * Type names, slugs and $ids derived from NAICS titles, and the aliases that pin them
+ */
+
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { buildIdentifiers, identify, loadAliases, toSlug, toTypeName, toVariableName } from '../identifiers'
+
+describe('identifier names', () => {
+  it.each([
+    ['Offices of Lawyers', 'OfficesOfLawyers', 'offices-of-lawyers'],
+    ['Full-Service Restaurants', 'FullServiceRestaurants', 'full-service-restaurants'],
+    ['Offices of Physicians (except Mental Health Specialists)', 'OfficesOfPhysicians', 'offices-of-physicians'],
+    ['Barber Shops & Beauty Salons', 'BarberShopsAndBeautySalons', 'barber-shops-and-beauty-salons'],
+    ["Women's Clothing Stores", 'WomensClothingStores', 'womens-clothing-stores'],
+    ['Café Services', 'CafeServices', 'cafe-services']
+  ])('names "%s" %s at /%s', (title, typeName, slug) => {
+    expect(toTypeName(title)).toBe(typeName)
+    expect(toSlug(title)).toBe(slug)
+  })
+
+  it('refuses a title that does not start with a letter', () => {
+    expect(() => toTypeName('3D Printing Services')).toThrow('Cannot derive a type name from "3D Printing Services"')
+  })
+
+  it('lower-cases the first letter for example variables', () => {
+    expect(toVariableName('OfficesOfLawyers')).toBe('officesOfLawyers')
+  })
+})
+
+describe('identify', () => {
+  it('derives the $id and filename from the title', () => {
+    expect(identify('541110', 'Offices of Lawyers')).toEqual({
+      code: '541110',
+      typeName: 'OfficesOfLawyers',
+      slug: 'offices-of-lawyers',
+      $id: 'https://services.org.ai/offices-of-lawyers',
+      filename: 'OfficesOfLawyers.mdx'
+    })
+  })
+
+  it('lets an alias pin the type name, the slug or both', () => {
+    const aliases = { '541110': { slug: 'law-firms' }, '722511': { typeName: 'Restaurants', slug: 'restaurants' } }
+
+    expect(identify('541110', 'Offices of Lawyers', aliases)).toMatchObject({ typeName: 'OfficesOfLawyers', $id: 'https://services.org.ai/law-firms' })
+    expect(identify('722511', 'Full-Service Restaurants', aliases)).toMatchObject({ filename: 'Restaurants.mdx', slug: 'restaurants' })
+  })
+})
+
+describe('buildIdentifiers', () => {
+  it('identifies each code once, keeping the first title', () => {
+    const identifiers = buildIdentifiers([
+      { code: '541110', title: 'Offices of Lawyers' },
+      { code: '541110', title: 'Law Offices' },
+      { code: '722511', title: 'Full-Service Restaurants' }
+    ], {})
+
+    expect(Array.from(identifiers.values()).map(identifier => identifier.typeName)).toEqual(['OfficesOfLawyers', 'FullServiceRestaurants'])
+  })
+
+  it('rejects names that differ only in case, since filenames would clash on macOS and Windows', () => {
+    const entries = [
+      { code: '111111', title: 'Web Hosting' },
+      { code: '222222', title: 'Webhosting' }
+    ]
+
+    expect(() => buildIdentifiers(entries, {})).toThrow([
+      'Identifier collisions (add an alias in data/aliases.json):',
+      '  typeName Webhosting: 111111 "Web Hosting" and 222222 "Webhosting"'
+    ].join('\n'))
+  })
+
+  it('reports every field that collides, including titles equal once qualifiers are dropped', () => {
+    const entries = [
+      { code: '621111', title: 'Offices of Physicians (except Mental Health Specialists)' },
+      { code: '621112', title: 'Offices of Physicians, Mental Health Specialists' },
+      { code: '621113', title: 'Offices of Physicians (Mental Health)' }
+    ]
+
+    expect(() => buildIdentifiers(entries, {})).toThrow(
+      'typeName OfficesOfPhysicians: 621111 "Offices of Physicians (except Mental Health Specialists)" and 621113 "Offices of Physicians (Mental Health)"\n' +
+      '  slug offices-of-physicians: 621111 "Offices of Physicians (except Mental Health Specialists)" and 621113 "Offices of Physicians (Mental Health)"'
+    )
+  })
+
+  it('accepts colliding titles once an alias tells them apart', () => {
+    const entries = [
+      { code: '621111', title: 'Offices of Physicians (except Mental Health Specialists)' },
+      { code: '621113', title: 'Offices of Physicians (Mental Health)' }
+    ]
+    const aliases = { '621113': { typeName: 'OfficesOfPsychiatrists', slug: 'offices-of-psychiatrists' } }
+
+    expect(buildIdentifiers(entries, aliases).get('621113')?.$id).toBe('https://services.org.ai/offices-of-psychiatrists')
+  })
+
+  it('still rejects an alias that claims a name already in use', () => {
+    const entries = [
+      { code: '541110', title: 'Offices of Lawyers' },
+      { code: '541191', title: 'Title Abstract and Settlement Offices' }
+    ]
+
+    expect(() => buildIdentifiers(entries, { '541191': { typeName: 'officesOfLawyers' } })).toThrow('typeName officesOfLawyers: 541110 "Offices of Lawyers" and 541191')
+  })
+})
+
+describe('loadAliases', () => {
+  it('reads the aliases map and treats a missing file as none', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'aliases-'))
+    try {
+      const file = join(dir, 'aliases.json')
+      writeFileSync(file, JSON.stringify({ $comment: 'pins', aliases: { '541110': { slug: 'law-firms' } } }))
+
+      expect(loadAliases(file)).toEqual({ '541110': { slug: 'law-firms' } })
+      expect(loadAliases(join(dir, 'missing.json'))).toEqual({})
+    } finally {
+      rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
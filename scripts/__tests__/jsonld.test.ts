@@ -0,0 +1,32 @@
+/**
+ * The svc: namespace, the same in the runtime markup, the example markup and the RDF targets
+ */
+
+import { JSONLD_CONTEXT as RUNTIME_CONTEXT, toJSONLD } from '../../src/jsonld'
+import { $ } from '../../src'
+import { JSONLD_CONTEXT, exampleJSONLD } from '../jsonld'
+import { loadServices } from '../services-data'
+import { PREFIXES, iri } from '../rdf'
+import { NAICS_NOTATION } from '../rdf-target'
+import { NAICS_SCHEME } from '../skos-target'
+
+describe('svc namespace', () => {
+  it('is the one the RDF targets use as the svc prefix', () => {
+    expect(JSONLD_CONTEXT).toEqual(['https://schema.org', { svc: PREFIXES.svc }])
+    expect(RUNTIME_CONTEXT).toEqual(JSONLD_CONTEXT)
+  })
+
+  it('expands svc: properties into the vocabulary of the notation datatypes', () => {
+    expect(iri('svc:digital')).toBe('https://services.org.ai/vocab#digital')
+    expect(iri('svc:NAICS')).toBe(NAICS_NOTATION)
+  })
+
+  it('links the example and runtime markup to the NAICS concepts of the skos target', () => {
+    const [service] = loadServices()
+    const example = JSON.parse(exampleJSONLD(service))
+    const runtime = toJSONLD($.OfficesOfLawyers.create({ name: 'Example Law Firm' }))
+
+    expect(example.additionalType).toBe(`${NAICS_SCHEME}/${service.naics.code}`)
+    expect(runtime.additionalType).toBe(`${NAICS_SCHEME}/541110`)
+  })
+})
@@ -0,0 +1,94 @@
+/**
+ * Generation manifest syncing
+ */
+
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { GenerationManifest } from '../manifest'
+
+describe('GenerationManifest', () => {
+  let root: string
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'manifest-'))
+  })
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true })
+  })
+
+  it('refuses a path another target already writes, before writing anything', () => {
+    const manifest = new GenerationManifest(root)
+    manifest.sync('ontology', [{ path: 'types/generated/OfficesOfLawyers.mdx', content: 'ontology' }])
+
+    expect(() => manifest.sync('samples', [
+      { path: 'types/samples/OfficesOfDentists.mdx', content: 'samples' },
+      { path: 'types/generated/OfficesOfLawyers.mdx', content: 'samples' }
+    ])).toThrow('Target samples renders types/generated/OfficesOfLawyers.mdx, which target ontology already writes')
+
+    expect(readFileSync(join(root, 'types/generated/OfficesOfLawyers.mdx'), 'utf-8')).toBe('ontology')
+    expect(existsSync(join(root, 'types/samples/OfficesOfDentists.mdx'))).toBe(false)
+  })
+
+  it('removes an orphan before writing its renamed file', () => {
+    const manifest = new GenerationManifest(root)
+    manifest.sync('ontology', [{ path: 'types/generated/OfficesofLawyers.mdx', content: 'before' }])
+
+    const report = manifest.sync('ontology', [{ path: 'types/generated/OfficesOfLawyers.mdx', content: 'after' }])
+
+    expect(report.removed).toEqual(['types/generated/OfficesofLawyers.mdx'])
+    expect(readFileSync(join(root, 'types/generated/OfficesOfLawyers.mdx'), 'utf-8')).toBe('after')
+    expect(manifest.getEntries('ontology')).toEqual({
+      'types/generated/OfficesOfLawyers.mdx': { hash: expect.any(String) }
+    })
+  })
+
+  it('decides what changed from the recorded hashes and the files on disk', () => {
+    const manifest = new GenerationManifest(root)
+    manifest.sync('flat', [
+      { path: 'LegalServices.mdx', content: 'legal' },
+      { path: 'Schools.mdx', content: 'schools' },
+      { path: 'Clinics.mdx', content: 'clinics' },
+      { path: 'Restaurants.mdx', content: 'restaurants' }
+    ])
+
+    // The rendered content matches the recorded hash, but the file was edited by hand
+    writeFileSync(join(root, 'LegalServices.mdx'), 'edited', 'utf-8')
+    rmSync(join(root, 'Schools.mdx'))
+
+    const report = manifest.sync('flat', [
+      { path: 'LegalServices.mdx', content: 'legal' },
+      { path: 'Schools.mdx', content: 'schools' },
+      { path: 'Clinics.mdx', content: 'clinics' },
+      { path: 'Restaurants.mdx', content: 'restaurants, rewritten' }
+    ])
+    expect(report).toMatchObject({
+      unchanged: ['Clinics.mdx'],
+      added: ['Schools.mdx'],
+      changed: ['LegalServices.mdx', 'Restaurants.mdx']
+    })
+    expect(readFileSync(join(root, 'LegalServices.mdx'), 'utf-8')).toBe('legal')
+    expect(readFileSync(join(root, 'Restaurants.mdx'), 'utf-8')).toBe('restaurants, rewritten')
+  })
+
+  it('compares with the file on disk when nothing is recorded', () => {
+    writeFileSync(join(root, 'LegalServices.mdx'), 'legal', 'utf-8')
+    writeFileSync(join(root, 'Schools.mdx'), 'old', 'utf-8')
+
+    const report = new GenerationManifest(root).sync('flat', [
+      { path: 'LegalServices.mdx', content: 'legal' },
+      { path: 'Schools.mdx', content: 'schools' }
+    ])
+    expect(report).toMatchObject({ unchanged: ['LegalServices.mdx'], changed: ['Schools.mdx'], added: [] })
+  })
+
+  it('refuses a path rendered twice by one target', () => {
+    const manifest = new GenerationManifest(root)
+
+    expect(() => manifest.sync('flat', [
+      { path: 'LegalServices.mdx', content: 'one' },
+      { path: 'LegalServices.mdx', content: 'two' }
+    ])).toThrow('Target flat renders LegalServices.mdx more than once')
+  })
+})
@@ -0,0 +1,47 @@
+/**
+ * Localized frontmatter and the Wikipedia links of English and locale pages
+ */
+
+import { ServiceMDXGenerator, type ServiceMDXOptions } from '../mdx-generator'
+import { naicsParser } from '../naics-parser'
+import { buildIdentifiers } from '../identifiers'
+import { parseFrontmatter } from '../frontmatter'
+
+const industry = naicsParser.getIndustry('541110')!
+
+const options: ServiceMDXOptions = {
+  industry,
+  identifier: buildIdentifiers([industry]).get('541110')!,
+  classification: naicsParser.getClassification('541110')!,
+  wikidata: {
+    qid: 'Q40348',
+    label: 'lawyer',
+    wikipedia: 'https://en.wikipedia.org/wiki/Lawyer',
+    labels: { en: 'lawyer', fr: 'avocat' },
+    wikipedias: { en: 'https://en.wikipedia.org/wiki/Lawyer', fr: 'https://fr.wikipedia.org/wiki/Avocat_%28m%C3%A9tier%29' }
+  }
+}
+
+const generator = new ServiceMDXGenerator()
+
+describe('ServiceMDXGenerator', () => {
+  it('leaves out the localized map when English is the only language', () => {
+    expect(generator.buildFrontmatter({ ...options, languages: ['en'] }).localized).toBeUndefined()
+    expect(Object.keys(generator.buildFrontmatter({ ...options, languages: ['en', 'fr'] }).localized!)).toEqual(['en', 'fr'])
+  })
+
+  it('links locale pages to the Wikipedia article in their language', () => {
+    const page = parseFrontmatter(generator.generate({ ...options, languages: ['en', 'fr'], locale: 'fr' })).body
+    const french = 'https://fr.wikipedia.org/wiki/Avocat_%28m%C3%A9tier%29'
+
+    expect(page).toContain(`- **Wikipedia**: [Avocat_(métier)](${french})`)
+    expect(page).toContain(`- [Wikipedia: Avocat_(métier)](${french})`)
+    expect(page).not.toContain('https://en.wikipedia.org/wiki/Lawyer')
+  })
+
+  it('falls back to the English article where a language has none', () => {
+    const page = parseFrontmatter(generator.generate({ ...options, languages: ['en', 'es'], locale: 'es' })).body
+
+    expect(page).toContain('- **Wikipedia**: [Lawyer](https://en.wikipedia.org/wiki/Lawyer)')
+  })
+})
@@ -0,0 +1,160 @@
+/**
+ * The NAICS hierarchy, loaded from the Census Bureau structure files
+ */
+
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { NAICS_CODES_FILE, NAICS_DESCRIPTIONS_FILE, NAICSParser, type NAICSNode } from '../naics-parser'
+
+const NAICS_CODES = `"Seq. No.","2022 NAICS US   Code","2022 NAICS US Title"
+1,31-33,Manufacturing
+2,311,Food Manufacturing
+3,3118,Bakeries and Tortilla Manufacturing
+4,31181,Bread and Bakery Product Manufacturing
+5,311811,Retail BakeriesT
+6,311812,Commercial BakeriesT
+7,54,"Professional, Scientific, and Technical Services"
+8,541,"Professional, Scientific, and Technical Services"
+9,5411,Legal Services
+10,54111,Offices of Lawyers
+11,541110,Offices of LawyersT
+12,541511,Custom Computer Programming Services
+`
+
+const codes = (nodes: NAICSNode[]) => nodes.map(node => node.code)
+
+describe('NAICSParser hierarchy', () => {
+  let naics: NAICSParser
+
+  beforeAll(async () => {
+    const directory = mkdtempSync(join(tmpdir(), 'naics-'))
+    naics = new NAICSParser()
+    try {
+      writeFileSync(join(directory, 'codes.csv'), NAICS_CODES)
+      await naics.loadFromFile(join(directory, 'codes.csv'))
+    } finally {
+      rmSync(directory, { recursive: true, force: true })
+    }
+  })
+
+  it('links each code to its parent and children', () => {
+    expect(naics.getParent('311811')?.code).toBe('31181')
+    expect(naics.getParent('311')?.code).toBe('31-33')
+    expect(naics.getParent('31-33')).toBeNull()
+    expect(codes(naics.getChildren('31181'))).toEqual(['311811', '311812'])
+    expect(naics.getChildren('311811')).toEqual([])
+  })
+
+  it('skips levels missing from the file to reach the nearest ancestor present', () => {
+    expect(naics.getParent('541511')?.code).toBe('541')
+    expect(codes(naics.getChildren('541'))).toEqual(['5411', '541511'])
+  })
+
+  it('lists ancestors from the sector down and descendants depth first', () => {
+    expect(codes(naics.getAncestors('311812'))).toEqual(['31-33', '311', '3118', '31181'])
+    expect(codes(naics.getDescendants('311'))).toEqual(['3118', '31181', '311811', '311812'])
+  })
+
+  it('groups codes by level in code order', () => {
+    expect(codes(naics.getByLevel('sector'))).toEqual(['31-33', '54'])
+    expect(codes(naics.getByLevel('nationalIndustry'))).toEqual(['311811', '311812', '541110', '541511'])
+    expect(naics.getNode('541110')).toMatchObject({ title: 'Offices of Lawyers', level: 'nationalIndustry', parent: '54111' })
+  })
+
+  it('resolves the 2-digit prefixes of a sector range to the range', () => {
+    expect(naics.getNode('32')?.code).toBe('31-33')
+    expect(codes(naics.getChildren('31'))).toEqual(['311'])
+    expect(naics.getIndustry('311811')?.sector).toEqual({ code: '31-33', name: 'Manufacturing', description: undefined })
+    expect(naics.getIndustriesBySector('33').map(industry => industry.code)).toEqual(['311811', '311812'])
+    expect(naics.getIndustriesBySector('31-33')).toEqual(naics.getIndustriesBySector('31'))
+  })
+
+  it('builds the classification path from the ancestors', () => {
+    expect(naics.getClassification('311811')).toEqual({
+      code: '311811',
+      title: 'Retail Bakeries',
+      sector: '31-33',
+      sectorName: 'Manufacturing',
+      subsector: '311',
+      subsectorName: 'Food Manufacturing',
+      industryGroup: '3118',
+      industryGroupName: 'Bakeries and Tortilla Manufacturing',
+      industry: '31181',
+      industryName: 'Bread and Bakery Product Manufacturing'
+    })
+  })
+})
+
+describe('NAICSParser.loadFromFile', () => {
+  let dir: string
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'naics-'))
+  })
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('finds the code, title and description columns whatever the release calls them', async () => {
+    writeFileSync(join(dir, NAICS_CODES_FILE), 'Seq,NAICS Code,Industry Title\n1,54,Professional Services\n2,541110,Offices of Lawyers\n')
+    writeFileSync(join(dir, NAICS_DESCRIPTIONS_FILE), 'Code,Title,Description\n541110,Offices of Lawyers,Legal practice.\n')
+
+    const naics = new NAICSParser()
+    await naics.loadFromFile(dir)
+
+    expect(naics.getAllIndustries()).toEqual([{
+      code: '541110',
+      title: 'Offices of Lawyers',
+      description: 'Legal practice.',
+      sector: { code: '54', name: 'Professional Services', description: undefined }
+    }])
+  })
+
+  it('reads quoted commas, doubled quotes and line breaks inside a field', async () => {
+    writeFileSync(join(dir, 'codes.csv'), [
+      '"Seq. No.","2022 NAICS US   Code","2022 NAICS US Title"',
+      '1,"54","Professional, Scientific, and Technical Services"',
+      '2,541110,"Offices of ""Lawyers"", Attorneys and NotariesT"',
+      ''
+    ].join('\r\n'))
+    writeFileSync(join(dir, 'descriptions.csv'), [
+      'Code,Title,Description',
+      '541110,Offices of Lawyers,"This industry comprises offices of legal practitioners,',
+      '   known as lawyers or attorneys.',
+      'Cross-References. Establishments primarily engaged in notary services are classified elsewhere."',
+      ''
+    ].join('\n'))
+
+    const naics = new NAICSParser()
+    await naics.loadFromFile(join(dir, 'codes.csv'), join(dir, 'descriptions.csv'))
+
+    expect(naics.getNode('54')?.title).toBe('Professional, Scientific, and Technical Services')
+    expect(naics.getIndustry('541110')).toMatchObject({
+      title: 'Offices of "Lawyers", Attorneys and Notaries',
+      description: 'This industry comprises offices of legal practitioners, known as lawyers or attorneys.'
+    })
+  })
+
+  it('rejects a row with more values than columns, naming the file and line', async () => {
+    const file = join(dir, 'codes.csv')
+    writeFileSync(file, 'Code,Title\n54,"Professional Services"\n\n5411,Legal Services, Offices\n')
+
+    await expect(new NAICSParser().loadFromFile(file)).rejects.toThrow(`${file} line 4: 3 values for 2 columns`)
+  })
+
+  it('rejects a quoted field that is never closed', async () => {
+    const description = join(dir, 'descriptions.csv')
+    writeFileSync(join(dir, 'codes.csv'), 'Code,Title\n54,Professional Services\n')
+    writeFileSync(description, 'Code,Description\n54,"Establishments that\nspecialize in professional services\n')
+
+    await expect(new NAICSParser().loadFromFile(join(dir, 'codes.csv'), description)).rejects.toThrow(`${description} line 2: quoted field is never closed`)
+  })
+
+  it('fails on a file without code and title columns', async () => {
+    writeFileSync(join(dir, 'codes.csv'), 'Seq,Name\n1,Manufacturing\n')
+
+    await expect(new NAICSParser().loadFromFile(join(dir, 'codes.csv'))).rejects.toThrow('NAICS codes file must have code and title columns')
+  })
+})
@@ -0,0 +1,110 @@
+/**
+ * Frontmatter and example-code escaping, read back the way the site and validator read them
+ */
+
+import { runInNewContext } from 'vm'
+import { jsString, stringifyFrontmatter } from '../serialize'
+import { parseFrontmatter } from '../frontmatter'
+import { mdxGenerator } from '../mdx-generator'
+import { naicsParser } from '../naics-parser'
+import { buildIdentifiers } from '../identifiers'
+import { loadServices, type ServiceRecord } from '../services-data'
+import type { OutputFile } from '../targets'
+
+// Loaded the way targets.ts loads the layout scripts, which have no declarations
+const { renderFlat } = require('../generate-flat') as { renderFlat: (services: ServiceRecord[]) => OutputFile[] }
+
+const HOSTILE_TEXT: Array<[string, string]> = [
+  ['a colon', 'Legal Services: Offices of Lawyers'],
+  ['a colon and space at the end', 'Notes: '],
+  ['a comment marker', 'Services #1 and # more'],
+  ['a leading hash', '# Not a comment'],
+  ['a leading double quote', '"Quoted" services'],
+  ['a leading single quote', "'Quoted' services"],
+  ['an apostrophe', "Supporting clients' systems"],
+  ['a backslash', 'C:\\services\\n'],
+  ['several lines', 'First line\nSecond line\n\n  Indented line'],
+  ['a trailing newline', 'Ends with a newline\n'],
+  ['unicode', 'Cabinet d’avocats — Servicios jurídicos — 法律事务所 — 🏛️'],
+  ['line and paragraph separators', 'one\u2028two\u2029three'],
+  ['a leading dash', '- not a list'],
+  ['a YAML indicator', '&anchor *alias !tag | > @ `'],
+  ['a key-like value', 'key: value, other: value'],
+  ['a flow collection', '[not, a, list] {not: a map}'],
+  ['surrounding spaces', '  padded  '],
+  ['a boolean word', 'yes'],
+  ['a null word', 'null'],
+  ['a number', '54'],
+  ['a leading zero code', '0541'],
+  ['a document marker', '---'],
+  ['an empty string', '']
+]
+
+describe('stringifyFrontmatter', () => {
+  it.each(HOSTILE_TEXT)('round-trips %s', (_, text) => {
+    const data = { name: text, description: text, naics: { code: '541110', title: text }, localized: { fr: { name: text } } }
+    const page = `${stringifyFrontmatter(data)}\n\n# Body\n`
+
+    const document = parseFrontmatter(page)
+    expect(document.data).toEqual(data)
+    expect(document.body).toBe('\n# Body\n')
+  })
+
+  it('round-trips lists, numbers and booleans as their own types', () => {
+    const data = {
+      extends: ['Service', 'LegalServices'],
+      digital: 0.6,
+      digitalSignals: [{ source: 'curated', value: 0.6, note: 'set: by hand # reviewed' }],
+      availableChannel: ['web', 'phone'],
+      draft: false
+    }
+
+    expect(parseFrontmatter(stringifyFrontmatter(data)).data).toEqual(data)
+  })
+
+  it('leaves out undefined values', () => {
+    expect(parseFrontmatter(stringifyFrontmatter({ name: 'Schools', unspsc: undefined })).data).toEqual({ name: 'Schools' })
+  })
+})
+
+describe('jsString', () => {
+  it.each(HOSTILE_TEXT)('round-trips %s', (_, text) => {
+    expect(runInNewContext(jsString(text))).toBe(text)
+  })
+
+  it('round-trips values that are not strings as text', () => {
+    expect(runInNewContext(jsString(54))).toBe('54')
+  })
+})
+
+describe('ServiceMDXGenerator', () => {
+  const industry = naicsParser.getIndustry('541110')!
+
+  it.each(HOSTILE_TEXT.filter(([, text]) => text.trim() !== ''))('writes frontmatter and examples that read back with %s', (_, text) => {
+    const hostile = { ...industry, title: text, description: text }
+    const page = mdxGenerator.generate({
+      industry: hostile,
+      identifier: buildIdentifiers([industry]).get(industry.code)!,
+      classification: naicsParser.getClassification(industry.code)!
+    })
+
+    const { data, body } = parseFrontmatter(page)
+    expect(data).toMatchObject({ name: text, description: text })
+
+    // The first example passes the title and description as string literals
+    const example = body.match(/\.create\(\{\n {2}name: (.*),\n {2}description: (.*),\n/)!
+    expect(runInNewContext(example[1])).toBe(`Example ${text}`)
+    expect(runInNewContext(example[2])).toBe(text)
+  })
+})
+
+describe('renderFlat', () => {
+  const [record] = loadServices()
+
+  it.each(HOSTILE_TEXT.filter(([, text]) => text.trim() !== ''))('writes frontmatter that reads back with %s', (_, text) => {
+    const files = renderFlat([{ ...record, name: text, description: text }])
+    const page = files.find(file => file.path === `${record.titleCase}.mdx`)!
+
+    expect(parseFrontmatter(page.content).data).toMatchObject({ title: text, description: text })
+  })
+})
@@ -0,0 +1,171 @@
+/**
+ * SKOS concept schemes, read back from the emitted JSON-LD and N-Triples
+ */
+
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { NAICSParser } from '../naics-parser'
+import { UNSPSCParser } from '../unspsc-parser'
+import { NAICSUNSPSCCrosswalk } from '../crosswalk'
+import { buildIdentifiers } from '../identifiers'
+import { buildNAICSScheme, buildUNSPSCScheme, NAICS_SCHEME, UNSPSC_SCHEME } from '../skos-target'
+import { toJSONLD, toNTriples, type Graph } from '../rdf'
+
+const SKOS = 'http://www.w3.org/2004/02/skos/core#'
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type'
+
+const NAICS_CODES = `"Seq. No.","2022 NAICS US   Code","2022 NAICS US Title"
+1,31-33,Manufacturing
+2,311,Food Manufacturing
+3,3118,Bakeries and Tortilla Manufacturing
+4,31181,Bread and Bakery Product Manufacturing
+5,311811,Retail Bakeries
+6,311812,Commercial Bakeries
+7,54,"Professional, Scientific, and Technical Services"
+8,541,"Professional, Scientific, and Technical Services"
+9,5411,Legal Services
+10,54111,Offices of Lawyers
+11,541110,Offices of Lawyers
+`
+
+type Statements = Map<string, Map<string, string[]>>
+
+/**
+ * Subject → predicate → objects, with every prefixed name expanded through the document's own @context
+ */
+function parseJSONLD(content: string): Statements {
+  const { '@context': context, '@graph': nodes } = JSON.parse(content)
+  const expand = (name: string) => {
+    const colon = name.indexOf(':')
+    const namespace = context[name.slice(0, colon)]
+    return namespace && !name.startsWith('http') ? namespace + name.slice(colon + 1) : name
+  }
+  const objectOf = (value: any): string => (typeof value === 'string' ? value : value['@id'] ? expand(value['@id']) : value['@value'])
+
+  const statements: Statements = new Map()
+  for (const node of nodes) {
+    const predicates = new Map<string, string[]>()
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '@id') continue
+      const values = ([] as any[]).concat(value)
+      predicates.set(
+        key === '@type' ? RDF_TYPE : expand(key),
+        key === '@type' ? values.map(expand) : values.map(objectOf)
+      )
+    }
+    statements.set(expand(node['@id']), predicates)
+  }
+  return statements
+}
+
+/**
+ * The same shape from N-Triples, one triple per line
+ */
+function parseNTriples(content: string): Statements {
+  const statements: Statements = new Map()
+  for (const line of content.trim().split('\n')) {
+    const [, subject, predicate, object] = line.match(/^<([^>]+)> <([^>]+)> (.+) \.$/)!
+    const value = object.startsWith('<') ? object.slice(1, -1) : JSON.parse(object.replace(/(@[a-z-]+|\^\^<[^>]+>)$/, ''))
+    if (!statements.has(subject)) statements.set(subject, new Map())
+    const predicates = statements.get(subject)!
+    predicates.set(predicate, [...(predicates.get(predicate) || []), value])
+  }
+  return statements
+}
+
+const objects = (statements: Statements, subject: string, predicate: string) =>
+  statements.get(subject)?.get(`${SKOS}${predicate}`) || []
+
+/**
+ * Check that every concept is in the scheme and that broader and narrower mirror each other
+ */
+function expectConsistentHierarchy(statements: Statements, scheme: string) {
+  const concepts = Array.from(statements.keys()).filter(subject => subject !== scheme)
+  expect(concepts.length).toBeGreaterThan(0)
+
+  for (const concept of concepts) {
+    expect(statements.get(concept)!.get(RDF_TYPE)).toEqual([`${SKOS}Concept`])
+    expect(objects(statements, concept, 'inScheme')).toEqual([scheme])
+
+    const broader = objects(statements, concept, 'broader')
+    expect(broader.length).toBeLessThanOrEqual(1)
+    if (broader.length === 0) {
+      expect(objects(statements, concept, 'topConceptOf')).toEqual([scheme])
+      expect(objects(statements, scheme, 'hasTopConcept')).toContain(concept)
+    } else {
+      expect(objects(statements, broader[0], 'narrower')).toContain(concept)
+    }
+
+    for (const narrower of objects(statements, concept, 'narrower')) {
+      expect(objects(statements, narrower, 'broader')).toEqual([concept])
+    }
+  }
+}
+
+describe('NAICS concept scheme', () => {
+  let graph: Graph
+  let statements: Statements
+
+  beforeAll(async () => {
+    const directory = mkdtempSync(join(tmpdir(), 'naics-'))
+    const naics = new NAICSParser()
+    try {
+      writeFileSync(join(directory, 'codes.csv'), NAICS_CODES)
+      await naics.loadFromFile(join(directory, 'codes.csv'))
+    } finally {
+      rmSync(directory, { recursive: true, force: true })
+    }
+
+    graph = buildNAICSScheme(naics, buildIdentifiers(naics.getServiceIndustries()))
+    statements = parseJSONLD(toJSONLD(graph))
+  })
+
+  it('reads back the same triples from JSON-LD and N-Triples', () => {
+    expect(statements).toEqual(parseNTriples(toNTriples(graph)))
+  })
+
+  it('declares the scheme and puts every concept in it', () => {
+    expect(statements.get(NAICS_SCHEME)!.get(RDF_TYPE)).toEqual([`${SKOS}ConceptScheme`])
+    expectConsistentHierarchy(statements, NAICS_SCHEME)
+  })
+
+  it('links each level to the one above and below it', () => {
+    const concept = (code: string) => `${NAICS_SCHEME}/${code}`
+
+    expect(objects(statements, NAICS_SCHEME, 'hasTopConcept').sort()).toEqual([concept('31-33'), concept('54')])
+    expect(objects(statements, concept('311'), 'broader')).toEqual([concept('31-33')])
+    expect(objects(statements, concept('311811'), 'broader')).toEqual([concept('31181')])
+    expect(objects(statements, concept('31181'), 'narrower')).toEqual([concept('311811'), concept('311812')])
+    expect(objects(statements, concept('541110'), 'broader')).toEqual([concept('54111')])
+    expect(objects(statements, concept('541110'), 'prefLabel')).toEqual(['Offices of Lawyers'])
+    expect(objects(statements, concept('541110'), 'notation')).toEqual(['541110'])
+  })
+
+  it('matches service industries to their service type', () => {
+    expect(objects(statements, `${NAICS_SCHEME}/541110`, 'closeMatch')).toEqual(['https://services.org.ai/offices-of-lawyers'])
+    expect(objects(statements, `${NAICS_SCHEME}/311811`, 'closeMatch')).toEqual([])
+  })
+})
+
+describe('UNSPSC concept scheme', () => {
+  const unspsc = new UNSPSCParser()
+  const naics = new NAICSParser()
+  const graph = buildUNSPSCScheme(unspsc, buildIdentifiers(naics.getServiceIndustries()), new NAICSUNSPSCCrosswalk(unspsc))
+  const statements = parseJSONLD(toJSONLD(graph))
+
+  it('reads back the same triples from JSON-LD and N-Triples', () => {
+    expect(statements).toEqual(parseNTriples(toNTriples(graph)))
+  })
+
+  it('declares the scheme and puts every concept in it', () => {
+    expect(statements.get(UNSPSC_SCHEME)!.get(RDF_TYPE)).toEqual([`${SKOS}ConceptScheme`])
+    expectConsistentHierarchy(statements, UNSPSC_SCHEME)
+  })
+
+  it('links codes to the service types the crosswalk maps onto them', () => {
+    const legalServices = `${UNSPSC_SCHEME}/80120000`
+    expect(objects(statements, legalServices, 'broader')).toEqual([`${UNSPSC_SCHEME}/80000000`])
+    expect(objects(statements, legalServices, 'closeMatch')).toContain('https://services.org.ai/offices-of-lawyers')
+  })
+})
@@ -0,0 +1,140 @@
+/**
+ * SPARQL escaping with hostile inputs
+ */
+
+import { buildServiceQuery, entity, integer, itemPage, literal } from '../sparql'
+
+// The query with every string literal removed, so only its structure is left
+const structure = (sparql: string) => sparql.replace(/"(?:[^"\\\n\r]|\\.)*"/g, '""')
+
+const count = (text: string, char: string) => text.split(char).length - 1
+
+describe('literal', () => {
+  it('quotes plain text as it is', () => {
+    expect(literal('Offices of Lawyers')).toBe('"Offices of Lawyers"')
+    expect(literal('')).toBe('""')
+  })
+
+  it('escapes quotes and backslashes', () => {
+    expect(literal('say "hi"')).toBe('"say \\"hi\\""')
+    expect(literal("it's")).toBe('"it\\\'s"')
+    expect(literal('C:\\path\\')).toBe('"C:\\\\path\\\\"')
+    expect(literal('\\"')).toBe('"\\\\\\""')
+  })
+
+  it('escapes line breaks and control characters', () => {
+    expect(literal('one\ntwo\r\nthree\tfour')).toBe('"one\\ntwo\\r\\nthree\\tfour"')
+    expect(literal('\b\f')).toBe('"\\b\\f"')
+  })
+
+  it('keeps an injected closing brace inside the literal', () => {
+    const hostile = 'x") } ; DROP ALL ; SELECT * WHERE { ?s ?p ?o FILTER("'
+    const quoted = literal(hostile)
+
+    expect(quoted).toBe('"x\\") } ; DROP ALL ; SELECT * WHERE { ?s ?p ?o FILTER(\\""')
+    expect(structure(quoted)).toBe('""')
+  })
+
+  it('keeps unicode as it is', () => {
+    expect(literal('cabinet d’avocats — 法律事务所 🏛')).toBe('"cabinet d’avocats — 法律事务所 🏛"')
+  })
+
+  it('rejects values that are not strings', () => {
+    expect(() => literal(42 as unknown as string)).toThrow(TypeError)
+    expect(() => literal(undefined as unknown as string)).toThrow(TypeError)
+  })
+})
+
+describe('entity', () => {
+  it('references a QID', () => {
+    expect(entity('Q7406919')).toBe('wd:Q7406919')
+  })
+
+  it.each([
+    ['an empty string', ''],
+    ['a missing Q', '7406919'],
+    ['a lower-case q', 'q42'],
+    ['a leading zero', 'Q042'],
+    ['Q0', 'Q0'],
+    ['a property id', 'P31'],
+    ['surrounding whitespace', ' Q42 '],
+    ['a trailing newline', 'Q42\n'],
+    ['an injected pattern', 'Q42. ?s ?p ?o'],
+    ['a closing brace', 'Q42}'],
+    ['a full IRI', 'http://www.wikidata.org/entity/Q42'],
+    ['a number', 42],
+    ['null', null]
+  ])('rejects %s', (_, qid) => {
+    expect(() => entity(qid as string)).toThrow(/Invalid Wikidata QID/)
+  })
+})
+
+describe('integer', () => {
+  it.each([-1, 1.5, NaN, Infinity, 2 ** 53, '10'])('rejects %p', value => {
+    expect(() => integer(value as number)).toThrow(/Invalid SPARQL integer/)
+  })
+})
+
+describe('buildServiceQuery', () => {
+  const search = 'law") } } SELECT ?x WHERE { ?x ?y ?z } #'
+
+  it('keeps hostile search text inside its literal', () => {
+    const sparql = buildServiceQuery({
+      where: [`FILTER(CONTAINS(LCASE(?serviceLabel), ${literal(search)}))`],
+      bindsLabel: true,
+      limit: 10
+    })
+
+    expect(sparql).toContain('FILTER(CONTAINS(LCASE(?serviceLabel), "law\\") } } SELECT ?x WHERE { ?x ?y ?z } #"))')
+    const shape = structure(sparql)
+    expect(count(shape, '{')).toBe(count(shape, '}'))
+    expect(count(shape, 'SELECT')).toBe(1)
+    expect(shape).not.toContain('#')
+  })
+
+  it('references entities and languages only once validated', () => {
+    const sparql = buildServiceQuery({ where: [`?service wdt:P452 ${entity('Q11661')}.`], languages: ['en', 'pt-BR'] })
+
+    expect(sparql).toContain('?service wdt:P452 wd:Q11661.')
+    expect(sparql).toContain('?serviceLabel_pt_BR')
+    expect(sparql).toContain('FILTER(LANG(?serviceLabel_pt_BR) = "pt-br")')
+    expect(sparql).toContain('bd:serviceParam wikibase:language "en,pt-br".')
+  })
+
+  it.each([
+    ['a brace', 'en"} ?s ?p ?o {'],
+    ['a newline', 'en\nfr'],
+    ['a comma', 'en,fr'],
+    ['an empty code', '']
+  ])('rejects a language code with %s', (_, language) => {
+    expect(() => buildServiceQuery({ where: [], languages: ['en', language] })).toThrow(/Invalid language code/)
+  })
+
+  it('needs a language', () => {
+    expect(() => buildServiceQuery({ where: [], languages: [] })).toThrow(/At least one language/)
+  })
+
+  it('rejects an ORDER BY that is not a variable', () => {
+    expect(() => buildServiceQuery({ where: [], orderBy: '?service } DELETE { ?s ?p ?o' })).toThrow(/Invalid SPARQL variable/)
+  })
+
+  it('rejects a LIMIT or OFFSET that is not a non-negative integer', () => {
+    expect(() => buildServiceQuery({ where: [], limit: -1 })).toThrow(/Invalid SPARQL integer/)
+    expect(() => buildServiceQuery({ where: [], offset: 1.5 })).toThrow(/Invalid SPARQL integer/)
+    expect(() => buildServiceQuery({ where: [], limit: '1 } ' as unknown as number })).toThrow(/Invalid SPARQL integer/)
+  })
+})
+
+describe('itemPage', () => {
+  it('pages over distinct items in item order', () => {
+    const page = itemPage(['?service wdt:P31 wd:Q7406919.'], 1000, 2000)
+
+    expect(page).toMatch(/SELECT DISTINCT \?service WHERE \{\s+\?service wdt:P31 wd:Q7406919.\s+\}\s+ORDER BY \?service\s+LIMIT 1000\s+OFFSET 2000/)
+    expect(count(page, '{')).toBe(count(page, '}'))
+  })
+
+  it('rejects a LIMIT or OFFSET that is not a non-negative integer', () => {
+    expect(() => itemPage([], 10, -10)).toThrow(/Invalid SPARQL integer/)
+    expect(() => itemPage([], '10 } ?s ?p ?o {' as unknown as number, 0)).toThrow(/Invalid SPARQL integer/)
+  })
+})
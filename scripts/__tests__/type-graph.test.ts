@@ -0,0 +1,132 @@
+/**
+ * Extends chains, subtype order and extends loops, in the generator and the runtime type graph
+ */
+
+import { TypeGraph, curatedGroups, extendsChain, renderSubtypes } from '../type-graph'
+import { loadServices, type ServiceRecord } from '../services-data'
+import { isSubtypeOf, subtypesOf, supertypesOf } from '../../src/type-graph'
+
+// Alpha and Beta extend each other, as hand-edited frontmatter can make them
+jest.mock('../../src/registry', () => ({
+  SERVICE_TYPES: {
+    Service: {},
+    OfficesOfLawyers: { extends: ['Service', 'ProfessionalServices', 'LegalServices'] },
+    WebHosting: { extends: ['Service', 'ProfessionalServices', 'ComputerServices'] },
+    Alpha: { extends: ['Beta'] },
+    Beta: { extends: ['Alpha'] }
+  }
+}))
+
+const node = (name: string) => ({ name, title: name })
+
+const names = (chain: Array<{ name: string }>) => chain.map(item => item.name)
+
+describe('extendsChain', () => {
+  const records = loadServices()
+  const groups = curatedGroups(records)
+  const curated = (code: string) => {
+    const record = records.find(item => item.naics.code === code)!
+    return names(extendsChain(record.titleCase, record))
+  }
+
+  it('gives a curated type and a NAICS type in the same industry group the same parent', () => {
+    const systemsDesign = extendsChain('ComputerSystemsDesignServices', {
+      naics: {
+        sector: '54',
+        sectorName: 'Professional, Scientific, and Technical Services',
+        subsector: '541',
+        subsectorName: 'Professional, Scientific, and Technical Services',
+        industryGroup: '5415',
+        industryGroupName: 'Computer Systems Design and Related Services',
+        industry: '54151',
+        industryName: 'Computer Systems Design and Related Services'
+      }
+    }, groups)
+
+    expect(curated('541511')).toEqual(['Service', 'ProfessionalServices', 'ComputerServices'])
+    expect(names(systemsDesign)).toEqual(curated('541511'))
+  })
+
+  it('puts the other industries of a curated sector below its category', () => {
+    const restaurants = extendsChain('LimitedServiceRestaurants', {
+      naics: {
+        sector: '72',
+        sectorName: 'Accommodation and Food Services',
+        subsector: '722',
+        subsectorName: 'Food Services and Drinking Places',
+        industryGroup: '7225',
+        industryGroupName: 'Restaurants and Other Eating Places'
+      }
+    }, groups)
+    const accountants = extendsChain('OfficesOfCertifiedPublicAccountants', {
+      naics: {
+        sector: '54',
+        sectorName: 'Professional, Scientific, and Technical Services',
+        subsector: '541',
+        subsectorName: 'Professional, Scientific, and Technical Services',
+        industryGroup: '5412',
+        industryGroupName: 'Accounting, Tax Preparation, Bookkeeping, and Payroll Services'
+      }
+    }, groups)
+
+    expect(names(restaurants)).toEqual(curated('722511'))
+    expect(names(accountants)).toEqual(['Service', 'ProfessionalServices', 'AccountingTaxPreparationBookkeepingAndPayrollServices'])
+  })
+
+  it('follows the NAICS levels outside the curated sectors', () => {
+    const chain = extendsChain('NewCarDealers', {
+      naics: { sector: '44-45', sectorName: 'Retail Trade', subsector: '441', subsectorName: 'Motor Vehicle and Parts Dealers' }
+    }, groups)
+
+    expect(names(chain)).toEqual(['Service', 'RetailTrade', 'MotorVehicleAndPartsDealers'])
+  })
+
+  it('throws when curated records put one NAICS code in two groups', () => {
+    const [record] = records
+    const moved: ServiceRecord = { ...record, titleCase: 'Other', subcategory: { name: 'OtherServices', display: 'Other Services' } }
+
+    expect(() => curatedGroups([record, moved])).toThrow(`NAICS ${record.naics.industryGroup} is in two curated groups`)
+  })
+})
+
+describe('TypeGraph', () => {
+  const graph = new TypeGraph()
+    .add('OfficesOfLawyers', 'Offices of Lawyers', ['Service', 'ProfessionalServices', 'LegalServices'].map(node))
+    .add('WebHosting', 'Web Hosting', ['Service', 'ProfessionalServices', 'ComputerServices'].map(node))
+
+  it('lists every type below a type sorted by name, not by level', () => {
+    expect(graph.subtypes('ProfessionalServices')).toEqual(['ComputerServices', 'LegalServices', 'OfficesOfLawyers', 'WebHosting'])
+    expect(graph.subtypes('ProfessionalServices', { direct: true })).toEqual(['ComputerServices', 'LegalServices'])
+    expect(graph.subtypes('OfficesOfLawyers')).toEqual([])
+  })
+
+  it('nests the Subtypes section by level', () => {
+    expect(renderSubtypes(graph, 'ProfessionalServices')).toBe([
+      '## Subtypes',
+      '- ComputerServices\n  - Web Hosting\n- LegalServices\n  - Offices of Lawyers'
+    ].join('\n\n'))
+  })
+
+  it('lists the types above a type from Service down', () => {
+    expect(graph.ancestors('OfficesOfLawyers')).toEqual(['Service', 'ProfessionalServices', 'LegalServices'])
+    expect(graph.isSubtypeOf('OfficesOfLawyers', 'ProfessionalServices')).toBe(true)
+  })
+})
+
+describe('runtime type graph', () => {
+  it('lists every type below a type sorted by name, not by level', () => {
+    expect(subtypesOf('ProfessionalServices')).toEqual(['ComputerServices', 'LegalServices', 'OfficesOfLawyers', 'WebHosting'])
+    expect(subtypesOf('ProfessionalServices', { direct: true })).toEqual(['ComputerServices', 'LegalServices'])
+  })
+
+  it('lists the types above a type from Service down', () => {
+    expect(supertypesOf('WebHosting')).toEqual(['Service', 'ProfessionalServices', 'ComputerServices'])
+    expect(isSubtypeOf('WebHosting', 'LegalServices')).toBe(false)
+  })
+
+  it('throws on an extends loop instead of walking it forever', () => {
+    expect(() => supertypesOf('Alpha')).toThrow('The extends chain of Alpha loops: Alpha < Beta < Alpha')
+    expect(() => subtypesOf('Beta')).toThrow('The extends chain of Beta loops')
+    expect(() => isSubtypeOf('Alpha', 'Service')).toThrow('loops')
+  })
+})
@@ -0,0 +1,39 @@
+/**
+ * The UNSPSC codes the curated records map onto, checked against the code titles
+ */
+
+import { loadServices } from '../services-data'
+import { isServiceCode, unspscParser } from '../unspsc-parser'
+
+describe('curated UNSPSC mappings', () => {
+  const titles = Object.fromEntries(loadServices().map(record => [
+    record.naics.code,
+    unspscParser.getNode(record.unspsc)?.title
+  ]))
+
+  it('map every curated record onto a known services code', () => {
+    for (const record of loadServices()) {
+      expect(isServiceCode(record.unspsc)).toBe(true)
+      expect(unspscParser.getNode(record.unspsc)).not.toBeNull()
+    }
+  })
+
+  it('map each industry onto the code titled for it', () => {
+    expect(titles).toEqual({
+      '541511': 'Application programming services',
+      '722511': 'Restaurants',
+      '541110': 'Legal services',
+      '621111': 'Medical doctors specialist services',
+      '611110': 'Elementary and secondary schools'
+    })
+  })
+
+  it('classify a code under its family and segment', () => {
+    expect(unspscParser.getClassification('81111504')).toMatchObject({
+      segmentName: 'Engineering and Research and Technology Based Services',
+      familyName: 'Computer services',
+      className: 'Software or hardware engineering',
+      commodityName: 'Application programming services'
+    })
+  })
+})
@@ -0,0 +1,97 @@
+/**
+ * The ontology validator, run on fixture pages in a directory of their own
+ */
+
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { dirname, join } from 'path'
+import { validateOntology } from '../validate'
+
+const PAGES: Record<string, string> = {
+  'Fixture.mdx': `---
+title: Fixture
+---
+
+# Fixture
+`,
+  'types/generated/OfficesOfLawyers.mdx': `---
+$id: https://services.org.ai/offices-of-lawyers
+extends:
+  - Service
+  - ProfessionalServices
+name: Offices of Lawyers
+naics:
+  code: "541110"
+  sector: "54"
+---
+
+# Offices of Lawyers
+
+- [Fixture](../../Fixture.mdx)
+- [Fixture route](/Fixture)
+- [Schools](./ElementaryAndSecondarySchools)
+- [Service](https://schema.org/Service)
+`,
+  'types/generated/ElementaryAndSecondarySchools.mdx': `---
+$id: https://services.org.ai/elementary-and-secondary-schools
+extends:
+  - Service
+  - EducationalServices
+name: Elementary and Secondary Schools
+naics:
+  sector: "61"
+---
+
+# Elementary and Secondary Schools
+
+See [Lawyers](./OfficesOfLawyers.mdx) and [Dentists](./OfficesOfDentists.mdx).
+`
+}
+
+describe('validateOntology', () => {
+  let root: string
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'validate-'))
+    for (const [file, content] of Object.entries(PAGES)) {
+      mkdirSync(join(root, dirname(file)), { recursive: true })
+      writeFileSync(join(root, file), content, 'utf-8')
+    }
+  })
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true })
+  })
+
+  it('reports a broken link, and a missing NAICS code in the block it belongs to', () => {
+    expect(validateOntology(root)).toEqual([
+      {
+        file: join('types', 'generated', 'ElementaryAndSecondarySchools.mdx'),
+        line: 8,
+        message: 'naics.code must be a 6-digit NAICS code, got ""'
+      },
+      {
+        file: join('types', 'generated', 'ElementaryAndSecondarySchools.mdx'),
+        line: 13,
+        message: 'Link ./OfficesOfDentists.mdx does not resolve to a page'
+      }
+    ])
+  })
+
+  it('resolves file links against the directory it validates', () => {
+    rmSync(join(root, 'Fixture.mdx'))
+
+    expect(validateOntology(root).map(violation => violation.message)).toEqual(expect.arrayContaining([
+      'Link ../../Fixture.mdx does not resolve to a page',
+      'Link /Fixture does not resolve to a page'
+    ]))
+  })
+
+  it('passes once the pages are fixed', () => {
+    writeFileSync(join(root, 'types/generated/ElementaryAndSecondarySchools.mdx'), PAGES['types/generated/ElementaryAndSecondarySchools.mdx']
+      .replace('  sector: "61"', '  code: "611110"\n  sector: "61"')
+      .replace(' and [Dentists](./OfficesOfDentists.mdx)', ''), 'utf-8')
+
+    expect(validateOntology(root)).toEqual([])
+  })
+})
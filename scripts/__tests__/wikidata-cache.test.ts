@@ -0,0 +1,67 @@
+/**
+ * Query cache keys and the stores the client replays from
+ */
+
+import { existsSync, mkdtempSync, readdirSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { cacheKey, FileQueryCache, MemoryQueryCache, normalizeSparql, type CacheEntry } from '../wikidata-cache'
+
+const entry: CacheEntry = {
+  query: 'SELECT ?service WHERE {\n?service wdt:P31 wd:Q7406919.\n}',
+  storedAt: '2026-01-01T00:00:00.000Z',
+  response: { results: { bindings: [] } }
+}
+
+describe('cacheKey', () => {
+  it('shares a key between queries that differ only in indentation and blank lines', () => {
+    const formatted = `
+      SELECT ?service WHERE {
+
+        ?service wdt:P31 wd:Q7406919.
+      }
+    `
+
+    expect(normalizeSparql(formatted)).toBe(entry.query)
+    expect(cacheKey(formatted)).toBe(cacheKey(entry.query))
+    expect(cacheKey(entry.query)).toMatch(/^[0-9a-f]{64}$/)
+  })
+
+  it('gives different queries different keys', () => {
+    expect(cacheKey('SELECT ?a WHERE {}')).not.toBe(cacheKey('SELECT ?b WHERE {}'))
+  })
+})
+
+describe('MemoryQueryCache', () => {
+  it('misses until an entry is stored', async () => {
+    const cache = new MemoryQueryCache()
+
+    expect(await cache.get('key')).toBeUndefined()
+    await cache.set('key', entry)
+    expect(await cache.get('key')).toEqual(entry)
+  })
+})
+
+describe('FileQueryCache', () => {
+  let dir: string
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'wikidata-cache-'))
+  })
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('stores one JSON file per key and reads it back in a new instance', async () => {
+    const directory = join(dir, 'queries')
+    const key = cacheKey(entry.query)
+
+    expect(await new FileQueryCache(directory).get(key)).toBeUndefined()
+    expect(existsSync(directory)).toBe(false)
+
+    await new FileQueryCache(directory).set(key, entry)
+    expect(readdirSync(directory)).toEqual([`${key}.json`])
+    expect(await new FileQueryCache(directory).get(key)).toEqual(entry)
+  })
+})
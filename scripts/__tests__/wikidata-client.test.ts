@@ -0,0 +1,109 @@
+/**
+ * The SPARQL client against a stubbed endpoint: caching, offline replay and retries
+ */
+
+import { WikidataClient } from '../wikidata-client'
+import { cacheKey, MemoryQueryCache } from '../wikidata-cache'
+
+const ENDPOINT = 'https://query.example.org/sparql'
+const SPARQL = 'SELECT ?service WHERE { ?service wdt:P31 wd:Q7406919. }'
+
+const results = (qid: string) => ({
+  results: {
+    bindings: [{ service: { value: `http://www.wikidata.org/entity/${qid}` }, serviceLabel: { value: qid } }]
+  }
+})
+
+const ok = (body: unknown) => new Response(JSON.stringify(body), { status: 200 })
+const failure = (status: number, headers: Record<string, string> = {}) => new Response('', { status, headers })
+
+describe('WikidataClient', () => {
+  let fetchMock: jest.SpyInstance
+  let delays: number[]
+
+  beforeEach(() => {
+    fetchMock = jest.spyOn(global, 'fetch')
+    delays = []
+
+    // Record backoff delays instead of waiting them out
+    jest.spyOn(global, 'setTimeout').mockImplementation(((callback: () => void, ms?: number) => {
+      delays.push(ms ?? 0)
+      callback()
+      return 0
+    }) as never)
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  const client = (options: ConstructorParameters<typeof WikidataClient>[1] = {}) =>
+    new WikidataClient(ENDPOINT, { minInterval: 0, backoff: 100, ...options })
+
+  it('fetches a miss and answers the same query from the cache', async () => {
+    const cache = new MemoryQueryCache()
+    fetchMock.mockResolvedValueOnce(ok(results('Q1')))
+
+    const wikidata = client({ cache })
+    expect(await wikidata.query(SPARQL)).toEqual(results('Q1'))
+    expect(await wikidata.query(`\n  ${SPARQL}\n`)).toEqual(results('Q1'))
+
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+    const url = new URL(fetchMock.mock.calls[0][0])
+    expect(url.origin + url.pathname).toBe(ENDPOINT)
+    expect(url.searchParams.get('query')).toBe(SPARQL)
+    expect(await cache.get(cacheKey(SPARQL))).toMatchObject({ query: SPARQL, response: results('Q1') })
+  })
+
+  it('refetches a cached response older than the TTL', async () => {
+    const cache = new MemoryQueryCache()
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString()
+    await cache.set(cacheKey(SPARQL), { query: SPARQL, storedAt: hourAgo, response: results('Q1') })
+    fetchMock.mockResolvedValueOnce(ok(results('Q2')))
+
+    expect(await client({ cache, ttl: 2 * 60 * 60 * 1000 }).query(SPARQL)).toEqual(results('Q1'))
+    expect(fetchMock).not.toHaveBeenCalled()
+
+    expect(await client({ cache, ttl: 60 * 1000 }).query(SPARQL)).toEqual(results('Q2'))
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+    expect(await cache.get(cacheKey(SPARQL))).toMatchObject({ response: results('Q2') })
+  })
+
+  it('replays stale entries and fails on a miss without touching the network', async () => {
+    const cache = new MemoryQueryCache()
+    await cache.set(cacheKey(SPARQL), { query: SPARQL, storedAt: '2020-01-01T00:00:00.000Z', response: results('Q1') })
+
+    const replay = client({ cache, ttl: 1000, mode: 'replay' })
+    expect(await replay.query(SPARQL)).toEqual(results('Q1'))
+    await expect(replay.query('SELECT ?other WHERE {}')).rejects.toThrow(
+      `No cached Wikidata response for query ${cacheKey('SELECT ?other WHERE {}')} (offline replay)`
+    )
+    expect(fetchMock).not.toHaveBeenCalled()
+  })
+
+  it('retries 429 and 5xx responses, waiting as long as Retry-After asks', async () => {
+    fetchMock
+      .mockResolvedValueOnce(failure(429, { 'Retry-After': '3' }))
+      .mockResolvedValueOnce(failure(503))
+      .mockResolvedValueOnce(ok(results('Q1')))
+
+    const service = await client().getServiceByQID('Q1')
+
+    expect(service?.qid).toBe('Q1')
+    expect(fetchMock).toHaveBeenCalledTimes(3)
+    // Retry-After first, then exponential backoff from the second attempt
+    expect(delays).toEqual([3000, 200])
+  })
+
+  it('gives up after the configured retries and does not retry client errors', async () => {
+    fetchMock.mockImplementation(async () => failure(502))
+    await expect(client({ retries: 2 }).query(SPARQL)).rejects.toThrow('Wikidata query failed: 502')
+    expect(fetchMock).toHaveBeenCalledTimes(3)
+
+    fetchMock.mockReset()
+    fetchMock.mockResolvedValueOnce(failure(400))
+    await expect(client().query(SPARQL)).rejects.toThrow('Wikidata query failed: 400')
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,123 @@
+/**
+ * Wikidata enrichment against a stub SPARQL endpoint
+ */
+
+import { createServer, type Server } from 'http'
+import type { AddressInfo } from 'net'
+import { WikidataClient } from '../wikidata-client'
+import { WikidataEnricher } from '../wikidata-enrichment'
+import { WikidataSnapshot } from '../wikidata-harvest'
+import { naicsParser } from '../naics-parser'
+import { buildIdentifiers } from '../identifiers'
+import { mdxGenerator } from '../mdx-generator'
+
+const item = (qid: string, label: string, extra: Record<string, string> = {}) => ({
+  service: { type: 'uri', value: `http://www.wikidata.org/entity/${qid}` },
+  serviceLabel: { type: 'literal', value: label },
+  ...Object.fromEntries(Object.entries(extra).map(([key, value]) => [key, { type: 'literal', value }]))
+})
+
+// Answers by what the query asks for: items carrying a NAICS code, or services matching a label
+function respond(query: string) {
+  if (query.includes('wdt:P4496 "541110"')) {
+    return [
+      item('Q1', 'law firm', {
+        wikipedia: 'https://en.wikipedia.org/wiki/Law_firm',
+        serviceLabel_fr: 'cabinet d’avocats',
+        wikipedia_fr: 'https://fr.wikipedia.org/wiki/Cabinet_d%27avocats'
+      })
+    ]
+  }
+  if (query.includes('"offices of dentists"')) {
+    return [item('Q2', 'Offices of Dentists'), item('Q3', 'dental clinic')]
+  }
+  if (query.includes('"custom computer programming services"')) {
+    return [item('Q4', 'Custom Computer Programming Services'), item('Q5', 'custom computer programming services')]
+  }
+  return []
+}
+
+describe('WikidataEnricher', () => {
+  let server: Server
+  let client: WikidataClient
+  const queries: string[] = []
+
+  beforeAll(async () => {
+    server = createServer((request, response) => {
+      const query = new URL(request.url!, 'http://localhost').searchParams.get('query') || ''
+      queries.push(query)
+      response.setHeader('Content-Type', 'application/sparql-results+json')
+      response.end(JSON.stringify({ head: { vars: [] }, results: { bindings: respond(query) } }))
+    })
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve))
+
+    const { port } = server.address() as AddressInfo
+    client = new WikidataClient(`http://127.0.0.1:${port}/sparql`, { minInterval: 0, retries: 0, languages: ['en', 'fr'] })
+  })
+
+  afterAll(() => new Promise<void>(resolve => server.close(() => resolve())))
+
+  it('matches by NAICS code before trying labels', async () => {
+    const result = await new WikidataEnricher(client).enrich(naicsParser.getIndustry('541110')!)
+
+    expect(result).toMatchObject({ status: 'matched', method: 'naics', match: { qid: 'Q1', label: 'law firm' } })
+    expect(queries.some(query => query.includes('CONTAINS(LCASE(?serviceLabel), "offices of lawyers")'))).toBe(false)
+  })
+
+  it('falls back to the exact label, and leaves the rest unmatched or ambiguous', async () => {
+    const report = await new WikidataEnricher(client).enrichAll(
+      ['621210', '541511', '722511'].map(code => naicsParser.getIndustry(code)!)
+    )
+
+    expect(report.matched.map(result => [result.industry.code, result.method, result.match?.qid])).toEqual([
+      ['621210', 'label', 'Q2']
+    ])
+    expect(report.ambiguous.map(result => [result.industry.code, result.match?.qid])).toEqual([['541511', 'Q4']])
+    expect(report.unmatched.map(result => result.industry.code)).toEqual(['722511'])
+    expect(report.unmatched[0].candidates).toEqual([])
+  })
+
+  it('writes the match into the page frontmatter', async () => {
+    const industry = naicsParser.getIndustry('541110')!
+    const { match } = await new WikidataEnricher(client).enrich(industry)
+    const frontmatter = mdxGenerator.buildFrontmatter({
+      industry,
+      identifier: buildIdentifiers([industry]).get(industry.code)!,
+      classification: naicsParser.getClassification(industry.code)!,
+      wikidata: match,
+      languages: client.languages
+    })
+
+    expect(frontmatter.wikidata).toBe('https://www.wikidata.org/wiki/Q1')
+    expect(frontmatter.wikipedia).toBe('https://en.wikipedia.org/wiki/Law_firm')
+    // English keeps the NAICS title; other languages take the Wikidata label
+    expect(frontmatter.localized).toMatchObject({
+      en: { name: 'Offices of Lawyers', wikipedia: 'https://en.wikipedia.org/wiki/Law_firm' },
+      fr: { name: 'cabinet d’avocats', wikipedia: 'https://fr.wikipedia.org/wiki/Cabinet_d%27avocats' }
+    })
+  })
+})
+
+describe('WikidataSnapshot', () => {
+  const snapshot = new WikidataSnapshot({
+    languages: ['en'],
+    services: [
+      { qid: 'Q1', label: 'law firm', naicsCodes: ['541110', '541199'] },
+      { qid: 'Q2', label: 'Offices of Dentists' },
+      { qid: 'Q3', label: 'dental clinic' }
+    ]
+  })
+
+  it('resolves industries without querying Wikidata', async () => {
+    const report = await new WikidataEnricher(snapshot).enrichAll(
+      ['541110', '621210', '722511'].map(code => naicsParser.getIndustry(code)!)
+    )
+
+    expect(report.matched.map(result => [result.industry.code, result.method, result.match?.qid])).toEqual([
+      ['541110', 'naics', 'Q1'],
+      ['621210', 'label', 'Q2']
+    ])
+    expect(report.matched[0].match?.naicsCode).toBe('541110')
+    expect(report.unmatched.map(result => result.industry.code)).toEqual(['722511'])
+  })
+})
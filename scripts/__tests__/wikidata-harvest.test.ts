@@ -0,0 +1,135 @@
+/**
+ * Wikidata harvest: paging, checkpoint and resume, and the snapshot the enricher reads
+ */
+
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import type { WikidataService } from '../wikidata-client'
+import type { WikidataSource } from '../wikidata-enrichment'
+import { WikidataHarvester, WikidataSnapshot, readSnapshot, type HarvestSource } from '../wikidata-harvest'
+
+const service = (index: number): WikidataService => ({ qid: `Q${index}`, label: `service ${index}` })
+
+// Serves `total` items in pages, failing once at `failAt` to interrupt a harvest
+function pagedSource(total: number, failAt?: number) {
+  const offsets: number[] = []
+  const source: HarvestSource = {
+    languages: ['en', 'fr'],
+    async getServicesPage(limit: number, offset: number) {
+      offsets.push(offset)
+      if (offset === failAt) {
+        failAt = undefined
+        throw new Error('503 Service Unavailable')
+      }
+      return Array.from({ length: Math.max(Math.min(limit, total - offset), 0) }, (_, index) => service(offset + index + 1))
+    }
+  }
+  return { source, offsets }
+}
+
+const collect = async (services: AsyncIterable<WikidataService>) => {
+  const items: WikidataService[] = []
+  for await (const item of services) items.push(item)
+  return items
+}
+
+describe('WikidataHarvester', () => {
+  let dir: string
+  let snapshotPath: string
+  let checkpointPath: string
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'harvest-'))
+    snapshotPath = join(dir, 'services.json')
+    checkpointPath = `${snapshotPath}.checkpoint.jsonl`
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true })
+    jest.restoreAllMocks()
+  })
+
+  it('pages until a short page and writes the snapshot in the client languages', async () => {
+    const { source, offsets } = pagedSource(5)
+    const services = await new WikidataHarvester(source).writeSnapshot(snapshotPath, { pageSize: 2 })
+
+    expect(offsets).toEqual([0, 2, 4])
+    expect(services.map(item => item.qid)).toEqual(['Q1', 'Q2', 'Q3', 'Q4', 'Q5'])
+    expect(await readSnapshot(snapshotPath)).toEqual({ languages: ['en', 'fr'], services })
+    expect(existsSync(checkpointPath)).toBe(false)
+  })
+
+  it('appends one checkpoint line per page and resumes after an interruption', async () => {
+    const interrupted = pagedSource(5, 4)
+    await expect(new WikidataHarvester(interrupted.source).writeSnapshot(snapshotPath, { pageSize: 2 })).rejects.toThrow('503')
+
+    const lines = readFileSync(checkpointPath, 'utf-8').trim().split('\n').map(line => JSON.parse(line))
+    expect(lines.map(page => [page.offset, page.services.map((item: WikidataService) => item.qid)])).toEqual([
+      [2, ['Q1', 'Q2']],
+      [4, ['Q3', 'Q4']]
+    ])
+
+    const resumed = pagedSource(5)
+    const services = await new WikidataHarvester(resumed.source).writeSnapshot(snapshotPath, { pageSize: 2 })
+
+    expect(resumed.offsets).toEqual([4])
+    expect(services.map(item => item.qid)).toEqual(['Q1', 'Q2', 'Q3', 'Q4', 'Q5'])
+    expect(existsSync(checkpointPath)).toBe(false)
+  })
+
+  it('drops a page cut short in the checkpoint and fetches it again', async () => {
+    writeFileSync(checkpointPath, `${JSON.stringify({ offset: 2, services: [service(1), service(2)] })}\n{"offset":4,"serv`)
+
+    const { source, offsets } = pagedSource(3)
+    const harvest = new WikidataHarvester(source).harvest({ pageSize: 2, checkpointPath })
+    const first = await harvest.next()
+
+    expect(first.value).toEqual(service(1))
+    expect(readFileSync(checkpointPath, 'utf-8')).toBe(`${JSON.stringify({ offset: 2, services: [service(1), service(2)] })}\n`)
+
+    expect((await collect(harvest)).map(item => item.qid)).toEqual(['Q2', 'Q3'])
+    expect(offsets).toEqual([2])
+  })
+})
+
+describe('WikidataSnapshot', () => {
+  const live: WikidataSource = {
+    getItemsByNAICSCode: jest.fn(async (code: string) => [{ qid: 'Q99', label: 'live item', naicsCode: code }]),
+    searchServices: jest.fn(async () => [])
+  }
+  const snapshot = new WikidataSnapshot({
+    languages: ['en', 'fr'],
+    services: [
+      { qid: 'Q1', label: 'Full-Service Restaurants', naicsCodes: ['722511'] },
+      { qid: 'Q2', label: 'restaurant' }
+    ]
+  }, live)
+
+  beforeEach(() => jest.clearAllMocks())
+
+  it('matches labels the way the enricher normalizes them', async () => {
+    expect((await snapshot.searchServices('full service restaurants')).map(item => item.qid)).toEqual(['Q1'])
+    expect((await snapshot.searchServices('Restaurant')).map(item => item.qid)).toEqual(['Q1', 'Q2'])
+  })
+
+  it('answers NAICS codes a harvested item carries without the live source', async () => {
+    expect(await snapshot.getItemsByNAICSCode('722511')).toEqual([
+      { qid: 'Q1', label: 'Full-Service Restaurants', naicsCodes: ['722511'], naicsCode: '722511' }
+    ])
+    expect(live.getItemsByNAICSCode).not.toHaveBeenCalled()
+  })
+
+  it('looks up other NAICS codes in the live source', async () => {
+    expect((await snapshot.getItemsByNAICSCode('541110')).map(item => item.qid)).toEqual(['Q99'])
+    expect(live.getItemsByNAICSCode).toHaveBeenCalledWith('541110', 20)
+    expect(await new WikidataSnapshot({ languages: ['en'], services: [] }).getItemsByNAICSCode('541110')).toEqual([])
+  })
+
+  it('covers only the languages it was harvested in', () => {
+    expect(snapshot.covers(['en', 'fr'])).toBe(true)
+    expect(snapshot.covers(['en', 'fr', 'es'])).toBe(false)
+  })
+})
@@ -0,0 +1,191 @@
+/**
+ * NAICS ↔ UNSPSC Crosswalk
+ * Maps NAICS industries to UNSPSC service codes with confidence and provenance
+ */
+
+import { readFile } from 'fs/promises'
+import { parseCSV, findColumn } from './csv'
+import { unspscParser, type UNSPSCParser } from './unspsc-parser'
+import { loadServices, type ServiceRecord } from './services-data'
+import type { NAICSIndustry } from './naics-parser'
+
+export type CrosswalkSource = 'manual' | 'imported' | 'inferred'
+
+export interface CrosswalkMapping {
+  naics: string
+  unspsc: string
+  confidence: number
+  source: CrosswalkSource
+}
+
+// Mappings below this confidence are reported for review
+export const LOW_CONFIDENCE_THRESHOLD = 0.5
+
+// Confidence assumed for imported rows without a confidence column
+const DEFAULT_IMPORTED_CONFIDENCE = 0.8
+
+// Confidence of a recorded code missing from the loaded UNSPSC code set, low enough to be reviewed
+const UNVERIFIED_CONFIDENCE = 0.4
+
+// Words that carry no meaning when comparing classification titles
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'by', 'except', 'for', 'from', 'in', 'of', 'on', 'or',
+  'other', 'related', 'service', 'services', 'the', 'to', 'with', 'which', 'that',
+  'establishments', 'primarily', 'engaged', 'industry', 'comprises', 'providing'
+])
+
+/**
+ * Reduce text to a set of comparable word stems
+ */
+function tokenize(text: string = ''): Set<string> {
+  const tokens = text
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    .map(word => word.replace(/ies$/, 'y').replace(/(?<!s)s$/, ''))
+
+  return new Set(tokens)
+}
+
+/**
+ * Dice coefficient between two token sets
+ */
+function similarity(a: Set<string>, b: Set<string>): number {
+  if (a.size === 0 || b.size === 0) return 0
+
+  let shared = 0
+  a.forEach(token => {
+    if (b.has(token)) shared++
+  })
+
+  return (2 * shared) / (a.size + b.size)
+}
+
+export class NAICSUNSPSCCrosswalk {
+  private mappings = new Map<string, CrosswalkMapping[]>()
+  private unspsc: UNSPSCParser
+
+  constructor(unspsc: UNSPSCParser = unspscParser, records: ServiceRecord[] = loadServices()) {
+    this.unspsc = unspsc
+
+    // Curated service records are preferred over imported or inferred mappings while their code is in the code set
+    for (const record of records) {
+      this.addMapping({ naics: record.naics.code, unspsc: record.unspsc, confidence: 1, source: 'manual' })
+    }
+  }
+
+  /**
+   * Record a mapping, keeping each NAICS code's list ordered by preference
+   */
+  addMapping(mapping: CrosswalkMapping): void {
+    const existing = this.mappings.get(mapping.naics) || []
+    const current = existing.find(other => other.unspsc === mapping.unspsc)
+    if (current && this.rank(current) >= this.rank(mapping)) return
+
+    const updated = existing.filter(other => other.unspsc !== mapping.unspsc).concat(mapping)
+    updated.sort((a, b) => this.rank(b) - this.rank(a))
+    this.mappings.set(mapping.naics, updated)
+  }
+
+  /**
+   * Get the recorded (manual or imported) mappings for a NAICS code,
+   * those whose code is missing from the UNSPSC code set last and at low confidence
+   */
+  getMappings(naicsCode: string): CrosswalkMapping[] {
+    return (this.mappings.get(naicsCode) || [])
+      .map(mapping => this.verify(mapping))
+      .sort((a, b) => Number(this.isLowConfidence(a)) - Number(this.isLowConfidence(b)))
+  }
+
+  /**
+   * Suggest UNSPSC codes for an industry from title and description similarity
+   */
+  suggest(industry: NAICSIndustry, limit: number = 5): CrosswalkMapping[] {
+    const title = tokenize(industry.title)
+    const text = tokenize(`${industry.title} ${industry.description || ''}`)
+
+    return ['family', 'class', 'commodity']
+      .flatMap(level => this.unspsc.getByLevel(level as 'family' | 'class' | 'commodity'))
+      .map(node => {
+        const nodeTitle = tokenize(node.title)
+        const nodeText = tokenize(`${node.title} ${node.definition || ''}`)
+        const confidence = 0.7 * similarity(title, nodeTitle) + 0.3 * similarity(text, nodeText)
+
+        return {
+          naics: industry.code,
+          unspsc: node.code,
+          confidence: Math.round(confidence * 100) / 100,
+          source: 'inferred' as CrosswalkSource
+        }
+      })
+      .filter(mapping => mapping.confidence > 0)
+      .sort((a, b) => b.confidence - a.confidence || a.unspsc.localeCompare(b.unspsc))
+      .slice(0, limit)
+  }
+
+  /**
+   * Resolve the best UNSPSC mapping for an industry, inferring one when none is recorded
+   */
+  resolve(industry: NAICSIndustry): CrosswalkMapping | null {
+    return this.getMappings(industry.code)[0] || this.suggest(industry, 1)[0] || null
+  }
+
+  /**
+   * Check whether a mapping needs review
+   */
+  isLowConfidence(mapping: CrosswalkMapping): boolean {
+    return mapping.confidence < LOW_CONFIDENCE_THRESHOLD
+  }
+
+  /**
+   * Load mapping table rows (naics, unspsc, optional confidence) from a CSV file
+   */
+  async loadFromFile(filePath: string, source: CrosswalkSource = 'imported'): Promise<void> {
+    const records = parseCSV(await readFile(filePath, 'utf-8'), filePath)
+    if (records.length === 0) return
+
+    const naicsColumn = findColumn(records[0], /naics/i)
+    const unspscColumn = findColumn(records[0], /unspsc/i)
+    const confidenceColumn = findColumn(records[0], /confidence/i)
+    if (!naicsColumn || !unspscColumn) {
+      throw new Error(`Crosswalk file ${filePath} must have naics and unspsc columns`)
+    }
+
+    for (const record of records) {
+      const naics = record[naicsColumn].replace(/\D/g, '')
+      const unspsc = record[unspscColumn].replace(/\D/g, '')
+      if (naics.length !== 6 || unspsc.length !== 8) continue
+
+      const confidence = confidenceColumn && record[confidenceColumn]
+        ? Number(record[confidenceColumn])
+        : DEFAULT_IMPORTED_CONFIDENCE
+
+      this.addMapping({
+        naics,
+        unspsc,
+        confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : DEFAULT_IMPORTED_CONFIDENCE,
+        source
+      })
+    }
+  }
+
+  /**
+   * Cap the confidence of a mapping whose code the UNSPSC code set does not list.
+   * Checked on read, since the code set can be loaded after the mappings
+   */
+  private verify(mapping: CrosswalkMapping): CrosswalkMapping {
+    if (this.unspsc.getNode(mapping.unspsc)) return mapping
+    return { ...mapping, confidence: Math.min(mapping.confidence, UNVERIFIED_CONFIDENCE) }
+  }
+
+  /**
+   * Order mappings: manual first, then imported, then by confidence
+   */
+  private rank(mapping: CrosswalkMapping): number {
+    const sourceRank: Record<CrosswalkSource, number> = { manual: 2, imported: 1, inferred: 0 }
+    return sourceRank[mapping.source] * 10 + mapping.confidence
+  }
+}
+
+// Export singleton instance
+export const crosswalk = new NAICSUNSPSCCrosswalk()
@@ -0,0 +1,109 @@
+/**
+ * CSV Reader
+ * Minimal RFC 4180 parser for the classification source files
+ */
+
+interface CSVRow {
+  cells: string[]
+  // 1-based line the row starts on
+  line: number
+}
+
+/**
+ * Parse CSV content into rows of raw cells
+ */
+export function parseCSVRows(content: string, source = 'CSV'): string[][] {
+  return readRows(content, source).map(row => row.cells)
+}
+
+/**
+ * Split CSV content into rows, remembering the line each starts on for error messages
+ */
+function readRows(content: string, source: string): CSVRow[] {
+  const rows: CSVRow[] = []
+  let row: string[] = []
+  let cell = ''
+  let quoted = false
+  let line = 1
+  let rowLine = 1
+  let quoteLine = 1
+
+  // Strip UTF-8 byte order mark written by Excel exports
+  const text = content.charCodeAt(0) === 0xfeff ? content.slice(1) : content
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        if (char === '\n') line++
+        cell += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      quoted = true
+      quoteLine = line
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push({ cells: row, line: rowLine })
+      row = []
+      cell = ''
+      rowLine = ++line
+    } else {
+      cell += char
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`${source} line ${quoteLine}: quoted field is never closed`)
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell)
+    rows.push({ cells: row, line: rowLine })
+  }
+
+  // Drop blank lines
+  return rows.filter(({ cells }) => cells.some(value => value.trim() !== ''))
+}
+
+/**
+ * Parse CSV content into records keyed by the header row
+ * Rows with values beyond the last header column are rejected, since an unquoted comma
+ * would otherwise shift every later value into the wrong column
+ */
+export function parseCSV(content: string, source = 'CSV'): Record<string, string>[] {
+  const [header, ...rows] = readRows(content, source)
+  if (!header) return []
+
+  const keys = header.cells.map(key => key.trim())
+  return rows.map(({ cells, line }) => {
+    if (cells.slice(keys.length).some(value => value.trim() !== '')) {
+      throw new Error(`${source} line ${line}: ${cells.length} values for ${keys.length} columns`)
+    }
+
+    const record: Record<string, string> = {}
+    keys.forEach((key, index) => {
+      record[key] = (cells[index] || '').trim()
+    })
+    return record
+  })
+}
+
+/**
+ * Find the first header matching a pattern (source files rename columns between releases)
+ */
+export function findColumn(record: Record<string, string>, pattern: RegExp): string | undefined {
+  return Object.keys(record).find(key => pattern.test(key))
+}
@@ -0,0 +1,35 @@
+/**
+ * Types for delivery.js; the rules match data/delivery.json
+ */
+
+export type DeliveryMethod = 'in-person' | 'remote' | 'hybrid'
+
+export type ChannelKind = 'web' | 'phone' | 'location'
+
+export interface DeliveryEntry {
+  deliveryMethod: DeliveryMethod
+  channels: ChannelKind[]
+}
+
+export interface DeliveryRules {
+  default: DeliveryEntry
+  // Keyed by NAICS prefix, 2 to 6 digits
+  rules?: Record<string, DeliveryEntry>
+  // Keyed by full NAICS code
+  overrides?: Record<string, DeliveryEntry>
+}
+
+export interface Delivery {
+  deliveryMethod: DeliveryMethod
+  availableChannel: ChannelKind[]
+}
+
+export const DELIVERY_FILE: string
+
+export const DELIVERY_METHODS: DeliveryMethod[]
+
+export const CHANNELS: Record<ChannelKind, 'serviceUrl' | 'servicePhone' | 'serviceLocation'>
+
+export function loadDeliveryRules(filePath?: string): DeliveryRules
+
+export function inferDelivery(code: string, rules?: DeliveryRules): Delivery
@@ -0,0 +1,63 @@
+/**
+ * Service Delivery
+ * Infers the delivery method and default ServiceChannels of a NAICS industry from data/delivery.json
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const DELIVERY_FILE = path.join(__dirname, '..', 'data', 'delivery.json')
+
+const DELIVERY_METHODS = ['in-person', 'remote', 'hybrid']
+
+// Channel kinds and the schema.org ServiceChannel property each one is reached through
+const CHANNELS = {
+  web: 'serviceUrl',
+  phone: 'servicePhone',
+  location: 'serviceLocation'
+}
+
+let defaultRules
+
+/**
+ * Read and check delivery rules; the default rules are read once per process
+ */
+function loadDeliveryRules(filePath = DELIVERY_FILE) {
+  if (filePath === DELIVERY_FILE && defaultRules) return defaultRules
+
+  const rules = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+  const entries = [
+    ['default', rules.default],
+    ...Object.entries(rules.rules || {}),
+    ...Object.entries(rules.overrides || {})
+  ]
+  for (const [key, entry] of entries) {
+    if (!DELIVERY_METHODS.includes(entry.deliveryMethod)) {
+      throw new Error(`${filePath}: ${key} has unknown deliveryMethod "${entry.deliveryMethod}"`)
+    }
+    const unknown = entry.channels.filter(channel => !(channel in CHANNELS))
+    if (unknown.length > 0) {
+      throw new Error(`${filePath}: ${key} has unknown channels ${unknown.join(', ')}`)
+    }
+  }
+
+  if (filePath === DELIVERY_FILE) defaultRules = rules
+  return rules
+}
+
+/**
+ * Delivery method and channels of one industry, e.g. 541511 → remote via web and phone
+ */
+function inferDelivery(code, rules = loadDeliveryRules()) {
+  let entry = (rules.overrides || {})[code]
+
+  // Longest matching prefix wins
+  for (let length = code.length; !entry && length >= 2; length--) {
+    entry = (rules.rules || {})[code.slice(0, length)]
+  }
+  entry = entry || rules.default
+
+  return { deliveryMethod: entry.deliveryMethod, availableChannel: [...entry.channels] }
+}
+
+module.exports = { DELIVERY_FILE, DELIVERY_METHODS, CHANNELS, loadDeliveryRules, inferDelivery }
@@ -0,0 +1,54 @@
+/**
+ * Types for digital-score.js; the model matches data/digital-score.json
+ */
+
+export interface DigitalKeywordRule {
+  // Alternation of words, matched whole-word and case-insensitively
+  pattern: string
+  fields: Array<'title' | 'description'>
+  value: number
+  weight: number
+}
+
+export interface DigitalLevel {
+  min: number
+  label: string
+  description: string
+}
+
+export interface DigitalModel {
+  weights: { default: number, sector: number, subsector: number }
+  default: number
+  // Priors keyed by 2-digit sector and 3-digit subsector code
+  sectors: Record<string, number>
+  subsectors: Record<string, number>
+  keywords?: DigitalKeywordRule[]
+  overrides?: Record<string, { value: number, reason?: string }>
+  // Highest threshold first
+  levels: DigitalLevel[]
+}
+
+export interface DigitalSignal {
+  // e.g. sector:54, subsector:541, keyword:software (title), override:541511, curated
+  source: string
+  value: number
+  // Absent on overrides, which replace the score
+  weight?: number
+  reason?: string
+}
+
+export interface DigitalScore {
+  score: number
+  signals: DigitalSignal[]
+}
+
+export const DIGITAL_SCORE_FILE: string
+
+export function loadDigitalModel(filePath?: string): DigitalModel
+
+export function scoreDigital(
+  industry: { code: string, title: string, description?: string },
+  options?: { model?: DigitalModel, override?: number }
+): DigitalScore
+
+export function digitalLevel(score: number, model?: DigitalModel): DigitalLevel
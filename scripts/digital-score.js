@@ -0,0 +1,87 @@
+/**
+ * Digital Score Model
+ * Scores how digitally a service is delivered from the weighted signals in data/digital-score.json
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const DIGITAL_SCORE_FILE = path.join(__dirname, '..', 'data', 'digital-score.json')
+
+let defaultModel
+
+/**
+ * Read a score model; the default model is read once per process
+ */
+function loadDigitalModel(filePath = DIGITAL_SCORE_FILE) {
+  if (filePath === DIGITAL_SCORE_FILE && defaultModel) return defaultModel
+
+  const model = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+  if (filePath === DIGITAL_SCORE_FILE) defaultModel = model
+  return model
+}
+
+/**
+ * Round a score to two decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100
+}
+
+/**
+ * Score one industry and explain the score with the signals that produced it
+ * A curated value, like a per-code override, replaces the model
+ */
+function scoreDigital(industry, options = {}) {
+  const { model = loadDigitalModel(), override } = options
+  const { code, title, description = '' } = industry
+
+  if (override !== undefined) {
+    return { score: override, signals: [{ source: 'curated', value: override }] }
+  }
+
+  const configured = (model.overrides || {})[code]
+  if (configured) {
+    const signal = { source: `override:${code}`, value: configured.value }
+    if (configured.reason) signal.reason = configured.reason
+    return { score: configured.value, signals: [signal] }
+  }
+
+  const signals = []
+  const sector = code.slice(0, 2)
+  const subsector = code.slice(0, 3)
+
+  if (model.sectors[sector] !== undefined) {
+    signals.push({ source: `sector:${sector}`, value: model.sectors[sector], weight: model.weights.sector })
+  }
+  if (model.subsectors[subsector] !== undefined) {
+    signals.push({ source: `subsector:${subsector}`, value: model.subsectors[subsector], weight: model.weights.subsector })
+  }
+  if (signals.length === 0) {
+    signals.push({ source: 'default', value: model.default, weight: model.weights.default })
+  }
+
+  const text = { title, description }
+  for (const rule of model.keywords || []) {
+    const regex = new RegExp(`\\b(?:${rule.pattern})\\b`, 'i')
+    const field = rule.fields.find(field => regex.test(text[field] || ''))
+    if (field) {
+      const [match] = text[field].match(regex)
+      signals.push({ source: `keyword:${match.toLowerCase()} (${field})`, value: rule.value, weight: rule.weight })
+    }
+  }
+
+  const totalWeight = signals.reduce((total, signal) => total + signal.weight, 0)
+  const weighted = signals.reduce((total, signal) => total + signal.value * signal.weight, 0)
+
+  return { score: round(weighted / totalWeight), signals }
+}
+
+/**
+ * The level a score falls in, e.g. { label: 'high', description: 'primarily digital/remote delivery' }
+ */
+function digitalLevel(score, model = loadDigitalModel()) {
+  return model.levels.find(level => score >= level.min) || model.levels[model.levels.length - 1]
+}
+
+module.exports = { DIGITAL_SCORE_FILE, loadDigitalModel, scoreDigital, digitalLevel }
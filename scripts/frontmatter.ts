@@ -0,0 +1,47 @@
+/**
+ * MDX Frontmatter Reader
+ * Splits MDX files into parsed YAML frontmatter and body
+ */
+
+import { LineCounter, parseDocument, type Node } from 'yaml'
+
+export interface MDXDocument {
+  data: Record<string, any>
+  body: string
+  // Line in the file where the body starts (1-based)
+  bodyLine: number
+  // Line in the file of a frontmatter value, e.g. line(['naics', 'code'])
+  line(path: Array<string | number>): number | undefined
+}
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/
+
+/**
+ * Parse the frontmatter block at the top of an MDX file
+ */
+export function parseFrontmatter(content: string): MDXDocument {
+  const match = content.match(FRONTMATTER_PATTERN)
+  if (!match) {
+    return { data: {}, body: content, bodyLine: 1, line: () => undefined }
+  }
+
+  const lineCounter = new LineCounter()
+  const document = parseDocument(match[1], { lineCounter })
+  if (document.errors.length > 0) {
+    const [error] = document.errors
+    const line = error.linePos ? error.linePos[0].line + 1 : 1
+    const message = error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')
+    throw new Error(`Invalid frontmatter at line ${line}: ${message}`)
+  }
+
+  return {
+    data: document.toJS() || {},
+    body: content.slice(match[0].length),
+    bodyLine: match[0].split('\n').length,
+    line(path) {
+      const node = document.getIn(path, true) as Node | undefined
+      // The frontmatter starts on the line after the opening ---
+      return node?.range ? lineCounter.linePos(node.range[0]).line + 1 : undefined
+    }
+  }
+}
@@ -4,140 +4,39 @@
  * Creates service MDX files with TitleCase names and (group) folders
  */
 
-const fs = require('fs')
 const path = require('path')
-
-const BASE_DIR = path.join(__dirname, '..')
-
-// Sample service data with TitleCase naming
-const SAMPLE_SERVICES = [
-  {
-    name: 'Custom Computer Programming Services',
-    titleCase: 'CustomComputerProgrammingServices',
-    description: 'Writing, modifying, testing, and supporting software to meet the needs of a particular customer',
-    category: 'ProfessionalServices',
-    categoryDisplay: 'Professional Services',
-    subcategory: 'ComputerServices',
-    subcategoryDisplay: 'Computer Services',
-    naics: {
-      code: '541511',
-      title: 'Custom Computer Programming Services',
-      sector: '54',
-      sectorName: 'Professional, Scientific, and Technical Services',
-      subsector: '541',
-      industryGroup: '5415',
-      industryGroupName: 'Computer Systems Design and Related Services'
-    },
-    unspsc: '80111700',
-    wikidata: 'Q21198342',
-    wikipedia: 'https://en.wikipedia.org/wiki/Custom_software',
-    digital: 1.0,
-    serviceType: 'Professional Service'
-  },
-  {
-    name: 'Full-Service Restaurants',
-    titleCase: 'FullServiceRestaurants',
-    description: 'Providing food services to patrons who order and are served while seated and pay after eating',
-    category: 'HospitalityServices',
-    categoryDisplay: 'Hospitality Services',
-    subcategory: 'Restaurants',
-    subcategoryDisplay: 'Restaurants',
-    naics: {
-      code: '722511',
-      title: 'Full-Service Restaurants',
-      sector: '72',
-      sectorName: 'Accommodation and Food Services',
-      subsector: '722',
-      industryGroup: '7225',
-      industryGroupName: 'Restaurants and Other Eating Places'
-    },
-    unspsc: '90101501',
-    wikidata: 'Q11707',
-    wikipedia: 'https://en.wikipedia.org/wiki/Restaurant',
-    digital: 0.3,
-    serviceType: 'Hospitality Service'
-  },
-  {
-    name: 'Offices of Lawyers',
-    titleCase: 'OfficesOfLawyers',
-    description: 'Legal advice and representation in civil and criminal legal matters and other legal services',
-    category: 'ProfessionalServices',
-    categoryDisplay: 'Professional Services',
-    subcategory: 'LegalServices',
-    subcategoryDisplay: 'Legal Services',
-    naics: {
-      code: '541110',
-      title: 'Offices of Lawyers',
-      sector: '54',
-      sectorName: 'Professional, Scientific, and Technical Services',
-      subsector: '541',
-      industryGroup: '5411',
-      industryGroupName: 'Legal Services'
-    },
-    unspsc: '80121500',
-    wikidata: 'Q40348',
-    wikipedia: 'https://en.wikipedia.org/wiki/Lawyer',
-    digital: 0.6,
-    serviceType: 'Professional Service'
-  },
-  {
-    name: 'Offices of Physicians',
-    titleCase: 'OfficesOfPhysicians',
-    description: 'Medical care services provided by licensed physicians in private practice',
-    category: 'HealthcareServices',
-    categoryDisplay: 'Healthcare Services',
-    subcategory: 'Physicians',
-    subcategoryDisplay: 'Physicians',
-    naics: {
-      code: '621111',
-      title: 'Offices of Physicians (except Mental Health Specialists)',
-      sector: '62',
-      sectorName: 'Health Care and Social Assistance',
-      subsector: '621',
-      industryGroup: '6211',
-      industryGroupName: 'Offices of Physicians'
-    },
-    unspsc: '85121600',
-    wikidata: 'Q39631',
-    wikipedia: 'https://en.wikipedia.org/wiki/Physician',
-    digital: 0.5,
-    serviceType: 'Healthcare Service'
-  },
-  {
-    name: 'Elementary and Secondary Schools',
-    titleCase: 'ElementaryAndSecondarySchools',
-    description: 'Providing academic courses and associated course work that comprise a basic preparatory education',
-    category: 'EducationalServices',
-    categoryDisplay: 'Educational Services',
-    subcategory: 'Schools',
-    subcategoryDisplay: 'Schools',
-    naics: {
-      code: '611110',
-      title: 'Elementary and Secondary Schools',
-      sector: '61',
-      sectorName: 'Educational Services',
-      subsector: '611',
-      industryGroup: '6111',
-      industryGroupName: 'Elementary and Secondary Schools'
-    },
-    unspsc: '86101500',
-    wikidata: 'Q3914',
-    wikipedia: 'https://en.wikipedia.org/wiki/School',
-    digital: 0.6,
-    serviceType: 'Educational Service'
-  }
-]
+const { stringifyFrontmatter, jsString } = require('./serialize')
+const { digitalLevel } = require('./digital-score')
+const { inferDelivery } = require('./delivery')
+const { toVariableName } = require('./identifiers')
+const { exampleJSONLD } = require('./jsonld')
+const { extendsChain } = require('./type-graph')
 
 /**
  * Generate MDX for a service
  */
 function generateServiceMDX(service) {
-  const camelName = service.titleCase.charAt(0).toLowerCase() + service.titleCase.slice(1)
-
-  return `---
-title: ${service.name}
-description: ${service.description}
----
+  const camelName = toVariableName(service.titleCase)
+  const level = digitalLevel(service.digital)
+  const delivery = inferDelivery(service.naics.code)
+
+  // Records without a Wikidata item or Wikipedia article leave their lines out
+  const wikidataLines = [
+    service.wikidata && `    - **QID**: [${service.wikidata}](https://www.wikidata.org/wiki/${service.wikidata})`,
+    service.wikipedia && `    - **Wikipedia**: [${service.name}](${service.wikipedia})`
+  ].filter(Boolean)
+  const wikidataTab = wikidataLines.length > 0 ? ['  <Tab value="Wikidata">', ...wikidataLines, '  </Tab>'] : []
+  const tabs = ['NAICS', 'UNSPSC', ...(wikidataLines.length > 0 ? ['Wikidata'] : [])]
+  const linkedResources = [
+    service.wikidata && `- [Wikidata: ${service.name} (${service.wikidata})](https://www.wikidata.org/wiki/${service.wikidata})`,
+    service.wikipedia && `- [Wikipedia: ${service.name}](${service.wikipedia})`
+  ].filter(Boolean)
+
+  return `${stringifyFrontmatter({
+    title: service.name,
+    description: service.description,
+    extends: extendsChain(service.titleCase, service).map(node => node.name)
+  })}
 
 import { Tabs, Tab } from 'fumadocs-ui/components/tabs'
 import { Callout } from 'fumadocs-ui/components/callout'
@@ -148,7 +47,7 @@ ${service.description}
 
 ## Classification
 
-<Tabs items={['NAICS', 'UNSPSC', 'Wikidata']}>
+<Tabs items={[${tabs.map(tab => `'${tab}'`).join(', ')}]}>
   <Tab value="NAICS">
     - **Code**: ${service.naics.code}
     - **Title**: ${service.naics.title}
@@ -159,11 +58,7 @@ ${service.description}
   <Tab value="UNSPSC">
     **Code**: ${service.unspsc}
   </Tab>
-  <Tab value="Wikidata">
-    - **QID**: [${service.wikidata}](https://www.wikidata.org/wiki/${service.wikidata})
-    - **Wikipedia**: [${service.name}](${service.wikipedia})
-  </Tab>
-</Tabs>
+${wikidataTab.map(line => `${line}\n`).join('')}</Tabs>
 
 ## Properties
 
@@ -177,7 +72,8 @@ ${service.description}
 | category | string | Service category | No |
 | hoursAvailable | OpeningHoursSpecification | Service hours | No |
 | offers | Offer | Service pricing | No |
-| availableChannel | ServiceChannel | Access channels | No |
+| availableChannel | ServiceChannel | Access channels: ${delivery.availableChannel.join(', ')} | No |
+| deliveryMethod | string | Delivery method: ${delivery.deliveryMethod} | No |
 
 ## Usage
 
@@ -188,22 +84,22 @@ ${service.description}
 
     // Create a basic service
     const ${camelName} = $.${service.titleCase}.create({
-      name: 'Example ${service.name}',
-      description: '${service.description}',
+      name: ${jsString(`Example ${service.name}`)},
+      description: ${jsString(service.description)},
       provider: 'Example Company',
-      serviceType: '${service.serviceType}',
+      serviceType: ${jsString(service.serviceType)},
       areaServed: 'United States'
     })
 
     // With additional properties
     const detailed${service.titleCase} = $.${service.titleCase}.create({
-      name: 'Premium ${service.name}',
+      name: ${jsString(`Premium ${service.name}`)},
       description: 'Premium service with enhanced features',
       provider: {
         name: 'Premium Service Provider',
         type: 'Organization'
       },
-      serviceType: '${service.serviceType}',
+      serviceType: ${jsString(service.serviceType)},
       areaServed: {
         name: 'San Francisco Bay Area',
         type: 'Place'
@@ -224,24 +120,14 @@ ${service.description}
     const { $ } = require('services.org.ai')
 
     const ${camelName} = $.${service.titleCase}.create({
-      name: 'Example ${service.name}',
+      name: ${jsString(`Example ${service.name}`)},
       provider: 'Example Company'
     })
     \`\`\`
   </Tab>
   <Tab value="JSON-LD">
     \`\`\`json
-    {
-      "@context": "https://schema.org",
-      "@type": "Service",
-      "name": "Example ${service.name}",
-      "description": "${service.description}",
-      "provider": {
-        "@type": "Organization",
-        "name": "Example Company"
-      },
-      "serviceType": "${service.serviceType}"
-    }
+    ${exampleJSONLD(service, '    ')}
     \`\`\`
   </Tab>
 </Tabs>
@@ -251,20 +137,14 @@ ${service.description}
 <Callout type="info">
   **Digital Score**: ${service.digital} / 1.0
 
-  This service has a ${service.digital >= 0.7 ? 'high' : service.digital >= 0.4 ? 'medium' : 'low'} digital delivery score, indicating ${
-    service.digital >= 0.7 ? 'primarily digital/remote delivery' :
-    service.digital >= 0.4 ? 'hybrid delivery with digital components' :
-    'primarily in-person service delivery'
-  }.
+  This service has a ${level.label} digital delivery score, indicating ${level.description}.
 </Callout>
 
 ## Resources
 
 - [Schema.org Service](https://schema.org/Service)
 - [NAICS ${service.naics.code}](https://www.census.gov/naics/?input=${service.naics.code})
-- [Wikidata: ${service.name} (${service.wikidata})](https://www.wikidata.org/wiki/${service.wikidata})
-- [Wikipedia: ${service.name}](${service.wikipedia})
-- [UNSPSC Code ${service.unspsc}](https://www.ungm.org/public/unspsc)
+${linkedResources.map(line => `${line}\n`).join('')}- [UNSPSC Code ${service.unspsc}](https://www.ungm.org/public/unspsc)
 `
 }
 
@@ -272,19 +152,19 @@ ${service.description}
  * Generate category index page
  */
 function generateCategoryIndex(categoryName, categoryDisplay, services) {
-  const subcategories = [...new Set(services.map(s => ({ name: s.subcategory, display: s.subcategoryDisplay })))]
+  const subcategories = [...new Map(services.map(s => [s.subcategory.name, s.subcategory])).values()]
 
-  return `---
-title: ${categoryDisplay}
-description: Service types in the ${categoryDisplay} category
----
+  return `${stringifyFrontmatter({
+    title: categoryDisplay,
+    description: `Service types in the ${categoryDisplay} category`
+  })}
 
 # ${categoryDisplay}
 
 Browse service types in this category:
 
 ${subcategories.map(sub => {
-  const subServices = services.filter(s => s.subcategory === sub.name)
+  const subServices = services.filter(s => s.subcategory.name === sub.name)
   return `## ${sub.display}\n\n${subServices.map(s => `- [${s.name}](/${s.titleCase})`).join('\n')}`
 }).join('\n\n')}
 
@@ -300,10 +180,10 @@ Total service types: ${services.length}
  * Generate subcategory index page
  */
 function generateSubcategoryIndex(categoryName, categoryDisplay, subcategoryName, subcategoryDisplay, services) {
-  return `---
-title: ${subcategoryDisplay}
-description: Service types in ${subcategoryDisplay}
----
+  return `${stringifyFrontmatter({
+    title: subcategoryDisplay,
+    description: `Service types in ${subcategoryDisplay}`
+  })}
 
 # ${subcategoryDisplay}
 
@@ -320,30 +200,29 @@ ${services.map(s => `- [${s.name}](/${s.titleCase})`).join('\n')}
 }
 
 /**
- * Main generation function
+ * Render service pages and index pages into (Category)/(Subcategory) groups
+ * Paths are relative to the repository root
  */
-function generateServices() {
-  console.log('🚀 Generating services with TitleCase and fumadocs structure...\n')
-
-  let generated = 0
+function renderFumadocs(services) {
+  const files = []
 
   // Group services by category and subcategory
   const categoryMap = new Map()
 
-  for (const service of SAMPLE_SERVICES) {
-    const categoryKey = service.category
+  for (const service of services) {
+    const categoryKey = service.category.name
     if (!categoryMap.has(categoryKey)) {
       categoryMap.set(categoryKey, {
-        display: service.categoryDisplay,
+        display: service.category.display,
         subcategories: new Map()
       })
     }
 
     const category = categoryMap.get(categoryKey)
-    const subcategoryKey = service.subcategory
+    const subcategoryKey = service.subcategory.name
     if (!category.subcategories.has(subcategoryKey)) {
       category.subcategories.set(subcategoryKey, {
-        display: service.subcategoryDisplay,
+        display: service.subcategory.display,
         services: []
       })
     }
@@ -351,71 +230,57 @@ function generateServices() {
     category.subcategories.get(subcategoryKey).services.push(service)
   }
 
-  // Generate files for each service
-  for (const service of SAMPLE_SERVICES) {
-    try {
-      const categoryDir = `(${service.category})`
-      const subcategoryDir = `(${service.subcategory})`
-      const dirPath = path.join(BASE_DIR, categoryDir, subcategoryDir)
-
-      // Ensure directory exists
-      if (!fs.existsSync(dirPath)) {
-        fs.mkdirSync(dirPath, { recursive: true })
-      }
-
-      // Generate service MDX with TitleCase filename
-      const mdxContent = generateServiceMDX(service)
-      const filename = `${service.titleCase}.mdx`
-      const filepath = path.join(dirPath, filename)
-
-      fs.writeFileSync(filepath, mdxContent, 'utf-8')
-
-      console.log(`✅ Generated: ${categoryDir}/${subcategoryDir}/${filename}`)
-      console.log(`   → Slug: /${service.titleCase}`)
-      generated++
-    } catch (error) {
-      console.error(`❌ Failed to generate ${service.name}:`, error.message)
-    }
+  // Service pages with TitleCase filenames
+  for (const service of services) {
+    files.push({
+      path: path.join(`(${service.category.name})`, `(${service.subcategory.name})`, `${service.titleCase}.mdx`),
+      content: generateServiceMDX(service),
+      source: service.naics.code
+    })
   }
 
-  // Generate category index pages
+  // Category and subcategory index pages
   for (const [categoryKey, categoryData] of categoryMap.entries()) {
-    const categoryDir = path.join(BASE_DIR, `(${categoryKey})`)
     const allServices = Array.from(categoryData.subcategories.values()).flatMap(s => s.services)
-    const indexContent = generateCategoryIndex(categoryKey, categoryData.display, allServices)
-    const indexPath = path.join(categoryDir, 'index.mdx')
-
-    fs.writeFileSync(indexPath, indexContent, 'utf-8')
-    console.log(`✅ Generated: (${categoryKey})/index.mdx`)
+    files.push({
+      path: path.join(`(${categoryKey})`, 'index.mdx'),
+      content: generateCategoryIndex(categoryKey, categoryData.display, allServices),
+      source: categoryKey
+    })
 
-    // Generate subcategory index pages
     for (const [subcategoryKey, subcategoryData] of categoryData.subcategories.entries()) {
-      const subcategoryDir = path.join(categoryDir, `(${subcategoryKey})`)
-      const subIndexContent = generateSubcategoryIndex(
-        categoryKey,
-        categoryData.display,
-        subcategoryKey,
-        subcategoryData.display,
-        subcategoryData.services
-      )
-      const subIndexPath = path.join(subcategoryDir, 'index.mdx')
-
-      fs.writeFileSync(subIndexPath, subIndexContent, 'utf-8')
-      console.log(`✅ Generated: (${categoryKey})/(${subcategoryKey})/index.mdx`)
+      files.push({
+        path: path.join(`(${categoryKey})`, `(${subcategoryKey})`, 'index.mdx'),
+        content: generateSubcategoryIndex(
+          categoryKey,
+          categoryData.display,
+          subcategoryKey,
+          subcategoryData.display,
+          subcategoryData.services
+        ),
+        source: subcategoryKey
+      })
     }
   }
 
-  console.log(`\n📊 Generation complete!`)
-  console.log(`   ✅ Generated: ${generated} service types`)
-  console.log(`   ✅ Generated: ${categoryMap.size} category indexes`)
-  console.log(`   ✅ Generated: ${Array.from(categoryMap.values()).reduce((sum, c) => sum + c.subcategories.size, 0)} subcategory indexes`)
-  console.log(`   📁 Structure: (Category)/(Subcategory)/TitleCase.mdx`)
-  console.log(`   🔗 URLs: /TitleCase (groups don't affect slug)`)
+  return files
 }
 
+/**
+ * Main generation function; writes through the generator CLI so the manifest records every page
+ */
+function generateServices() {
+  const { generate } = require('./generate')
+  const { loadTarget } = require('./targets')
+  return generate([loadTarget('fumadocs')])
+}
+
+module.exports = { generateServices, renderFumadocs }
+
 // Run generator
 if (require.main === module) {
-  generateServices()
+  generateServices().catch(error => {
+    console.error(`❌ ${error.message}`)
+    process.exitCode = 1
+  })
 }
-
-module.exports = { generateServices }
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Runtime Registry Generator
+ * Builds src/registry.ts, src/schemas.ts and schemas/ from the frontmatter of every service type MDX file,
+ * and the Subtypes section of types/Service.mdx from their extends chains
+ */
+
+import { readFileSync, readdirSync, writeFileSync, existsSync, mkdirSync, unlinkSync } from 'fs'
+import { basename, join } from 'path'
+import { parseFrontmatter } from './frontmatter'
+import { ROOT_TYPE, TypeGraph, renderSubtypes } from './type-graph'
+import {
+  BASE_SCHEMA_FILE,
+  buildServiceSchema,
+  buildTypeSchema,
+  readPropertyTables,
+  renderDeclarations,
+  type JSONSchema
+} from './type-schemas'
+
+const TYPES_DIR = join(__dirname, '..', 'types')
+const GENERATED_DIR = join(TYPES_DIR, 'generated')
+const REGISTRY_FILE = join(__dirname, '..', 'src', 'registry.ts')
+const SCHEMAS_MODULE = join(__dirname, '..', 'src', 'schemas.ts')
+const SCHEMAS_DIR = join(__dirname, '..', 'schemas')
+
+const SUBTYPES_INTRO = 'Generated by `npm run generate:registry` from the `extends` chain of every service type:'
+
+// Frontmatter fields carried into the runtime definition
+const DEFINITION_FIELDS = ['$id', 'extends', 'name', 'description', 'naics', 'unspsc', 'wikidata', 'wikipedia', 'digital', 'deliveryMethod', 'availableChannel', 'serviceType']
+
+/**
+ * The `$` accessor name is the type name, which identifiers.js also uses as the filename
+ */
+function accessorName(filepath: string): string {
+  return basename(filepath, '.mdx')
+}
+
+/**
+ * Read the runtime definition from a service type MDX file
+ */
+function readDefinition(filepath: string): Record<string, unknown> {
+  const { data } = parseFrontmatter(readFileSync(filepath, 'utf-8'))
+  if (!data.$id) {
+    throw new Error(`Missing $id in ${filepath}`)
+  }
+
+  const definition: Record<string, unknown> = {}
+  for (const field of DEFINITION_FIELDS) {
+    if (data[field] !== undefined) {
+      definition[field] = data[field]
+    }
+  }
+
+  return definition
+}
+
+/**
+ * Collect the base Service type and all generated service types
+ */
+function collectDefinitions(): Record<string, Record<string, unknown>> {
+  const files = [join(TYPES_DIR, 'Service.mdx')]
+
+  if (existsSync(GENERATED_DIR)) {
+    readdirSync(GENERATED_DIR)
+      .filter(file => file.endsWith('.mdx'))
+      .sort()
+      .forEach(file => files.push(join(GENERATED_DIR, file)))
+  }
+
+  const definitions: Record<string, Record<string, unknown>> = {}
+  const seen = new Map<string, string>()
+  for (const filepath of files) {
+    const name = accessorName(filepath)
+
+    // OfficesofLawyers and OfficesOfLawyers are the same file on case-insensitive filesystems
+    const other = seen.get(name.toLowerCase())
+    if (other) {
+      throw new Error(`Duplicate service type ${name} (${filepath} and ${other})`)
+    }
+    seen.set(name.toLowerCase(), filepath)
+    definitions[name] = readDefinition(filepath)
+  }
+
+  return definitions
+}
+
+/**
+ * Generate src/registry.ts
+ */
+function generateRegistry() {
+  console.log('🚀 Generating runtime service type registry...\n')
+
+  const definitions = collectDefinitions()
+  const content = `/**
+ * Service Type Registry
+ * Generated by scripts/generate-registry.ts from the MDX frontmatter in types/ - do not edit
+ */
+
+import type { NAICSClassification, ServiceProperties, ServiceTypeDefinition } from './types'
+
+export const SERVICE_TYPES = ${JSON.stringify(definitions, null, 2)} satisfies Record<string, ServiceTypeDefinition>
+
+${renderDeclarations(definitions)}
+`
+
+  writeFileSync(REGISTRY_FILE, content, 'utf-8')
+
+  const schemas = generateSchemas(definitions)
+  const subtypes = updateSubtypes(definitions)
+
+  console.log(`📊 Registry complete!`)
+  console.log(`   ✅ Service types: ${Object.keys(definitions).length}`)
+  console.log(`   📁 Output: ${REGISTRY_FILE}`)
+  console.log(`   📁 Schemas: ${schemas} in ${SCHEMAS_DIR}`)
+  console.log(`   🌳 Subtypes of Service: ${subtypes}`)
+}
+
+/**
+ * Write the base and per-type JSON Schemas to schemas/ and embed them in src/schemas.ts
+ * Returns the number of schema files
+ */
+function generateSchemas(definitions: Record<string, Record<string, unknown>>): number {
+  const base = buildServiceSchema(readPropertyTables(readFileSync(join(TYPES_DIR, 'Service.mdx'), 'utf-8')))
+  const typeSchemas: Record<string, JSONSchema> = {}
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (name !== 'Service') typeSchemas[name] = buildTypeSchema(name, definition)
+  }
+
+  const files = new Map<string, JSONSchema>([[BASE_SCHEMA_FILE, base]])
+  for (const [name, schema] of Object.entries(typeSchemas)) {
+    files.set(`${name}.schema.json`, schema)
+  }
+
+  mkdirSync(SCHEMAS_DIR, { recursive: true })
+  for (const file of readdirSync(SCHEMAS_DIR)) {
+    if (file.endsWith('.schema.json') && !files.has(file)) unlinkSync(join(SCHEMAS_DIR, file))
+  }
+  for (const [file, schema] of files) {
+    writeFileSync(join(SCHEMAS_DIR, file), JSON.stringify(schema, null, 2) + '\n', 'utf-8')
+  }
+
+  writeFileSync(SCHEMAS_MODULE, `/**
+ * Service Type Schemas
+ * Generated by scripts/generate-registry.ts from types/Service.mdx and the service type frontmatter - do not edit
+ */
+
+export const SERVICE_SCHEMA = ${JSON.stringify(base, null, 2)}
+
+export const TYPE_SCHEMAS: Record<string, object> = ${JSON.stringify(typeSchemas, null, 2)}
+`, 'utf-8')
+
+  return files.size
+}
+
+/**
+ * Rewrite the Subtypes section of types/Service.mdx from the extends chain of every service type,
+ * linking the types that have a page. Returns the number of subtypes listed
+ */
+function updateSubtypes(definitions: Record<string, Record<string, unknown>>): number {
+  const graph = new TypeGraph()
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (name === ROOT_TYPE) continue
+    const chain = Array.isArray(definition.extends) ? definition.extends : [ROOT_TYPE]
+    graph.add(name, name, chain.map(type => ({ name: type, title: type })))
+  }
+
+  const section = renderSubtypes(graph, ROOT_TYPE, {
+    link: name => (definitions[name] ? `generated/${name}.mdx` : undefined),
+    intro: SUBTYPES_INTRO
+  })
+  const file = join(TYPES_DIR, 'Service.mdx')
+  const content = readFileSync(file, 'utf-8')
+  const pattern = /^## Subtypes\n[\s\S]*?(?=^## )/m
+  if (!pattern.test(content)) {
+    throw new Error(`No ## Subtypes section followed by another section in ${file}`)
+  }
+
+  writeFileSync(file, content.replace(pattern, `${section || '## Subtypes\n\nNo service types extend Service yet.'}\n\n`), 'utf-8')
+  return graph.subtypes(ROOT_TYPE).length
+}
+
+// Run generator if executed directly
+if (require.main === module) {
+  generateRegistry()
+}
+
+export { generateRegistry }
@@ -1,139 +1,58 @@
 #!/usr/bin/env node
 /**
  * Generate Sample Services
- * Creates sample service type MDX files
+ * Creates sample service type MDX files for the curated records in samples/, apart from the
+ * ontology pages in types/generated/ that the runtime registry is built from
  */
 
-const fs = require('fs')
 const path = require('path')
+const { stringifyFrontmatter, jsString } = require('./serialize')
+const { scoreDigital } = require('./digital-score')
+const { inferDelivery } = require('./delivery')
+const { toVariableName } = require('./identifiers')
+const { extendsChain, renderBreadcrumb } = require('./type-graph')
 
-const OUTPUT_DIR = path.join(__dirname, '..', 'types', 'generated')
-
-// Sample service data with NAICS classification
-const SAMPLE_SERVICES = [
-  {
-    name: 'Custom Computer Programming Services',
-    description: 'Writing, modifying, testing, and supporting software to meet the needs of a particular customer',
-    naics: {
-      code: '541511',
-      title: 'Custom Computer Programming Services',
-      sector: '54',
-      sectorName: 'Professional, Scientific, and Technical Services',
-      subsector: '541',
-      industryGroup: '5415',
-      industryGroupName: 'Computer Systems Design and Related Services'
-    },
-    unspsc: '80111700',
-    wikidata: 'Q21198342',
-    wikipedia: 'https://en.wikipedia.org/wiki/Custom_software',
-    digital: 1.0,
-    serviceType: 'Professional Service'
-  },
-  {
-    name: 'Full-Service Restaurants',
-    description: 'Providing food services to patrons who order and are served while seated and pay after eating',
-    naics: {
-      code: '722511',
-      title: 'Full-Service Restaurants',
-      sector: '72',
-      sectorName: 'Accommodation and Food Services',
-      subsector: '722',
-      industryGroup: '7225',
-      industryGroupName: 'Restaurants and Other Eating Places'
-    },
-    unspsc: '90101501',
-    wikidata: 'Q11707',
-    wikipedia: 'https://en.wikipedia.org/wiki/Restaurant',
-    digital: 0.3,
-    serviceType: 'Hospitality Service'
-  },
-  {
-    name: 'Offices of Lawyers',
-    description: 'Legal advice and representation in civil and criminal legal matters and other legal services',
-    naics: {
-      code: '541110',
-      title: 'Offices of Lawyers',
-      sector: '54',
-      sectorName: 'Professional, Scientific, and Technical Services',
-      subsector: '541',
-      industryGroup: '5411',
-      industryGroupName: 'Legal Services'
-    },
-    unspsc: '80121500',
-    wikidata: 'Q40348',
-    wikipedia: 'https://en.wikipedia.org/wiki/Lawyer',
-    digital: 0.6,
-    serviceType: 'Professional Service'
-  },
-  {
-    name: 'Offices of Physicians',
-    description: 'Medical care services provided by licensed physicians in private practice',
-    naics: {
-      code: '621111',
-      title: 'Offices of Physicians (except Mental Health Specialists)',
-      sector: '62',
-      sectorName: 'Health Care and Social Assistance',
-      subsector: '621',
-      industryGroup: '6211',
-      industryGroupName: 'Offices of Physicians'
-    },
-    unspsc: '85121600',
-    wikidata: 'Q39631',
-    wikipedia: 'https://en.wikipedia.org/wiki/Physician',
-    digital: 0.5,
-    serviceType: 'Healthcare Service'
-  },
-  {
-    name: 'Elementary and Secondary Schools',
-    description: 'Providing academic courses and associated course work that comprise a basic preparatory education',
-    naics: {
-      code: '611110',
-      title: 'Elementary and Secondary Schools',
-      sector: '61',
-      sectorName: 'Educational Services',
-      subsector: '611',
-      industryGroup: '6111',
-      industryGroupName: 'Elementary and Secondary Schools'
-    },
-    unspsc: '86101500',
-    wikidata: 'Q3914',
-    wikipedia: 'https://en.wikipedia.org/wiki/School',
-    digital: 0.6,
-    serviceType: 'Educational Service'
-  }
-]
+const OUTPUT_DIR = 'samples'
 
 /**
  * Generate MDX for a service
  */
 function generateServiceMDX(service) {
-  const kebabName = service.name.toLowerCase().replace(/\s+/g, '-').replace(/[()]/g, '')
-  const pascalName = service.name.replace(/\s+/g, '').replace(/[()]/g, '')
-  const camelName = pascalName.charAt(0).toLowerCase() + pascalName.slice(1)
-
-  return `---
-$id: https://services.org.ai/${kebabName}
-$context: https://schema.org.ai
-$type: Service
-name: ${service.name}
-description: ${service.description}
-naics:
-  code: "${service.naics.code}"
-  title: "${service.naics.title}"
-  sector: "${service.naics.sector}"
-  sectorName: "${service.naics.sectorName}"
-  subsector: "${service.naics.subsector}"
-  industryGroup: "${service.naics.industryGroup}"
-  industryGroupName: "${service.naics.industryGroupName}"
-unspsc: "${service.unspsc}"
-wikidata: https://www.wikidata.org/wiki/${service.wikidata}
-wikipedia: ${service.wikipedia}
-digital: ${service.digital}
-category: Service
-serviceType: ${service.serviceType}
----
-
-[Thing](https://schema.org.ai/Thing) > [Service](../Service.mdx) > ${service.naics.sectorName}
+  const camelName = toVariableName(service.titleCase)
+  const digital = scoreDigital(service.naics, { override: service.digital })
+  const delivery = inferDelivery(service.naics.code)
+  const chain = extendsChain(service.titleCase, service)
+
+  // Records without a Wikidata item or Wikipedia article leave their lines out
+  const classificationLinks = [
+    service.wikidata && `- **Wikidata**: [${service.wikidata}](https://www.wikidata.org/wiki/${service.wikidata})`,
+    service.wikipedia && `- **Wikipedia**: [${service.name}](${service.wikipedia})`
+  ].filter(Boolean)
+  const linkedResources = [
+    service.wikidata && `- [Wikidata: ${service.name} (${service.wikidata})](https://www.wikidata.org/wiki/${service.wikidata})`,
+    service.wikipedia && `- [Wikipedia: ${service.name}](${service.wikipedia})`
+  ].filter(Boolean)
+
+  return `${stringifyFrontmatter({
+    $id: `https://services.org.ai/${service.slug}`,
+    $context: 'https://schema.org.ai',
+    $type: 'Service',
+    extends: chain.map(node => node.name),
+    name: service.name,
+    description: service.description,
+    naics: service.naics,
+    unspsc: service.unspsc,
+    wikidata: service.wikidata && `https://www.wikidata.org/wiki/${service.wikidata}`,
+    wikipedia: service.wikipedia,
+    digital: digital.score,
+    digitalSignals: digital.signals,
+    deliveryMethod: delivery.deliveryMethod,
+    availableChannel: delivery.availableChannel,
+    category: 'Service',
+    serviceType: service.serviceType
+  })}
+
+${renderBreadcrumb(chain, '../types/Service.mdx')}
 
 # ${service.name}
 
@@ -151,38 +70,37 @@ ${service.description}
 | category | Text \\| Thing | Category of the service | Service |
 | hoursAvailable | OpeningHoursSpecification | Service hours | Service |
 | offers | Offer | Service offer details | Service |
-| availableChannel | ServiceChannel | How to access the service | Service |
+| availableChannel | ServiceChannel | How to access the service: ${delivery.availableChannel.join(', ')} | Service |
+| deliveryMethod | Text | How the service is delivered: ${delivery.deliveryMethod} | Service |
 
 ## Classification
 
 - **NAICS**: ${service.naics.code} (${service.naics.sectorName} > ${service.naics.industryGroupName} > ${service.naics.title})
 - **UNSPSC**: ${service.unspsc}
-- **Wikidata**: [${service.wikidata}](https://www.wikidata.org/wiki/${service.wikidata})
-- **Wikipedia**: [${service.name}](${service.wikipedia})
-
+${classificationLinks.map(line => `${line}\n`).join('')}
 ## Examples
 
 \`\`\`typescript
 import { $ } from 'services.org.ai'
 
 // Create a basic service
-const ${camelName} = $.${pascalName}.create({
-  name: 'Example ${service.name}',
-  description: '${service.description}',
+const ${camelName} = $.${service.titleCase}.create({
+  name: ${jsString(`Example ${service.name}`)},
+  description: ${jsString(service.description)},
   provider: 'Example Company',
-  serviceType: '${service.serviceType}',
+  serviceType: ${jsString(service.serviceType)},
   areaServed: 'United States'
 })
 
 // With additional properties
-const detailed${pascalName} = $.${pascalName}.create({
-  name: 'Premium ${service.name}',
+const detailed${service.titleCase} = $.${service.titleCase}.create({
+  name: ${jsString(`Premium ${service.name}`)},
   description: 'Premium service with enhanced features',
   provider: {
     name: 'Premium Service Provider',
     type: 'Organization'
   },
-  serviceType: '${service.serviceType}',
+  serviceType: ${jsString(service.serviceType)},
   areaServed: {
     name: 'San Francisco Bay Area',
     type: 'Place'
@@ -195,54 +113,43 @@ const detailed${pascalName} = $.${pascalName}.create({
 })
 
 // Query services
-const allServices = $.${pascalName}.find()
+const allServices = $.${service.titleCase}.find()
 \`\`\`
 
 ## Resources
 
 - [Schema.org Service](https://schema.org/Service)
 - [NAICS ${service.naics.code}](https://www.census.gov/naics/?input=${service.naics.code})
-- [Wikidata: ${service.name} (${service.wikidata})](https://www.wikidata.org/wiki/${service.wikidata})
-- [Wikipedia: ${service.name}](${service.wikipedia})
-`
+${linkedResources.map(line => `${line}\n`).join('')}`
 }
 
 /**
- * Main generation function
+ * Render one sample page per service
+ * Paths are relative to the repository root
  */
-function generateSamples() {
-  console.log('🚀 Generating sample service types...\n')
-
-  // Ensure output directory exists
-  if (!fs.existsSync(OUTPUT_DIR)) {
-    fs.mkdirSync(OUTPUT_DIR, { recursive: true })
-  }
-
-  let generated = 0
-
-  for (const service of SAMPLE_SERVICES) {
-    try {
-      const mdxContent = generateServiceMDX(service)
-      const filename = `${service.name.replace(/\s+/g, '').replace(/[()]/g, '')}.mdx`
-      const filepath = path.join(OUTPUT_DIR, filename)
-
-      fs.writeFileSync(filepath, mdxContent, 'utf-8')
-
-      console.log(`✅ Generated: ${filename}`)
-      generated++
-    } catch (error) {
-      console.error(`❌ Failed to generate ${service.name}:`, error.message)
-    }
-  }
+function renderSamples(services) {
+  return services.map(service => ({
+    path: path.join(OUTPUT_DIR, `${service.titleCase}.mdx`),
+    content: generateServiceMDX(service),
+    source: service.naics.code
+  }))
+}
 
-  console.log(`\n📊 Generation complete!`)
-  console.log(`   ✅ Generated: ${generated} service types`)
-  console.log(`   📁 Output: ${OUTPUT_DIR}`)
+/**
+ * Main generation function; writes through the generator CLI so the manifest records every page
+ */
+function generateSamples() {
+  const { generate } = require('./generate')
+  const { loadTarget } = require('./targets')
+  return generate([loadTarget('samples')])
 }
 
+module.exports = { generateSamples, renderSamples }
+
 // Run generator
 if (require.main === module) {
-  generateSamples()
+  generateSamples().catch(error => {
+    console.error(`❌ ${error.message}`)
+    process.exitCode = 1
+  })
 }
-
-module.exports = { generateSamples }
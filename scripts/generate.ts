@@ -1,120 +1,121 @@
 #!/usr/bin/env node
 /**
  * Main Service Type Generator
- * Generates MDX files for all service types
+ * Renders the selected output targets and writes the files that changed
+ *
+ * Usage: generate [--target=ontology,flat,fumadocs,samples,rdf,skos,./my-target.js]
+ *                 [--sector=54,62] [--naics=5415] [--dry-run]
+ *                 [--wikidata] [--offline] [--languages=en,fr] [--locale-pages]
  */
 
-import { writeFileSync, mkdirSync, existsSync } from 'fs'
 import { join } from 'path'
-import { naicsParser } from './naics-parser'
-import { mdxGenerator } from './mdx-generator'
-
-const OUTPUT_DIR = join(__dirname, '..', 'types', 'generated')
+import { loadServices } from './services-data'
+import { GenerationManifest, MANIFEST_FILE } from './manifest'
+import {
+  BUILTIN_TARGETS,
+  loadTarget,
+  matchesFilter,
+  type GenerateOptions,
+  type GeneratorTarget,
+  type ServiceFilter
+} from './targets'
+
+const ROOT_DIR = join(__dirname, '..')
+
+export interface RunOptions extends GenerateOptions {
+  filter?: ServiceFilter
+  // Print what would be written without touching the filesystem
+  dryRun?: boolean
+}
 
 /**
- * Generate all service type MDX files
+ * List the paths in one category of a sync report
  */
-async function generateAllServices() {
-  console.log('🚀 Starting service type generation...\n')
-
-  // Ensure output directory exists
-  if (!existsSync(OUTPUT_DIR)) {
-    mkdirSync(OUTPUT_DIR, { recursive: true })
+function printPaths(symbol: string, paths: string[]) {
+  for (const path of paths) {
+    console.log(`   ${symbol} ${path}`)
   }
+}
 
-  // Get all service industries from NAICS
-  const industries = naicsParser.getServiceIndustries()
-  console.log(`📦 Found ${industries.length} service types to generate\n`)
-
-  let generated = 0
-  let failed = 0
-
-  for (const industry of industries) {
-    try {
-      // Get classification
-      const classification = naicsParser.getClassification(industry.code)
-      if (!classification) {
-        console.warn(`⚠️  No classification found for ${industry.title} (${industry.code})`)
-        failed++
-        continue
-      }
-
-      // Generate MDX content
-      const mdxContent = mdxGenerator.generate({
-        industry,
-        classification,
-        digital: calculateDigitalScore(industry),
-        examples: true
-      })
-
-      // Generate filename
-      const filename = mdxGenerator.generateFilename(industry.title)
-      const filepath = join(OUTPUT_DIR, filename)
-
-      // Write file
-      writeFileSync(filepath, mdxContent, 'utf-8')
-
-      console.log(`✅ Generated: ${filename}`)
-      generated++
-    } catch (error) {
-      console.error(`❌ Failed to generate ${industry.title}:`, error)
-      failed++
-    }
+/**
+ * Render each target and sync its files with the manifest
+ */
+async function generate(targets: GeneratorTarget[], options: RunOptions = {}) {
+  const filter = options.filter || {}
+  const filtered = Boolean(filter.sectors?.length || filter.naicsPrefixes?.length)
+  const matches = (naics: { code: string, sector: string }) => matchesFilter(naics, filter)
+  const records = loadServices().filter(record => matches(record.naics))
+  const manifest = new GenerationManifest(ROOT_DIR)
+
+  for (const target of targets) {
+    console.log(`🚀 Generating ${target.name} (${target.description})...\n`)
+
+    const files = await target.render({ records, matches, options })
+
+    // A filtered run renders only part of the target, so nothing it skipped is an orphan
+    const report = manifest.sync(target.name, files, { dryRun: options.dryRun, prune: !filtered })
+
+    console.log(`📊 ${target.name}${options.dryRun ? ' (dry run, nothing written)' : ''}:`)
+    console.log(`   ➕ Added: ${report.added.length}`)
+    printPaths('+', report.added)
+    console.log(`   ✏️  Changed: ${report.changed.length}`)
+    printPaths('~', report.changed)
+    console.log(`   🗑️  Removed: ${report.removed.length}`)
+    printPaths('-', report.removed)
+    console.log(`   ⏭️  Unchanged: ${report.unchanged.length}\n`)
   }
 
-  console.log(`\n📊 Generation complete!`)
-  console.log(`   ✅ Generated: ${generated}`)
-  console.log(`   ❌ Failed: ${failed}`)
-  console.log(`   📁 Output: ${OUTPUT_DIR}`)
+  if (!options.dryRun) {
+    manifest.save()
+    console.log(`📁 Manifest: ${MANIFEST_FILE}`)
+  }
 }
 
 /**
- * Calculate digital score based on service sector
+ * Read a comma-separated --name=value flag
  */
-function calculateDigitalScore(industry: any): number {
-  const sectorCode = industry.sector.code
-  const title = industry.title.toLowerCase()
+function listArg(argv: string[], name: string): string[] | undefined {
+  const arg = argv.find(arg => arg.startsWith(`--${name}=`))
+  return arg ? arg.slice(name.length + 3).split(',').filter(Boolean) : undefined
+}
 
-  // Computer/IT services = high digital score
-  if (title.includes('computer') ||
-      title.includes('software') ||
-      title.includes('web') ||
-      title.includes('data processing') ||
-      title.includes('internet')) {
-    return 1.0
+/**
+ * Parse command-line flags
+ */
+function parseArgs(argv: string[]): { targets: string[], options: RunOptions } {
+  return {
+    targets: listArg(argv, 'target') || ['ontology'],
+    options: {
+      wikidata: argv.includes('--wikidata'),
+      offline: argv.includes('--offline'),
+      languages: listArg(argv, 'languages'),
+      localePages: argv.includes('--locale-pages'),
+      dryRun: argv.includes('--dry-run'),
+      filter: {
+        sectors: listArg(argv, 'sector'),
+        naicsPrefixes: listArg(argv, 'naics')
+      }
+    }
   }
-
-  // Information services = high digital
-  if (sectorCode === '51') return 0.9
-
-  // Professional services (consulting, etc.) = medium-high digital
-  if (sectorCode === '54') return 0.7
-
-  // Financial services = medium-high digital
-  if (sectorCode === '52') return 0.8
-
-  // Healthcare services = medium digital
-  if (sectorCode === '62') return 0.5
-
-  // Educational services = medium digital
-  if (sectorCode === '61') return 0.6
-
-  // Hospitality/Food services = low-medium digital
-  if (sectorCode === '72') return 0.3
-
-  // Personal services = low digital
-  if (sectorCode === '81') return 0.3
-
-  // Transportation = medium digital
-  if (sectorCode === '48' || sectorCode === '49') return 0.5
-
-  // Default medium score
-  return 0.5
 }
 
 // Run generator if executed directly
 if (require.main === module) {
-  generateAllServices().catch(console.error)
+  const argv = process.argv.slice(2)
+
+  if (argv.includes('--list-targets')) {
+    for (const target of BUILTIN_TARGETS) {
+      console.log(`${target.name.padEnd(10)} ${target.description}`)
+    }
+  } else {
+    const { targets, options } = parseArgs(argv)
+    Promise.resolve()
+      .then(() => generate(targets.map(loadTarget), options))
+      .catch(error => {
+        console.error(`❌ ${error.message}`)
+        process.exitCode = 1
+      })
+  }
 }
 
-export { generateAllServices }
+export { generate, parseArgs }
@@ -0,0 +1,44 @@
+/**
+ * Types for identifiers.js
+ */
+
+export interface IdentifierAlias {
+  typeName?: string
+  slug?: string
+}
+
+export interface ServiceIdentifier {
+  // NAICS code
+  code: string
+  // PascalCase, e.g. OfficesOfLawyers
+  typeName: string
+  // kebab-case, e.g. offices-of-lawyers
+  slug: string
+  // e.g. https://services.org.ai/offices-of-lawyers
+  $id: string
+  // e.g. OfficesOfLawyers.mdx
+  filename: string
+}
+
+export const ALIASES_FILE: string
+
+// https://services.org.ai, without a trailing slash
+export const BASE_URL: string
+
+// https://services.org.ai/vocab#, the svc: prefix
+export const VOCAB_URL: string
+
+export function toTypeName(title: string): string
+
+export function toSlug(title: string): string
+
+export function toVariableName(typeName: string): string
+
+export function loadAliases(filePath?: string): Record<string, IdentifierAlias>
+
+export function identify(code: string, title: string, aliases?: Record<string, IdentifierAlias>): ServiceIdentifier
+
+export function buildIdentifiers(
+  entries: Array<{ code: string, title: string }>,
+  aliases?: Record<string, IdentifierAlias>
+): Map<string, ServiceIdentifier>
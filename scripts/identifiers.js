@@ -0,0 +1,126 @@
+/**
+ * Service Identifiers
+ * Derives the type name, $id slug and filename of a service type from its NAICS title
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const ALIASES_FILE = path.join(__dirname, '..', 'data', 'aliases.json')
+const BASE_URL = 'https://services.org.ai'
+
+// Namespace of the properties and datatypes beyond schema.org, the svc: prefix in JSON-LD and RDF
+const VOCAB_URL = `${BASE_URL}/vocab#`
+
+/**
+ * Split a title into words, e.g. "Offices of Physicians (except Mental Health Specialists)"
+ * → ['Offices', 'of', 'Physicians']
+ * Parentheticals are qualifiers, not part of the name; collisions they cause are caught by buildIdentifiers
+ */
+function words(title) {
+  return title
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/['’]/g, '')
+    .replace(/&/g, ' and ')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+}
+
+/**
+ * PascalCase type name, e.g. "Full-Service Restaurants" → FullServiceRestaurants
+ */
+function toTypeName(title) {
+  const name = words(title)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('')
+
+  if (!/^[A-Z]/.test(name)) {
+    throw new Error(`Cannot derive a type name from "${title}"`)
+  }
+  return name
+}
+
+/**
+ * kebab-case $id slug, e.g. "Offices of Lawyers" → offices-of-lawyers
+ */
+function toSlug(title) {
+  return words(title).join('-').toLowerCase()
+}
+
+/**
+ * camelCase variable name for examples, e.g. OfficesOfLawyers → officesOfLawyers
+ */
+function toVariableName(typeName) {
+  return typeName.charAt(0).toLowerCase() + typeName.slice(1)
+}
+
+/**
+ * Read the identifier overrides, keyed by NAICS code
+ */
+function loadAliases(filePath = ALIASES_FILE) {
+  if (!fs.existsSync(filePath)) return {}
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8')).aliases || {}
+}
+
+/**
+ * Identify one NAICS industry, applying its alias if there is one
+ */
+function identify(code, title, aliases = {}) {
+  const alias = aliases[code] || {}
+  const typeName = alias.typeName || toTypeName(title)
+  const slug = alias.slug || toSlug(title)
+
+  return {
+    code,
+    typeName,
+    slug,
+    $id: `${BASE_URL}/${slug}`,
+    filename: `${typeName}.mdx`
+  }
+}
+
+/**
+ * Identify every industry at once, rejecting any two that share a type name or slug
+ * Names are compared case-insensitively because filenames are on macOS and Windows
+ */
+function buildIdentifiers(entries, aliases = loadAliases()) {
+  const identifiers = new Map()
+  const claimed = { typeName: new Map(), slug: new Map() }
+  const collisions = []
+
+  for (const { code, title } of entries) {
+    if (identifiers.has(code)) continue
+
+    const identifier = identify(code, title, aliases)
+    for (const field of ['typeName', 'slug']) {
+      const key = identifier[field].toLowerCase()
+      const other = claimed[field].get(key)
+      if (other) {
+        collisions.push(`${field} ${identifier[field]}: ${other.code} "${other.title}" and ${code} "${title}"`)
+      } else {
+        claimed[field].set(key, { code, title })
+      }
+    }
+    identifiers.set(code, identifier)
+  }
+
+  if (collisions.length > 0) {
+    throw new Error(`Identifier collisions (add an alias in data/aliases.json):\n  ${collisions.join('\n  ')}`)
+  }
+
+  return identifiers
+}
+
+module.exports = {
+  ALIASES_FILE,
+  BASE_URL,
+  VOCAB_URL,
+  toTypeName,
+  toSlug,
+  toVariableName,
+  loadAliases,
+  identify,
+  buildIdentifiers
+}
@@ -0,0 +1,9 @@
+/**
+ * Types for jsonld.js
+ */
+
+import type { ServiceRecord } from './services-data'
+
+export const JSONLD_CONTEXT: [string, Record<string, string>]
+
+export function exampleJSONLD(service: ServiceRecord, indent?: string): string
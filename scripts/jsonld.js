@@ -0,0 +1,43 @@
+/**
+ * Example JSON-LD
+ * The markup `toJSONLD()` returns for the example instance on each service page, see src/jsonld.ts
+ */
+
+const { inferDelivery } = require('./delivery')
+const { BASE_URL, VOCAB_URL } = require('./identifiers')
+
+const JSONLD_CONTEXT = ['https://schema.org', { svc: VOCAB_URL }]
+
+/**
+ * JSON-LD of `$.Type.create({ name: 'Example …', provider: 'Example Company' })`
+ * Each line after the first is indented by `indent` to sit inside an MDX code block
+ */
+function exampleJSONLD(service, indent = '') {
+  const delivery = inferDelivery(service.naics.code)
+
+  const node = {
+    '@context': JSONLD_CONTEXT,
+    '@type': ['Service', `${BASE_URL}/${service.slug}`],
+    name: `Example ${service.name}`,
+    serviceType: service.serviceType,
+    provider: { '@type': 'Organization', name: 'Example Company' },
+    availableChannel: delivery.availableChannel.map(kind => ({ '@type': 'ServiceChannel', name: kind })),
+    additionalType: `${BASE_URL}/naics/${service.naics.code}`,
+    identifier: [
+      { '@type': 'PropertyValue', propertyID: 'NAICS', value: service.naics.code, name: service.naics.title },
+      { '@type': 'PropertyValue', propertyID: 'UNSPSC', value: service.unspsc }
+    ],
+    sameAs: [
+      service.wikidata ? `https://www.wikidata.org/wiki/${service.wikidata}` : undefined,
+      service.wikipedia
+    ].filter(Boolean),
+    'svc:digital': service.digital,
+    'svc:deliveryMethod': delivery.deliveryMethod
+  }
+
+  if (node.sameAs.length === 0) delete node.sameAs
+
+  return JSON.stringify(node, null, 2).replace(/\n/g, `\n${indent}`)
+}
+
+module.exports = { JSONLD_CONTEXT, exampleJSONLD }
@@ -0,0 +1,172 @@
+/**
+ * Generation Manifest
+ * Records which target wrote each file, from which source record, and its content hash
+ */
+
+import { createHash } from 'crypto'
+import { existsSync, mkdirSync, readFileSync, readdirSync, rmSync, rmdirSync, writeFileSync } from 'fs'
+import { dirname, join, relative } from 'path'
+import type { OutputFile } from './targets'
+
+export const MANIFEST_FILE = 'generated-manifest.json'
+
+export interface ManifestEntry {
+  // NAICS code or category the file was rendered from
+  source?: string
+  hash: string
+}
+
+interface ManifestData {
+  version: 1
+  // Target name → output path → entry
+  targets: Record<string, Record<string, ManifestEntry>>
+}
+
+export interface SyncOptions {
+  // Report what would happen without touching the filesystem
+  dryRun?: boolean
+  // Delete files an earlier run of the target wrote but this run did not
+  prune?: boolean
+}
+
+export interface SyncReport {
+  added: string[]
+  changed: string[]
+  unchanged: string[]
+  removed: string[]
+}
+
+/**
+ * Hash file content for change detection
+ */
+export function hashContent(content: string): string {
+  return createHash('sha256').update(content).digest('hex')
+}
+
+export class GenerationManifest {
+  private root: string
+  private filePath: string
+  private data: ManifestData
+
+  constructor(root: string, filePath: string = join(root, MANIFEST_FILE)) {
+    this.root = root
+    this.filePath = filePath
+    this.data = existsSync(filePath)
+      ? JSON.parse(readFileSync(filePath, 'utf-8'))
+      : { version: 1, targets: {} }
+  }
+
+  /**
+   * Get the entries recorded for a target
+   */
+  getEntries(target: string): Record<string, ManifestEntry> {
+    return this.data.targets[target] || {}
+  }
+
+  /**
+   * Write a target's files, skipping unchanged ones, and remove its orphans
+   */
+  sync(target: string, files: OutputFile[], options: SyncOptions = {}): SyncReport {
+    const { dryRun = false, prune = true } = options
+    const previous = this.getEntries(target)
+    const next: Record<string, ManifestEntry> = {}
+    const report: SyncReport = { added: [], changed: [], unchanged: [], removed: [] }
+
+    // Check every path before writing any, so a collision leaves the tree untouched
+    for (const file of files) {
+      if (next[file.path]) {
+        throw new Error(`Target ${target} renders ${file.path} more than once`)
+      }
+
+      const owner = this.ownerOf(file.path, target)
+      if (owner) {
+        throw new Error(`Target ${target} renders ${file.path}, which target ${owner} already writes`)
+      }
+
+      next[file.path] = { source: file.source, hash: hashContent(file.content) }
+    }
+
+    // Remove orphans before writing, so a case-only rename like OfficesofLawyers → OfficesOfLawyers
+    // does not delete the file just written where both names are the same file (macOS, Windows)
+    for (const [path, entry] of Object.entries(previous)) {
+      if (next[path]) continue
+
+      // A filtered run only renders part of the target; keep the rest
+      if (!prune) {
+        next[path] = entry
+        continue
+      }
+
+      if (this.ownerOf(path, target)) continue
+
+      const filepath = join(this.root, path)
+      if (existsSync(filepath)) {
+        report.removed.push(path)
+        if (!dryRun) {
+          rmSync(filepath)
+          this.removeEmptyDirectories(dirname(filepath))
+        }
+      }
+    }
+
+    for (const file of files) {
+      const filepath = join(this.root, file.path)
+      const exists = existsSync(filepath)
+
+      // A new hash means new content; otherwise compare with the file on disk,
+      // so a generated file edited by hand is restored
+      const recorded = previous[file.path]
+      const unchanged = exists &&
+        (!recorded || recorded.hash === next[file.path].hash) &&
+        readFileSync(filepath, 'utf-8') === file.content
+
+      if (unchanged) {
+        report.unchanged.push(file.path)
+        continue
+      }
+
+      report[exists ? 'changed' : 'added'].push(file.path)
+      if (!dryRun) {
+        mkdirSync(dirname(filepath), { recursive: true })
+        writeFileSync(filepath, file.content, 'utf-8')
+      }
+    }
+
+    if (!dryRun) {
+      this.data.targets[target] = Object.fromEntries(
+        Object.entries(next).sort(([a], [b]) => a.localeCompare(b))
+      )
+    }
+
+    return report
+  }
+
+  /**
+   * Persist the manifest
+   */
+  save(): void {
+    const targets = Object.fromEntries(
+      Object.entries(this.data.targets).sort(([a], [b]) => a.localeCompare(b))
+    )
+    writeFileSync(this.filePath, JSON.stringify({ version: 1, targets }, null, 2) + '\n', 'utf-8')
+  }
+
+  /**
+   * The other target a path is recorded under, if any
+   */
+  private ownerOf(path: string, target: string): string | undefined {
+    return Object.keys(this.data.targets).find(name => name !== target && Boolean(this.data.targets[name][path]))
+  }
+
+  /**
+   * Remove directories left empty by a deleted file, stopping at the root
+   */
+  private removeEmptyDirectories(directory: string): void {
+    let current = directory
+    while (relative(this.root, current) && !relative(this.root, current).startsWith('..')) {
+      if (readdirSync(current).length > 0) return
+      rmdirSync(current)
+      current = dirname(current)
+    }
+  }
+}
@@ -4,14 +4,81 @@
  */
 
 import type { NAICSIndustry, NAICSClassification } from './naics-parser'
+import type { UNSPSCClassification } from './unspsc-parser'
 import type { WikidataService } from './wikidata-client'
+import { toVariableName, type ServiceIdentifier } from './identifiers'
+import { jsString, stringifyFrontmatter } from './serialize'
+import { scoreDigital, type DigitalScore, type DigitalSignal } from './digital-score'
+import { inferDelivery, type ChannelKind, type Delivery, type DeliveryMethod } from './delivery'
+import { extendsChain, renderBreadcrumb, type TypeNode } from './type-graph'
 
 export interface ServiceMDXOptions {
   industry: NAICSIndustry
+  // Type name, slug and filename from buildIdentifiers
+  identifier: ServiceIdentifier
   classification: NAICSClassification
+  unspsc?: UNSPSCClassification
   wikidata?: WikidataService
-  digital?: number
+  // Scored from the industry by digital-score.js when not given
+  digital?: DigitalScore
+  // Inferred from the NAICS code by delivery.js when not given
+  delivery?: Delivery
+  // Types the service type extends; its NAICS levels when not given
+  extends?: TypeNode[]
   examples?: boolean
+  // Languages carried in the `localized` frontmatter map
+  languages?: string[]
+  // Render the page in this language instead of English
+  locale?: string
+}
+
+interface LocalizedText {
+  name?: string
+  description?: string
+  wikipedia?: string
+}
+
+// Frontmatter of a generated service type page, in output order
+export interface ServiceFrontmatter {
+  // Locale pages have none of their own; they translate the English page
+  $id?: string
+  $context: string
+  $type: string
+  // Types this one extends, from Service down to its direct parent
+  extends?: string[]
+  name: string
+  description: string
+  inLanguage?: string
+  // $id of the English page a locale page translates
+  translationOfWork?: string
+  naics?: {
+    code: string
+    title: string
+    sector: string
+    sectorName: string
+    subsector?: string
+    subsectorName?: string
+    industryGroup?: string
+    industryGroupName?: string
+  }
+  unspsc?: string
+  wikidata?: string
+  wikipedia?: string
+  localized?: Record<string, LocalizedText>
+  digital?: number
+  // The signals behind the digital score
+  digitalSignals?: DigitalSignal[]
+  deliveryMethod?: DeliveryMethod
+  availableChannel?: ChannelKind[]
+  category?: string
+  serviceType?: string
+}
+
+// Section headings for per-locale pages
+const SECTION_HEADINGS: Record<string, Record<'properties' | 'classification' | 'examples' | 'resources', string>> = {
+  en: { properties: 'Properties', classification: 'Classification', examples: 'Examples', resources: 'Resources' },
+  fr: { properties: 'Propriétés', classification: 'Classification', examples: 'Exemples', resources: 'Ressources' },
+  es: { properties: 'Propiedades', classification: 'Clasificación', examples: 'Ejemplos', resources: 'Recursos' }
 }
 
 export class ServiceMDXGenerator {
@@ -19,29 +86,38 @@ export class ServiceMDXGenerator {
    * Generate MDX content for a service type
    */
   generate(options: ServiceMDXOptions): string {
-    const { industry, classification, wikidata, digital = 0.7, examples = true } = options
+    const { industry, identifier, classification, unspsc, wikidata, examples = true, locale = 'en' } = options
+    const headings = SECTION_HEADINGS[locale] || SECTION_HEADINGS.en
+
+    // Localized text falls back to English where Wikidata has no translation
+    const english = this.getLocalizedText(options, 'en')
+    const localized = locale === 'en' ? english : this.getLocalizedText(options, locale)
+    const name = localized.name || english.name || industry.title
 
     // Generate frontmatter
-    const frontmatter = this.generateFrontmatter(industry, classification, wikidata, digital)
+    const frontmatter = this.generateFrontmatter(options)
 
     // Generate breadcrumb
-    const breadcrumb = this.generateBreadcrumb(classification)
+    const breadcrumb = this.generateBreadcrumb(this.getExtendsChain(options), locale)
 
     // Generate title and description
-    const title = `# ${industry.title}`
-    const description = industry.description || wikidata?.description || `${industry.title} service.`
+    const title = `# ${name}`
+    const description = localized.description || english.description || `${industry.title} service.`
 
     // Generate properties section
-    const properties = this.generatePropertiesSection()
+    const properties = this.generatePropertiesSection(options.delivery || inferDelivery(industry.code), headings.properties)
+
+    // Wikipedia article in the page's language, else the English one
+    const wikipedia = localized.wikipedia || english.wikipedia
 
     // Generate classification section
-    const classificationSection = this.generateClassificationSection(classification, wikidata)
+    const classificationSection = this.generateClassificationSection(classification, unspsc, wikidata, wikipedia, headings.classification)
 
     // Generate examples section
-    const examplesSection = examples ? this.generateExamplesSection(industry) : ''
+    const examplesSection = examples ? this.generateExamplesSection(industry, identifier, headings.examples) : ''
 
     // Generate resources section
-    const resources = this.generateResourcesSection(wikidata, classification)
+    const resources = this.generateResourcesSection(wikidata, wikipedia, classification, unspsc, headings.resources)
 
     // Combine all sections
     return `${frontmatter}
@@ -63,53 +139,100 @@ ${resources}
   }
 
   /**
-   * Generate YAML frontmatter
+   * Build the frontmatter fields for a page
    */
-  private generateFrontmatter(
-    industry: NAICSIndustry,
-    classification: NAICSClassification,
-    wikidata?: WikidataService,
-    digital: number = 0.7
-  ): string {
-    const lines = [
-      '---',
-      `$id: https://services.org.ai/${this.toKebabCase(industry.title)}`,
-      '$context: https://schema.org.ai',
-      '$type: Service',
-      `name: ${industry.title}`,
-      `description: ${industry.description || 'Service type'}`,
-    ]
-
-    // Add NAICS classification
-    lines.push('naics:')
-    lines.push(`  code: "${classification.code}"`)
-    lines.push(`  title: "${classification.title}"`)
-    lines.push(`  sector: "${classification.sector}"`)
-    lines.push(`  sectorName: "${classification.sectorName}"`)
-    if (classification.subsector) {
-      lines.push(`  subsector: "${classification.subsector}"`)
+  buildFrontmatter(options: ServiceMDXOptions): ServiceFrontmatter {
+    const { industry, identifier, classification, unspsc, wikidata, languages = [], locale = 'en' } = options
+    const localized = this.getLocalizedText(options, locale)
+    const chain = this.getExtendsChain(options).map(node => node.name)
+
+    const frontmatter: ServiceFrontmatter = locale === 'en'
+      ? {
+          $id: identifier.$id,
+          $context: 'https://schema.org.ai',
+          $type: 'Service',
+          extends: chain,
+          name: industry.title,
+          description: industry.description || 'Service type'
+        }
+      : {
+          // Only names and descriptions are translated, so the page describes the English type
+          $context: 'https://schema.org.ai',
+          $type: 'Service',
+          extends: chain,
+          name: localized.name || industry.title,
+          description: localized.description || industry.description || 'Service type',
+          inLanguage: locale,
+          translationOfWork: identifier.$id
+        }
+
+    frontmatter.naics = {
+      code: classification.code,
+      title: classification.title,
+      sector: classification.sector,
+      sectorName: classification.sectorName,
+      subsector: classification.subsector,
+      subsectorName: classification.subsectorName,
+      industryGroup: classification.industryGroup,
+      industryGroupName: classification.industryGroupName
     }
-    if (classification.industryGroup) {
-      lines.push(`  industryGroup: "${classification.industryGroup}"`)
+
+    // UNSPSC, falling back to the code recorded on Wikidata
+    frontmatter.unspsc = unspsc?.code || wikidata?.unspscCode
+
+    if (wikidata) {
+      frontmatter.wikidata = `https://www.wikidata.org/wiki/${wikidata.qid}`
+      frontmatter.wikipedia = wikidata.wikipedia
     }
-    if (classification.industryGroupName) {
-      lines.push(`  industryGroupName: "${classification.industryGroupName}"`)
+
+    // Localized names, descriptions and Wikipedia links; English alone repeats the fields above
+    const translations = languages
+      .map(language => [language, this.getLocalizedText(options, language)] as const)
+      .filter(([, text]) => text.name || text.description || text.wikipedia)
+    if (translations.some(([language]) => language !== 'en')) {
+      frontmatter.localized = Object.fromEntries(translations)
     }
 
-    // Add Wikidata if available
-    if (wikidata) {
-      lines.push(`wikidata: https://www.wikidata.org/wiki/${wikidata.qid}`)
-      if (wikidata.wikipedia) {
-        lines.push(`wikipedia: ${wikidata.wikipedia}`)
+    const digital = options.digital || scoreDigital(industry)
+    frontmatter.digital = digital.score
+    frontmatter.digitalSignals = digital.signals
+
+    const delivery = options.delivery || inferDelivery(industry.code)
+    frontmatter.deliveryMethod = delivery.deliveryMethod
+    frontmatter.availableChannel = delivery.availableChannel
+    frontmatter.category = 'Service'
+    frontmatter.serviceType = this.getServiceType(classification)
+
+    return frontmatter
+  }
+
+  /**
+   * Generate YAML frontmatter
+   */
+  private generateFrontmatter(options: ServiceMDXOptions): string {
+    return stringifyFrontmatter(this.buildFrontmatter(options))
+  }
+
+  /**
+   * Get the name, description and Wikipedia link in one language
+   * English comes from NAICS; other languages only from Wikidata
+   */
+  private getLocalizedText(options: ServiceMDXOptions, language: string): LocalizedText {
+    const { industry, wikidata } = options
+
+    if (language === 'en') {
+      return {
+        name: industry.title,
+        description: industry.description || wikidata?.descriptions?.en || wikidata?.description,
+        wikipedia: wikidata?.wikipedias?.en || wikidata?.wikipedia
       }
     }
 
-    lines.push(`digital: ${digital}`)
-    lines.push('category: Service')
-    lines.push(`serviceType: ${this.getServiceType(classification)}`)
-    lines.push('---')
-
-    return lines.join('\n')
+    return {
+      name: wikidata?.labels?.[language],
+      description: wikidata?.descriptions?.[language],
+      wikipedia: wikidata?.wikipedias?.[language]
+    }
   }
 
   /**
@@ -124,8 +247,7 @@ ${resources}
       '72': 'Hospitality Service',
       '81': 'Personal Service',
       '51': 'Information Service',
-      '48': 'Transportation Service',
-      '49': 'Transportation Service',
+      '48-49': 'Transportation Service',
       '56': 'Support Service'
     }
 
@@ -133,17 +255,26 @@ ${resources}
   }
 
   /**
-   * Generate breadcrumb navigation
+   * The types a service type extends, from Service down to its direct parent
+   */
+  private getExtendsChain(options: ServiceMDXOptions): TypeNode[] {
+    return options.extends || extendsChain(options.identifier.typeName, { naics: options.classification })
+  }
+
+  /**
+   * Generate breadcrumb navigation down the types the service type extends
    */
-  private generateBreadcrumb(classification: NAICSClassification): string {
-    return `[Thing](https://schema.org.ai/Thing) > [Service](Service.mdx) > ${classification.sectorName}`
+  private generateBreadcrumb(chain: TypeNode[], locale: string = 'en'): string {
+    // Pages live in types/generated/, locale pages one level deeper
+    const service = locale === 'en' ? '../Service.mdx' : '../../Service.mdx'
+    return renderBreadcrumb(chain, service)
   }
 
   /**
    * Generate properties section
    */
-  private generatePropertiesSection(): string {
-    return `## Properties
+  private generatePropertiesSection(delivery: Delivery, heading: string = 'Properties'): string {
+    return `## ${heading}
 
 | Property | Type | Description | Inherited From |
 |----------|------|-------------|----------------|
@@ -155,7 +286,8 @@ ${resources}
 | category | Text \\| Thing | Category of the service | Service |
 | hoursAvailable | OpeningHoursSpecification | Service hours | Service |
 | offers | Offer | Service offer details | Service |
-| availableChannel | ServiceChannel | How to access the service | Service |`
+| availableChannel | ServiceChannel | How to access the service: ${delivery.availableChannel.join(', ')} | Service |
+| deliveryMethod | Text | How the service is delivered: ${delivery.deliveryMethod} | Service |`
   }
 
   /**
@@ -163,23 +295,40 @@ ${resources}
    */
   private generateClassificationSection(
     classification: NAICSClassification,
-    wikidata?: WikidataService
+    unspsc?: UNSPSCClassification,
+    wikidata?: WikidataService,
+    wikipedia?: string,
+    heading: string = 'Classification'
   ): string {
-    const lines = ['## Classification', '']
-
-    let naicsPath = `${classification.sectorName}`
-    if (classification.industryGroupName) {
-      naicsPath += ` > ${classification.industryGroupName}`
-    }
-    naicsPath += ` > ${classification.title}`
+    const lines = [`## ${heading}`, '']
+
+    // Full sector-to-industry path, collapsing levels that repeat their parent's name
+    const naicsPath = [
+      classification.sectorName,
+      classification.subsectorName,
+      classification.industryGroupName,
+      classification.industryName,
+      classification.title
+    ]
+      .filter((name): name is string => !!name)
+      .filter((name, index, names) => index === 0 || name !== names[index - 1])
+      .join(' > ')
 
     lines.push(`- **NAICS**: ${classification.code} (${naicsPath})`)
 
+    if (unspsc) {
+      const unspscPath = [unspsc.segmentName, unspsc.familyName, unspsc.className, unspsc.commodityName]
+        .filter(Boolean)
+        .join(' > ')
+      lines.push(`- **UNSPSC**: ${unspsc.code} (${unspscPath})`)
+    } else if (wikidata?.unspscCode) {
+      lines.push(`- **UNSPSC**: ${wikidata.unspscCode}`)
+    }
+
     if (wikidata) {
       lines.push(`- **Wikidata**: [${wikidata.qid}](https://www.wikidata.org/wiki/${wikidata.qid})`)
-      if (wikidata.wikipedia) {
-        const title = wikidata.wikipedia.split('/').pop()
-        lines.push(`- **Wikipedia**: [${title}](${wikidata.wikipedia})`)
+      if (wikipedia) {
+        lines.push(`- **Wikipedia**: [${this.getArticleTitle(wikipedia)}](${wikipedia})`)
       }
     }
 
@@ -189,33 +338,34 @@ ${resources}
   /**
    * Generate examples section
    */
-  private generateExamplesSection(industry: NAICSIndustry): string {
-    const varName = this.toCamelCase(industry.title)
-    const typeName = this.toPascalCase(industry.title)
+  private generateExamplesSection(industry: NAICSIndustry, identifier: ServiceIdentifier, heading: string = 'Examples'): string {
+    const { typeName } = identifier
+    const varName = toVariableName(typeName)
+    const serviceType = this.getServiceType({ sector: industry.sector.code } as NAICSClassification)
 
-    return `## Examples
+    return `## ${heading}
 
 \`\`\`typescript
-import { $ } from '@org.ai/services'
+import { $ } from 'services.org.ai'
 
 // Create a basic service
 const ${varName} = $.${typeName}.create({
-  name: 'Example ${industry.title}',
-  description: '${industry.description || 'Service description'}',
+  name: ${jsString(`Example ${industry.title}`)},
+  description: ${jsString(industry.description || 'Service description')},
   provider: 'Example Company',
-  serviceType: '${this.getServiceType({ sector: industry.sector.code } as NAICSClassification)}',
+  serviceType: ${jsString(serviceType)},
   areaServed: 'United States'
 })
 
 // With additional properties
 const detailed${typeName} = $.${typeName}.create({
-  name: 'Premium ${industry.title}',
+  name: ${jsString(`Premium ${industry.title}`)},
   description: 'Premium service with enhanced features',
   provider: {
     name: 'Premium Service Provider',
     type: 'Organization'
   },
-  serviceType: '${this.getServiceType({ sector: industry.sector.code } as NAICSClassification)}',
+  serviceType: ${jsString(serviceType)},
   areaServed: {
     name: 'San Francisco Bay Area',
     type: 'Place'
@@ -235,19 +385,29 @@ const allServices = $.${typeName}.find()
   /**
    * Generate resources section
    */
-  private generateResourcesSection(wikidata?: WikidataService, classification?: NAICSClassification): string {
-    const lines = ['## Resources', '']
+  private generateResourcesSection(
+    wikidata?: WikidataService,
+    wikipedia?: string,
+    classification?: NAICSClassification,
+    unspsc?: UNSPSCClassification,
+    heading: string = 'Resources'
+  ): string {
+    const lines = [`## ${heading}`, '']
     lines.push('- [Schema.org Service](https://schema.org/Service)')
 
     if (classification) {
       lines.push(`- [NAICS ${classification.code}](https://www.census.gov/naics/?input=${classification.code})`)
     }
 
+    const unspscCode = unspsc?.code || wikidata?.unspscCode
+    if (unspscCode) {
+      lines.push(`- [UNSPSC Code ${unspscCode}](https://www.ungm.org/public/unspsc)`)
+    }
+
     if (wikidata) {
       lines.push(`- [Wikidata: ${wikidata.label} (${wikidata.qid})](https://www.wikidata.org/wiki/${wikidata.qid})`)
-      if (wikidata.wikipedia) {
-        const title = wikidata.wikipedia.split('/').pop()
-        lines.push(`- [Wikipedia: ${title}](${wikidata.wikipedia})`)
+      if (wikipedia) {
+        lines.push(`- [Wikipedia: ${this.getArticleTitle(wikipedia)}](${wikipedia})`)
       }
     }
 
@@ -255,39 +415,15 @@ const allServices = $.${typeName}.find()
   }
 
   /**
-   * Convert string to kebab-case
-   */
-  private toKebabCase(str: string): string {
-    return str
-      .replace(/([a-z])([A-Z])/g, '$1-$2')
-      .replace(/[\s_()]+/g, '-')
-      .replace(/[^a-zA-Z0-9-]/g, '')
-      .toLowerCase()
-  }
-
-  /**
-   * Convert string to camelCase
+   * Title of a Wikipedia article from its URL, e.g. Avocat_(métier) from .../wiki/Avocat_%28m%C3%A9tier%29
    */
-  private toCamelCase(str: string): string {
-    return str
-      .replace(/[^a-zA-Z0-9]+(.)/g, (_, chr) => chr.toUpperCase())
-      .replace(/^[A-Z]/, (chr) => chr.toLowerCase())
-  }
-
-  /**
-   * Convert string to PascalCase
-   */
-  private toPascalCase(str: string): string {
-    return str
-      .replace(/[^a-zA-Z0-9]+(.)/g, (_, chr) => chr.toUpperCase())
-      .replace(/^[a-z]/, (chr) => chr.toUpperCase())
-  }
-
-  /**
-   * Generate filename from service name
-   */
-  generateFilename(serviceName: string): string {
-    return `${this.toPascalCase(serviceName)}.mdx`
+  private getArticleTitle(url: string): string {
+    const title = url.split('/').pop() || url
+    try {
+      return decodeURIComponent(title)
+    } catch {
+      return title
+    }
   }
 }
 
@@ -3,6 +3,11 @@
  * Parses NAICS 2022 classification data
  */
 
+import { existsSync } from 'fs'
+import { readFile, stat } from 'fs/promises'
+import { join } from 'path'
+import { parseCSV, findColumn } from './csv'
+
 export interface NAICSIndustry {
   code: string
   title: string
@@ -22,8 +27,56 @@ export interface NAICSClassification {
   sector: string
   sectorName: string
   subsector?: string
+  subsectorName?: string
   industryGroup?: string
   industryGroupName?: string
+  industry?: string
+  industryName?: string
+}
+
+export type NAICSLevel = 'sector' | 'subsector' | 'industryGroup' | 'industry' | 'nationalIndustry'
+
+export interface NAICSNode {
+  code: string
+  title: string
+  description?: string
+  level: NAICSLevel
+  parent?: string
+  children: string[]
+}
+
+// Census Bureau NAICS 2022 structure files, exported to CSV
+export const NAICS_CODES_FILE = '2-6 digit_2022_Codes.csv'
+export const NAICS_DESCRIPTIONS_FILE = '2022_NAICS_Descriptions.csv'
+
+const LEVELS_BY_LENGTH: Record<number, NAICSLevel> = {
+  2: 'sector',
+  3: 'subsector',
+  4: 'industryGroup',
+  5: 'industry',
+  6: 'nationalIndustry'
+}
+
+// Names of the intermediate levels above the sample industries
+const NAICS_HIERARCHY_NAMES: Record<string, string> = {
+  '541': 'Professional, Scientific, and Technical Services',
+  '5411': 'Legal Services',
+  '54111': 'Offices of Lawyers',
+  '5412': 'Accounting, Tax Preparation, Bookkeeping, and Payroll Services',
+  '54121': 'Accounting, Tax Preparation, Bookkeeping, and Payroll Services',
+  '5415': 'Computer Systems Design and Related Services',
+  '54151': 'Computer Systems Design and Related Services',
+  '611': 'Educational Services',
+  '6111': 'Elementary and Secondary Schools',
+  '61111': 'Elementary and Secondary Schools',
+  '621': 'Ambulatory Health Care Services',
+  '6211': 'Offices of Physicians',
+  '62111': 'Offices of Physicians',
+  '6212': 'Offices of Dentists',
+  '62121': 'Offices of Dentists',
+  '722': 'Food Services and Drinking Places',
+  '7225': 'Restaurants and Other Eating Places',
+  '72251': 'Restaurants and Other Eating Places'
 }
 
 // Sample NAICS 2022 data - In production, this would be loaded from Census Bureau data
@@ -130,11 +183,95 @@ const NAICS_DATA: Record<string, NAICSIndustry> = {
   }
 }
 
+/**
+ * Strip the trilateral agreement marker the Census files append to titles ("Offices of LawyersT")
+ */
+function cleanTitle(title: string): string {
+  return title.replace(/([a-z)])T$/, '$1').trim()
+}
+
+/**
+ * Keep the narrative part of a Census description, dropping cross-references
+ */
+function cleanDescription(description: string): string | undefined {
+  const text = description.split(/Cross-References\./)[0].replace(/\s+/g, ' ').trim()
+  return text || undefined
+}
+
+/**
+ * Parse the 2-6 digit codes file into hierarchy nodes
+ */
+function parseNAICSCodes(content: string, source: string): Map<string, NAICSNode> {
+  const nodes = new Map<string, NAICSNode>()
+  const records = parseCSV(content, source)
+  if (records.length === 0) return nodes
+
+  const codeColumn = findColumn(records[0], /code/i)
+  const titleColumn = findColumn(records[0], /title/i)
+  if (!codeColumn || !titleColumn) {
+    throw new Error('NAICS codes file must have code and title columns')
+  }
+
+  for (const record of records) {
+    const code = record[codeColumn].replace(/\s+/g, '')
+    if (!/^\d{2}(-\d{2})?$|^\d{3,6}$/.test(code)) continue
+
+    nodes.set(code, {
+      code,
+      title: cleanTitle(record[titleColumn]),
+      level: LEVELS_BY_LENGTH[code.includes('-') ? 2 : code.length],
+      children: []
+    })
+  }
+
+  return nodes
+}
+
+/**
+ * Build hierarchy nodes for a set of 6-digit industries and their named ancestors
+ */
+function nodesFromIndustries(data: Record<string, NAICSIndustry>): Map<string, NAICSNode> {
+  const nodes = new Map<string, NAICSNode>()
+
+  for (const industry of Object.values(data)) {
+    const { sector } = industry
+    if (!nodes.has(sector.code)) {
+      nodes.set(sector.code, {
+        code: sector.code,
+        title: sector.name,
+        description: sector.description,
+        level: 'sector',
+        children: []
+      })
+    }
+
+    for (let length = 3; length < industry.code.length; length++) {
+      const code = industry.code.substring(0, length)
+      if (!nodes.has(code) && NAICS_HIERARCHY_NAMES[code]) {
+        nodes.set(code, { code, title: NAICS_HIERARCHY_NAMES[code], level: LEVELS_BY_LENGTH[length], children: [] })
+      }
+    }
+
+    nodes.set(industry.code, {
+      code: industry.code,
+      title: industry.title,
+      description: industry.description,
+      level: LEVELS_BY_LENGTH[industry.code.length],
+      children: []
+    })
+  }
+
+  return nodes
+}
+
 export class NAICSParser {
   private data: Record<string, NAICSIndustry>
+  private nodes = new Map<string, NAICSNode>()
+  private sectorAliases = new Map<string, string>()
 
   constructor(data?: Record<string, NAICSIndustry>) {
     this.data = data || NAICS_DATA
+    this.buildHierarchy(nodesFromIndustries(this.data))
   }
 
   /**
@@ -144,6 +281,64 @@ export class NAICSParser {
     return this.data[code] || null
   }
 
+  /**
+   * Get the hierarchy node for a code at any level (2-digit sector codes resolve ranges like 44-45)
+   */
+  getNode(code: string): NAICSNode | null {
+    return this.nodes.get(code) || this.nodes.get(this.sectorAliases.get(code) || '') || null
+  }
+
+  /**
+   * Get the nearest ancestor of a code
+   */
+  getParent(code: string): NAICSNode | null {
+    const parent = this.getNode(code)?.parent
+    return parent ? this.getNode(parent) : null
+  }
+
+  /**
+   * Get the direct children of a code
+   */
+  getChildren(code: string): NAICSNode[] {
+    const node = this.getNode(code)
+    if (!node) return []
+
+    return node.children
+      .map(child => this.nodes.get(child))
+      .filter((child): child is NAICSNode => !!child)
+  }
+
+  /**
+   * Get all ancestors of a code, from the sector down to its parent
+   */
+  getAncestors(code: string): NAICSNode[] {
+    const ancestors: NAICSNode[] = []
+
+    let parent = this.getParent(code)
+    while (parent) {
+      ancestors.unshift(parent)
+      parent = this.getParent(parent.code)
+    }
+
+    return ancestors
+  }
+
+  /**
+   * Get all descendants of a code, depth first
+   */
+  getDescendants(code: string): NAICSNode[] {
+    return this.getChildren(code).flatMap(child => [child, ...this.getDescendants(child.code)])
+  }
+
+  /**
+   * Get all nodes at a hierarchy level, in code order
+   */
+  getByLevel(level: NAICSLevel): NAICSNode[] {
+    return Array.from(this.nodes.values())
+      .filter(node => node.level === level)
+      .sort((a, b) => a.code.localeCompare(b.code))
+  }
+
   /**
    * Get classification structure for a NAICS code
    */
@@ -151,46 +346,30 @@ export class NAICSParser {
     const industry = this.getIndustry(code)
     if (!industry) return null
 
-    const sector = code.substring(0, 2)
-    const subsector = code.length >= 3 ? code.substring(0, 3) : undefined
-    const industryGroup = code.length >= 4 ? code.substring(0, 4) : undefined
+    const path = new Map<NAICSLevel, NAICSNode>()
+    this.getAncestors(code).forEach(node => path.set(node.level, node))
 
     return {
       code: industry.code,
       title: industry.title,
-      sector,
-      sectorName: industry.sector.name,
-      subsector,
-      industryGroup,
-      industryGroupName: this.getIndustryGroupName(industryGroup)
-    }
-  }
-
-  /**
-   * Get industry group name (simplified for demo)
-   */
-  private getIndustryGroupName(industryGroup?: string): string | undefined {
-    if (!industryGroup) return undefined
-
-    const industryGroupNames: Record<string, string> = {
-      '5415': 'Computer Systems Design and Related Services',
-      '7225': 'Restaurants and Other Eating Places',
-      '5411': 'Legal Services',
-      '5412': 'Accounting, Tax Preparation, Bookkeeping, and Payroll Services',
-      '6211': 'Offices of Physicians',
-      '6212': 'Offices of Dentists',
-      '6111': 'Elementary and Secondary Schools'
+      sector: industry.sector.code,
+      sectorName: path.get('sector')?.title || industry.sector.name,
+      subsector: path.get('subsector')?.code,
+      subsectorName: path.get('subsector')?.title,
+      industryGroup: path.get('industryGroup')?.code,
+      industryGroupName: path.get('industryGroup')?.title,
+      industry: path.get('industry')?.code,
+      industryName: path.get('industry')?.title
     }
-
-    return industryGroupNames[industryGroup]
   }
 
   /**
    * Get all industries in a sector
    */
   getIndustriesBySector(sectorCode: string): NAICSIndustry[] {
+    const sector = this.sectorCode(sectorCode)
     return Object.values(this.data).filter(
-      industry => industry.sector.code === sectorCode
+      industry => this.sectorCode(industry.sector.code) === sector
     )
   }
 
@@ -199,13 +378,20 @@ export class NAICSParser {
    */
   getServiceIndustries(): NAICSIndustry[] {
     // Service-providing industries: sectors 42, 44-45, 48-49, 51-92
-    const serviceSectors = ['42', '44', '45', '48', '49', '51', '52', '53', '54', '55', '56', '61', '62', '71', '72', '81', '92']
+    const serviceSectors = ['42', '44-45', '48-49', '51', '52', '53', '54', '55', '56', '61', '62', '71', '72', '81', '92']
 
     return Object.values(this.data).filter(
-      industry => serviceSectors.includes(industry.sector.code)
+      industry => serviceSectors.includes(this.sectorCode(industry.sector.code))
     )
   }
 
+  /**
+   * The sector a 2-digit prefix or sector code belongs to, e.g. 31 and 31-33 both give 31-33
+   */
+  private sectorCode(code: string): string {
+    return this.sectorAliases.get(code) || code
+  }
+
   /**
    * Get all sectors
    */
@@ -242,15 +428,106 @@ export class NAICSParser {
   }
 
   /**
-   * Load NAICS data from external source
+   * Load NAICS data from Census Bureau structure files
+   * Accepts the 2-6 digit codes CSV, or a directory holding it and the descriptions CSV
    */
-  async loadFromFile(filePath: string): Promise<void> {
-    // In production, load from Census Bureau CSV/Excel files
-    console.log(`Would load NAICS data from: ${filePath}`)
+  async loadFromFile(filePath: string, descriptionsPath?: string): Promise<void> {
+    let codesPath = filePath
+    if ((await stat(filePath)).isDirectory()) {
+      codesPath = join(filePath, NAICS_CODES_FILE)
+      const defaultDescriptions = join(filePath, NAICS_DESCRIPTIONS_FILE)
+      if (!descriptionsPath && existsSync(defaultDescriptions)) {
+        descriptionsPath = defaultDescriptions
+      }
+    }
+
+    const nodes = parseNAICSCodes(await readFile(codesPath, 'utf-8'), codesPath)
+    if (nodes.size === 0) {
+      throw new Error(`No NAICS codes found in ${codesPath}`)
+    }
+
+    if (descriptionsPath) {
+      const records = parseCSV(await readFile(descriptionsPath, 'utf-8'), descriptionsPath)
+      const codeColumn = records[0] && findColumn(records[0], /code/i)
+      const descriptionColumn = records[0] && findColumn(records[0], /description/i)
+
+      if (codeColumn && descriptionColumn) {
+        for (const record of records) {
+          const node = nodes.get(record[codeColumn].replace(/\s+/g, ''))
+          if (node) {
+            node.description = cleanDescription(record[descriptionColumn])
+          }
+        }
+      }
+    }
+
+    this.buildHierarchy(nodes)
+    this.data = this.industriesFromNodes()
+  }
+
+  /**
+   * Link hierarchy nodes to their parents and children
+   */
+  private buildHierarchy(nodes: Map<string, NAICSNode>): void {
+    this.nodes = nodes
+    this.sectorAliases = new Map()
+
+    // Sectors like 31-33 cover several 2-digit prefixes
+    for (const node of nodes.values()) {
+      if (node.level !== 'sector') continue
+      const [start, end = start] = node.code.split('-').map(Number)
+      for (let prefix = start; prefix <= end; prefix++) {
+        this.sectorAliases.set(String(prefix), node.code)
+      }
+    }
+
+    // Link each node to its nearest ancestor present in the data
+    for (const node of nodes.values()) {
+      if (node.level === 'sector') continue
+
+      for (let length = node.code.length - 1; length >= 2; length--) {
+        const prefix = node.code.substring(0, length)
+        const parent = nodes.get(length === 2 ? this.sectorAliases.get(prefix) || prefix : prefix)
+        if (parent) {
+          node.parent = parent.code
+          parent.children.push(node.code)
+          break
+        }
+      }
+    }
+  }
+
+  /**
+   * Rebuild the 6-digit industry index from the hierarchy nodes
+   */
+  private industriesFromNodes(): Record<string, NAICSIndustry> {
+    const data: Record<string, NAICSIndustry> = {}
+
+    for (const node of this.nodes.values()) {
+      if (node.level !== 'nationalIndustry') continue
+
+      // Resolve the prefix through the sector ranges, so 311811 belongs to 31-33
+      const sectorCode = this.sectorCode(node.code.substring(0, 2))
+      const sector = this.getNode(sectorCode)
+
+      data[node.code] = {
+        code: node.code,
+        title: node.title,
+        description: node.description,
+        sector: {
+          code: sectorCode,
+          name: sector?.title || '',
+          description: sector?.description
+        }
+      }
+    }
+
+    return data
   }
 
   /**
    * Load NAICS data from Census Bureau API
+   * @deprecated The Census Bureau publishes NAICS as files, not an API; use loadFromFile()
    */
   async loadFromAPI(): Promise<void> {
     // In production, fetch from Census Bureau API
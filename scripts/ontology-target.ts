@@ -0,0 +1,212 @@
+/**
+ * Ontology Target
+ * One MDX type definition per NAICS service industry in types/generated/
+ */
+
+import { existsSync, readdirSync } from 'fs'
+import { join } from 'path'
+import { naicsParser, NAICS_CODES_FILE } from './naics-parser'
+import { unspscParser, UNSPSC_FILE } from './unspsc-parser'
+import { crosswalk, LOW_CONFIDENCE_THRESHOLD, type CrosswalkMapping } from './crosswalk'
+import { WikidataClient, type WikidataService } from './wikidata-client'
+import { FileQueryCache } from './wikidata-cache'
+import { WikidataEnricher, type EnrichmentReport, type WikidataSource } from './wikidata-enrichment'
+import { readSnapshot, SNAPSHOT_FILE, WikidataSnapshot } from './wikidata-harvest'
+import { mdxGenerator, type ServiceMDXOptions } from './mdx-generator'
+import { buildIdentifiers } from './identifiers'
+import { loadDigitalModel, scoreDigital } from './digital-score'
+import { curatedGroups, extendsChain } from './type-graph'
+import type { ServiceRecord } from './services-data'
+import type { GeneratorTarget, GeneratorContext, OutputFile } from './targets'
+
+const OUTPUT_DIR = join('types', 'generated')
+const NAICS_DATA_DIR = join(__dirname, '..', 'data', 'naics')
+const UNSPSC_DATA_FILE = join(__dirname, '..', 'data', 'unspsc', UNSPSC_FILE)
+const CROSSWALK_DIR = join(__dirname, '..', 'data', 'crosswalk')
+const WIKIDATA_CACHE_DIR = join(__dirname, '..', 'data', 'wikidata', 'cache')
+const WIKIDATA_CACHE_TTL = 30 * 24 * 60 * 60 * 1000
+
+/**
+ * Load whichever classification data files are present
+ */
+export async function loadClassificationData() {
+  // Load the full NAICS 2022 structure when the Census files are present
+  if (existsSync(join(NAICS_DATA_DIR, NAICS_CODES_FILE))) {
+    await naicsParser.loadFromFile(NAICS_DATA_DIR)
+    console.log(`📚 Loaded NAICS 2022 data from ${NAICS_DATA_DIR}\n`)
+  }
+
+  // Load the UNSPSC services segments when the code set is present
+  if (existsSync(UNSPSC_DATA_FILE)) {
+    await unspscParser.loadFromFile(UNSPSC_DATA_FILE)
+    console.log(`📚 Loaded UNSPSC data from ${UNSPSC_DATA_FILE}\n`)
+  }
+
+  // Load every NAICS ↔ UNSPSC mapping table
+  if (existsSync(CROSSWALK_DIR)) {
+    for (const file of readdirSync(CROSSWALK_DIR).filter(file => file.endsWith('.csv')).sort()) {
+      await crosswalk.loadFromFile(join(CROSSWALK_DIR, file))
+      console.log(`📚 Loaded crosswalk ${file}`)
+    }
+  }
+}
+
+/**
+ * Resolve every service industry that passes the filter to the data its type is rendered from
+ * Shared by every target that describes the ontology, so they all describe the same types
+ */
+export async function collectServiceTypes(context: GeneratorContext): Promise<ServiceMDXOptions[]> {
+  const { options } = context
+  const languages = options.languages || ['en']
+
+  await loadClassificationData()
+
+  // Identify every service industry, not just the filtered ones, so collisions are always caught
+  const allIndustries = naicsParser.getServiceIndustries()
+  const identifiers = buildIdentifiers(allIndustries)
+
+  const industries = allIndustries.filter(industry => context.matches({ code: industry.code, sector: industry.sector.code }))
+  console.log(`📦 Found ${industries.length} service types to generate\n`)
+
+  // Enrich with Wikidata items, from the harvested snapshot when it has every requested language
+  let enrichment: EnrichmentReport | undefined
+  if (options.wikidata) {
+    const client = new WikidataClient(undefined, {
+      cache: new FileQueryCache(WIKIDATA_CACHE_DIR),
+      ttl: WIKIDATA_CACHE_TTL,
+      mode: options.offline ? 'replay' : 'live',
+      languages
+    })
+    const snapshot = existsSync(SNAPSHOT_FILE) ? new WikidataSnapshot(await readSnapshot(), options.offline ? undefined : client) : undefined
+
+    let source: WikidataSource = client
+    if (snapshot?.covers(languages)) {
+      // NAICS codes no harvested service item carries are still looked up live, except offline
+      console.log(`🔎 Resolving industries in the Wikidata snapshot ${SNAPSHOT_FILE}...`)
+      source = snapshot
+    } else {
+      if (snapshot) {
+        console.log(`⚠️  The Wikidata snapshot has ${snapshot.languages.join(', ')} labels only; harvest again with --languages=${languages.join(',')}`)
+      }
+      console.log(`🔎 Resolving industries on Wikidata${options.offline ? ' (offline replay)' : ''}...`)
+    }
+    enrichment = await new WikidataEnricher(source).enrichAll(industries)
+    console.log(`   ✅ Matched: ${enrichment.matched.length}, ⚠️  Ambiguous: ${enrichment.ambiguous.length}, ❌ Unmatched: ${enrichment.unmatched.length}\n`)
+  }
+  const wikidataMatches = new Map(
+    (enrichment?.results || []).map(result => [result.industry.code, result.match])
+  )
+
+  // Curated records override the NAICS-derived values for the industries they cover
+  const records = new Map(context.records.map(record => [record.naics.code, record]))
+  const digitalModel = loadDigitalModel()
+
+  // Curated types extend their category and subcategory; the rest their NAICS levels,
+  // below the curated group their sector or industry group is in
+  const groups = curatedGroups(context.records)
+
+  const serviceTypes: ServiceMDXOptions[] = []
+  const lowConfidence: CrosswalkMapping[] = []
+  const unmapped: string[] = []
+
+  for (const industry of industries) {
+    // Get classification
+    const classification = naicsParser.getClassification(industry.code)
+    if (!classification) {
+      console.warn(`⚠️  No classification found for ${industry.title} (${industry.code})`)
+      continue
+    }
+
+    // Map to UNSPSC through the crosswalk
+    const mapping = crosswalk.resolve(industry)
+    if (!mapping) {
+      unmapped.push(industry.code)
+    } else if (crosswalk.isLowConfidence(mapping)) {
+      lowConfidence.push(mapping)
+    }
+
+    const record = records.get(industry.code)
+    const identifier = identifiers.get(industry.code)!
+    serviceTypes.push({
+      industry: record ? { ...industry, description: record.description } : industry,
+      identifier,
+      classification,
+      unspsc: mapping ? unspscParser.getClassification(mapping.unspsc) || undefined : undefined,
+      wikidata: curatedWikidata(record, wikidataMatches.get(industry.code)),
+      digital: scoreDigital(industry, { model: digitalModel, override: record?.digital }),
+      extends: record
+        ? extendsChain(identifier.typeName, record)
+        : extendsChain(identifier.typeName, { naics: classification }, groups),
+      languages
+    })
+  }
+
+  console.log(`   ⚠️  Low-confidence UNSPSC mappings: ${lowConfidence.length}`)
+  console.log(`   ⚠️  Without UNSPSC mapping: ${unmapped.length}`)
+
+  if (lowConfidence.length > 0) {
+    console.log(`\n⚠️  Review these UNSPSC mappings (confidence < ${LOW_CONFIDENCE_THRESHOLD}):`)
+    for (const mapping of lowConfidence) {
+      console.log(`   ${mapping.naics} → ${mapping.unspsc} (${mapping.source}, ${mapping.confidence})`)
+    }
+  }
+
+  if (enrichment && enrichment.ambiguous.length > 0) {
+    console.log('\n⚠️  Ambiguous Wikidata matches (best candidate attached):')
+    for (const result of enrichment.ambiguous) {
+      const candidates = result.candidates.map(candidate => `${candidate.qid} ${candidate.label}`).join(', ')
+      console.log(`   ${result.industry.code} ${result.industry.title} → ${candidates}`)
+    }
+  }
+
+  if (enrichment && enrichment.unmatched.length > 0) {
+    console.log('\n❌ No Wikidata match:')
+    for (const result of enrichment.unmatched) {
+      console.log(`   ${result.industry.code} ${result.industry.title}`)
+    }
+  }
+
+  return serviceTypes
+}
+
+/**
+ * Render the ontology pages for every service industry that passes the filter
+ */
+async function renderOntology(context: GeneratorContext): Promise<OutputFile[]> {
+  const { options } = context
+  const languages = options.languages || ['en']
+  const files: OutputFile[] = []
+
+  for (const mdxOptions of await collectServiceTypes(context)) {
+    const { industry, identifier: { filename } } = mdxOptions
+    files.push({ path: join(OUTPUT_DIR, filename), content: mdxGenerator.generate(mdxOptions), source: industry.code })
+
+    // Per-locale pages
+    if (options.localePages) {
+      for (const locale of languages.filter(language => language !== 'en')) {
+        files.push({
+          path: join(OUTPUT_DIR, locale, filename),
+          content: mdxGenerator.generate({ ...mdxOptions, locale }),
+          source: industry.code
+        })
+      }
+    }
+  }
+
+  return files
+}
+
+/**
+ * Prefer the curated Wikidata item over the enrichment match when they disagree
+ */
+function curatedWikidata(record: ServiceRecord | undefined, match: WikidataService | undefined): WikidataService | undefined {
+  if (!record?.wikidata || match?.qid === record.wikidata) return match
+
+  return { qid: record.wikidata, label: record.name, wikipedia: record.wikipedia }
+}
+
+export const ontologyTarget: GeneratorTarget = {
+  name: 'ontology',
+  description: 'Service type definitions in types/generated/',
+  render: renderOntology
+}
@@ -0,0 +1,112 @@
+/**
+ * RDF Target
+ * Every service type as an OWL class, written to rdf/ as JSON-LD, Turtle and N-Triples
+ */
+
+import { join } from 'path'
+import { collectServiceTypes } from './ontology-target'
+import { Graph, PREFIXES, toJSONLD, toNTriples, toTurtle } from './rdf'
+import { BASE_URL, toSlug } from './identifiers'
+import { ROOT_TYPE, extendsChain, type TypeNode } from './type-graph'
+import type { ServiceMDXOptions } from './mdx-generator'
+import type { GeneratorTarget, GeneratorContext, OutputFile } from './targets'
+
+const OUTPUT_DIR = 'rdf'
+const BASE_FILENAME = 'services'
+
+const ONTOLOGY = `${BASE_URL}/`
+
+// Datatypes of skos:notation literals
+export const NAICS_NOTATION = `${PREFIXES.svc}NAICS`
+export const UNSPSC_NOTATION = `${PREFIXES.svc}UNSPSC`
+
+/**
+ * Class IRI of a type in an extends chain; Service is schema:Service, the rest are named like type $ids
+ */
+function typeIRI(node: TypeNode): string {
+  return node.name === ROOT_TYPE ? 'schema:Service' : `${BASE_URL}/${toSlug(node.title)}`
+}
+
+/**
+ * Declare the types a service type extends, each a subclass of the one above it,
+ * and return the class of its direct parent
+ */
+function addExtendsChain(graph: Graph, chain: TypeNode[]): string {
+  for (let index = 1; index < chain.length; index++) {
+    const subject = typeIRI(chain[index])
+    graph
+      .add(subject, 'rdf:type', { iri: 'owl:Class' })
+      .add(subject, 'rdfs:subClassOf', { iri: typeIRI(chain[index - 1]) })
+      .add(subject, 'rdfs:label', { value: chain[index].title, language: 'en' })
+  }
+  return typeIRI(chain[chain.length - 1])
+}
+
+/**
+ * Add the class describing one service type, below the types it extends
+ */
+function addServiceType(graph: Graph, serviceType: ServiceMDXOptions) {
+  const { industry, identifier, classification, unspsc, wikidata, languages = ['en'] } = serviceType
+  const subject = identifier.$id
+  const parent = addExtendsChain(graph, serviceType.extends || extendsChain(identifier.typeName, { naics: classification }))
+
+  graph
+    .add(subject, 'rdf:type', { iri: 'owl:Class' })
+    .add(subject, 'rdfs:subClassOf', { iri: parent })
+    .add(subject, 'rdfs:label', { value: industry.title, language: 'en' })
+    .add(subject, 'rdfs:comment', industry.description ? { value: industry.description, language: 'en' } : undefined)
+    .add(subject, 'skos:notation', { value: classification.code, datatype: NAICS_NOTATION })
+    .add(subject, 'skos:notation', unspsc ? { value: unspsc.code, datatype: UNSPSC_NOTATION } : undefined)
+
+  if (wikidata) {
+    graph.add(subject, 'skos:exactMatch', { iri: `wd:${wikidata.qid}` })
+    if (wikidata.wikipedia) graph.add(subject, 'rdfs:seeAlso', { iri: wikidata.wikipedia })
+
+    // Labels and comments in the other requested languages, as far as Wikidata has them
+    for (const language of languages.filter(language => language !== 'en')) {
+      const label = wikidata.labels?.[language]
+      const comment = wikidata.descriptions?.[language]
+      graph
+        .add(subject, 'rdfs:label', label ? { value: label, language } : undefined)
+        .add(subject, 'rdfs:comment', comment ? { value: comment, language } : undefined)
+    }
+  }
+}
+
+/**
+ * Build the ontology graph from the same service types the ontology pages describe
+ */
+export async function buildOntologyGraph(context: GeneratorContext): Promise<Graph> {
+  const graph = new Graph()
+
+  graph
+    .add(ONTOLOGY, 'rdf:type', { iri: 'owl:Ontology' })
+    .add(ONTOLOGY, 'rdfs:label', { value: 'services.org.ai', language: 'en' })
+    .add(ONTOLOGY, 'rdfs:comment', { value: 'Service types classified by NAICS, UNSPSC and Wikidata', language: 'en' })
+
+  for (const serviceType of await collectServiceTypes(context)) {
+    addServiceType(graph, serviceType)
+  }
+
+  return graph
+}
+
+/**
+ * Render the ontology graph in every serialization
+ */
+async function renderRDF(context: GeneratorContext): Promise<OutputFile[]> {
+  const graph = await buildOntologyGraph(context)
+  console.log(`🔗 ${graph.triples.length} triples\n`)
+
+  return [
+    { path: join(OUTPUT_DIR, `${BASE_FILENAME}.jsonld`), content: toJSONLD(graph) },
+    { path: join(OUTPUT_DIR, `${BASE_FILENAME}.ttl`), content: toTurtle(graph) },
+    { path: join(OUTPUT_DIR, `${BASE_FILENAME}.nt`), content: toNTriples(graph) }
+  ]
+}
+
+export const rdfTarget: GeneratorTarget = {
+  name: 'rdf',
+  description: 'OWL classes for every service type in rdf/ (JSON-LD, Turtle, N-Triples)',
+  render: renderRDF
+}
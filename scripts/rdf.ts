@@ -0,0 +1,186 @@
+/**
+ * RDF Serialization
+ * Writes a set of triples as JSON-LD, Turtle and N-Triples
+ */
+
+import { VOCAB_URL } from './identifiers'
+
+export const PREFIXES: Record<string, string> = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  owl: 'http://www.w3.org/2002/07/owl#',
+  skos: 'http://www.w3.org/2004/02/skos/core#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  dcterms: 'http://purl.org/dc/terms/',
+  schema: 'https://schema.org/',
+  wd: 'http://www.wikidata.org/entity/',
+  svc: VOCAB_URL
+}
+
+const RDF_TYPE = `${PREFIXES.rdf}type`
+
+export type RDFTerm =
+  | { iri: string }
+  | { value: string, language?: string, datatype?: string }
+
+export interface Triple {
+  subject: string
+  predicate: string
+  object: RDFTerm
+}
+
+/**
+ * Expand a prefixed name like skos:notation to a full IRI; full IRIs pass through
+ */
+export function iri(name: string): string {
+  const colon = name.indexOf(':')
+  const prefix = PREFIXES[name.slice(0, colon)]
+  return prefix && !name.startsWith('http') ? prefix + name.slice(colon + 1) : name
+}
+
+/**
+ * Collects triples, skipping empty literals and exact duplicates
+ */
+export class Graph {
+  readonly triples: Triple[] = []
+  private seen = new Set<string>()
+
+  add(subject: string, predicate: string, object: RDFTerm | undefined): this {
+    if (!object || ('value' in object && !object.value)) return this
+
+    const triple = { subject: iri(subject), predicate: iri(predicate), object }
+    const key = ntriple(triple)
+    if (!this.seen.has(key)) {
+      this.seen.add(key)
+      this.triples.push(triple)
+    }
+    return this
+  }
+
+  /**
+   * Triples grouped by subject, subjects sorted so output is stable
+   */
+  subjects(): Array<[string, Triple[]]> {
+    const groups = new Map<string, Triple[]>()
+    for (const triple of this.triples) {
+      if (!groups.has(triple.subject)) groups.set(triple.subject, [])
+      groups.get(triple.subject)!.push(triple)
+    }
+    return Array.from(groups).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+  }
+}
+
+/**
+ * Escape a string for a Turtle or N-Triples literal
+ */
+function escapeLiteral(value: string): string {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+}
+
+/**
+ * Prefixed name for an IRI when its local part is safe to write unescaped
+ */
+function compact(value: string): string | undefined {
+  for (const [prefix, namespace] of Object.entries(PREFIXES)) {
+    const local = value.slice(namespace.length)
+    if (value.startsWith(namespace) && /^[A-Za-z_][A-Za-z0-9_-]*$/.test(local)) {
+      return `${prefix}:${local}`
+    }
+  }
+  return undefined
+}
+
+function ntriple({ subject, predicate, object }: Triple): string {
+  return `<${subject}> <${predicate}> ${ntTerm(object)} .`
+}
+
+function ntTerm(term: RDFTerm): string {
+  if ('iri' in term) return `<${iri(term.iri)}>`
+
+  const literal = `"${escapeLiteral(term.value)}"`
+  if (term.language) return `${literal}@${term.language}`
+  return term.datatype ? `${literal}^^<${iri(term.datatype)}>` : literal
+}
+
+function turtleTerm(term: RDFTerm): string {
+  if ('iri' in term) {
+    const full = iri(term.iri)
+    return compact(full) || `<${full}>`
+  }
+
+  const literal = `"${escapeLiteral(term.value)}"`
+  if (term.language) return `${literal}@${term.language}`
+  if (!term.datatype) return literal
+  const datatype = iri(term.datatype)
+  return `${literal}^^${compact(datatype) || `<${datatype}>`}`
+}
+
+/**
+ * Serialize as N-Triples, one line per triple
+ */
+export function toNTriples(graph: Graph): string {
+  return graph.subjects()
+    .flatMap(([, triples]) => triples.map(ntriple))
+    .join('\n') + '\n'
+}
+
+/**
+ * Serialize as Turtle, grouping each subject's predicates and objects
+ */
+export function toTurtle(graph: Graph): string {
+  const prefixes = Object.entries(PREFIXES).map(([prefix, namespace]) => `@prefix ${prefix}: <${namespace}> .`)
+
+  const blocks = graph.subjects().map(([subject, triples]) => {
+    const predicates = new Map<string, string[]>()
+    for (const { predicate, object } of triples) {
+      const name = predicate === RDF_TYPE ? 'a' : compact(predicate) || `<${predicate}>`
+      if (!predicates.has(name)) predicates.set(name, [])
+      predicates.get(name)!.push(turtleTerm(object))
+    }
+
+    const lines = Array.from(predicates, ([name, objects]) => `    ${name} ${objects.join(', ')}`)
+    return `${compact(subject) || `<${subject}>`}\n${lines.join(' ;\n')} .`
+  })
+
+  return `${prefixes.join('\n')}\n\n${blocks.join('\n\n')}\n`
+}
+
+function jsonldTerm(term: RDFTerm): unknown {
+  if ('iri' in term) {
+    const full = iri(term.iri)
+    return { '@id': compact(full) || full }
+  }
+
+  if (term.language) return { '@value': term.value, '@language': term.language }
+  if (term.datatype) {
+    const datatype = iri(term.datatype)
+    return { '@value': term.value, '@type': compact(datatype) || datatype }
+  }
+  return term.value
+}
+
+/**
+ * Serialize as compacted JSON-LD with one @graph node per subject
+ */
+export function toJSONLD(graph: Graph): string {
+  const nodes = graph.subjects().map(([subject, triples]) => {
+    const node: Record<string, unknown> = { '@id': compact(subject) || subject }
+
+    for (const { predicate, object } of triples) {
+      const [key, value] = predicate === RDF_TYPE && 'iri' in object
+        ? ['@type', compact(iri(object.iri)) || iri(object.iri)]
+        : [compact(predicate) || predicate, jsonldTerm(object)]
+
+      const existing = node[key]
+      node[key] = existing === undefined ? value : ([] as unknown[]).concat(existing, value)
+    }
+    return node
+  })
+
+  return JSON.stringify({ '@context': PREFIXES, '@graph': nodes }, null, 2) + '\n'
+}
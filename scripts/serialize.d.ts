@@ -0,0 +1,7 @@
+/**
+ * Types for serialize.js
+ */
+
+export function stringifyFrontmatter(data: object): string
+
+export function jsString(value: unknown): string
@@ -0,0 +1,31 @@
+/**
+ * Serialization Helpers
+ * YAML frontmatter and JavaScript string literals for generated MDX
+ */
+
+const { stringify } = require('yaml')
+
+/**
+ * Serialize data as a frontmatter block, quoting whatever YAML requires
+ * Keys with undefined values are left out
+ */
+function stringifyFrontmatter(data) {
+  return `---\n${stringify(data, { lineWidth: 0 })}---`
+}
+
+/**
+ * Quote a value as a single-quoted JavaScript string literal
+ */
+function jsString(value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029')
+
+  return `'${escaped}'`
+}
+
+module.exports = { stringifyFrontmatter, jsString }
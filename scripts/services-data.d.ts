@@ -0,0 +1,40 @@
+/**
+ * Types for services-data.js; records match data/services.schema.json plus the derived identifiers
+ */
+
+export interface ServiceGroup {
+  // PascalCase key, e.g. ProfessionalServices
+  name: string
+  // Human-readable name, e.g. Professional Services
+  display: string
+}
+
+export interface ServiceRecord {
+  name: string
+  // Type name derived from naics.title by identifiers.js, e.g. OfficesOfLawyers
+  titleCase: string
+  // $id slug derived the same way, e.g. offices-of-lawyers
+  slug: string
+  description: string
+  category: ServiceGroup
+  subcategory: ServiceGroup
+  naics: {
+    code: string
+    title: string
+    sector: string
+    sectorName: string
+    subsector?: string
+    subsectorName?: string
+    industryGroup?: string
+    industryGroupName?: string
+  }
+  unspsc: string
+  wikidata?: string
+  wikipedia?: string
+  digital: number
+  serviceType: string
+}
+
+export const SERVICES_FILE: string
+
+export function loadServices(filePath?: string): ServiceRecord[]
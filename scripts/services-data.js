@@ -0,0 +1,61 @@
+/**
+ * Service Records
+ * Loads the curated service records in data/services.json shared by every generator
+ */
+
+const fs = require('fs')
+const path = require('path')
+const Ajv = require('ajv')
+const { buildIdentifiers } = require('./identifiers')
+
+const SERVICES_FILE = path.join(__dirname, '..', 'data', 'services.json')
+const SCHEMA_FILE = path.join(__dirname, '..', 'data', 'services.schema.json')
+
+let validate
+
+/**
+ * Compile the record schema once per process
+ */
+function getValidator() {
+  if (!validate) {
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf-8'))
+    validate = new Ajv({ allErrors: true }).compile(schema)
+  }
+  return validate
+}
+
+/**
+ * Reject records that describe the same industry twice
+ */
+function checkDuplicates(services, filePath) {
+  const codes = new Set()
+  for (const service of services) {
+    if (codes.has(service.naics.code)) {
+      throw new Error(`${filePath}: duplicate NAICS code ${service.naics.code}`)
+    }
+    codes.add(service.naics.code)
+  }
+}
+
+/**
+ * Read and validate the service records, adding each one's titleCase type name and $id slug
+ */
+function loadServices(filePath = SERVICES_FILE) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+
+  const valid = getValidator()
+  if (!valid(data)) {
+    const errors = valid.errors.map(error => `  ${error.instancePath || '/'} ${error.message}`)
+    throw new Error(`${filePath} does not match services.schema.json:\n${errors.join('\n')}`)
+  }
+
+  checkDuplicates(data.services, filePath)
+
+  const identifiers = buildIdentifiers(data.services.map(service => service.naics))
+  return data.services.map(service => {
+    const { typeName, slug } = identifiers.get(service.naics.code)
+    return { ...service, titleCase: typeName, slug }
+  })
+}
+
+module.exports = { SERVICES_FILE, loadServices }
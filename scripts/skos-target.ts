@@ -0,0 +1,158 @@
+/**
+ * SKOS Target
+ * The NAICS and UNSPSC hierarchies as SKOS concept schemes, written to rdf/ as JSON-LD, Turtle and N-Triples
+ */
+
+import { join } from 'path'
+import { naicsParser, type NAICSLevel, type NAICSParser } from './naics-parser'
+import { unspscParser, type UNSPSCLevel, type UNSPSCParser } from './unspsc-parser'
+import { crosswalk, type NAICSUNSPSCCrosswalk } from './crosswalk'
+import { BASE_URL, buildIdentifiers, type ServiceIdentifier } from './identifiers'
+import { loadClassificationData } from './ontology-target'
+import { NAICS_NOTATION, UNSPSC_NOTATION } from './rdf-target'
+import { Graph, toJSONLD, toNTriples, toTurtle } from './rdf'
+import type { GeneratorTarget, OutputFile } from './targets'
+
+const OUTPUT_DIR = 'rdf'
+
+export const NAICS_SCHEME = `${BASE_URL}/naics`
+export const UNSPSC_SCHEME = `${BASE_URL}/unspsc`
+
+const NAICS_LEVELS: NAICSLevel[] = ['sector', 'subsector', 'industryGroup', 'industry', 'nationalIndustry']
+const UNSPSC_LEVELS: UNSPSCLevel[] = ['segment', 'family', 'class', 'commodity']
+
+interface SchemeNode {
+  code: string
+  title: string
+  description?: string
+  parent?: string
+  children: string[]
+}
+
+interface SchemeOptions {
+  scheme: string
+  label: string
+  notation: string
+  nodes: SchemeNode[]
+  // Service types each concept is a close match of, keyed by code
+  matches: Map<string, string[]>
+}
+
+/**
+ * Add a concept scheme with one concept per node, linked up and down the hierarchy
+ */
+function addScheme(graph: Graph, options: SchemeOptions) {
+  const { scheme, label, notation, nodes, matches } = options
+  const concept = (code: string) => `${scheme}/${code}`
+
+  graph
+    .add(scheme, 'rdf:type', { iri: 'skos:ConceptScheme' })
+    .add(scheme, 'skos:prefLabel', { value: label, language: 'en' })
+
+  for (const node of nodes) {
+    const subject = concept(node.code)
+
+    graph
+      .add(subject, 'rdf:type', { iri: 'skos:Concept' })
+      .add(subject, 'skos:inScheme', { iri: scheme })
+      .add(subject, 'skos:notation', { value: node.code, datatype: notation })
+      .add(subject, 'skos:prefLabel', { value: node.title, language: 'en' })
+      .add(subject, 'skos:definition', node.description ? { value: node.description, language: 'en' } : undefined)
+
+    if (node.parent) {
+      graph.add(subject, 'skos:broader', { iri: concept(node.parent) })
+    } else {
+      graph
+        .add(subject, 'skos:topConceptOf', { iri: scheme })
+        .add(scheme, 'skos:hasTopConcept', { iri: subject })
+    }
+
+    for (const child of [...node.children].sort()) {
+      graph.add(subject, 'skos:narrower', { iri: concept(child) })
+    }
+
+    for (const $id of matches.get(node.code) || []) {
+      graph.add(subject, 'skos:closeMatch', { iri: $id })
+    }
+  }
+}
+
+/**
+ * The NAICS sector → national industry tree, each service industry matched to its service type
+ */
+export function buildNAICSScheme(naics: NAICSParser, identifiers: Map<string, ServiceIdentifier>): Graph {
+  const graph = new Graph()
+  const matches = new Map(Array.from(identifiers, ([code, identifier]) => [code, [identifier.$id]]))
+
+  addScheme(graph, {
+    scheme: NAICS_SCHEME,
+    label: 'North American Industry Classification System 2022',
+    notation: NAICS_NOTATION,
+    nodes: NAICS_LEVELS.flatMap(level => naics.getByLevel(level)),
+    matches
+  })
+
+  return graph
+}
+
+/**
+ * The UNSPSC services segments, commodities matched to the service types the crosswalk maps onto them
+ * Suggested and low-confidence mappings are left out
+ */
+export function buildUNSPSCScheme(
+  unspsc: UNSPSCParser,
+  identifiers: Map<string, ServiceIdentifier>,
+  mappings: NAICSUNSPSCCrosswalk
+): Graph {
+  const graph = new Graph()
+  const matches = new Map<string, string[]>()
+
+  for (const [code, identifier] of identifiers) {
+    for (const mapping of mappings.getMappings(code)) {
+      if (mappings.isLowConfidence(mapping)) continue
+      matches.set(mapping.unspsc, [...(matches.get(mapping.unspsc) || []), identifier.$id])
+    }
+  }
+
+  addScheme(graph, {
+    scheme: UNSPSC_SCHEME,
+    label: 'United Nations Standard Products and Services Code',
+    notation: UNSPSC_NOTATION,
+    nodes: UNSPSC_LEVELS.flatMap(level => unspsc.getByLevel(level))
+      .map(node => ({ ...node, description: node.definition })),
+    matches
+  })
+
+  return graph
+}
+
+/**
+ * Write one graph in every serialization
+ */
+function serializations(name: string, graph: Graph): OutputFile[] {
+  return [
+    { path: join(OUTPUT_DIR, `${name}.jsonld`), content: toJSONLD(graph), source: name },
+    { path: join(OUTPUT_DIR, `${name}.ttl`), content: toTurtle(graph), source: name },
+    { path: join(OUTPUT_DIR, `${name}.nt`), content: toNTriples(graph), source: name }
+  ]
+}
+
+/**
+ * Render both concept schemes; they always cover the full classifications, whatever the filter
+ */
+async function renderSKOS(): Promise<OutputFile[]> {
+  await loadClassificationData()
+
+  const identifiers = buildIdentifiers(naicsParser.getServiceIndustries())
+  const naics = buildNAICSScheme(naicsParser, identifiers)
+  const unspsc = buildUNSPSCScheme(unspscParser, identifiers, crosswalk)
+  console.log(`🔗 NAICS: ${naics.triples.length} triples, UNSPSC: ${unspsc.triples.length} triples\n`)
+
+  return [...serializations('naics', naics), ...serializations('unspsc', unspsc)]
+}
+
+export const skosTarget: GeneratorTarget = {
+  name: 'skos',
+  description: 'NAICS and UNSPSC concept schemes in rdf/ (JSON-LD, Turtle, N-Triples)',
+  render: renderSKOS
+}
@@ -0,0 +1,181 @@
+/**
+ * SPARQL Query Builder
+ * Escapes values and composes the service queries sent to Wikidata
+ */
+
+// Escapes allowed inside a SPARQL string literal (ECHAR)
+const LITERAL_ESCAPES: Record<string, string> = {
+  '\\': '\\\\',
+  '"': '\\"',
+  "'": "\\'",
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t',
+  '\b': '\\b',
+  '\f': '\\f'
+}
+
+/**
+ * Quote a value as a SPARQL string literal
+ */
+export function literal(value: string): string {
+  if (typeof value !== 'string') {
+    throw new TypeError(`SPARQL literal must be a string, got ${typeof value}`)
+  }
+
+  return `"${value.replace(/[\\"'\n\r\t\b\f]/g, char => LITERAL_ESCAPES[char])}"`
+}
+
+/**
+ * Reference a Wikidata item, rejecting anything that is not a QID
+ */
+export function entity(qid: string): string {
+  if (typeof qid !== 'string' || !/^Q[1-9]\d*$/.test(qid)) {
+    throw new Error(`Invalid Wikidata QID: ${String(qid)}`)
+  }
+
+  return `wd:${qid}`
+}
+
+/**
+ * Format a LIMIT/OFFSET value, rejecting anything that is not a non-negative integer
+ */
+export function integer(value: number): string {
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new Error(`Invalid SPARQL integer: ${String(value)}`)
+  }
+
+  return String(value)
+}
+
+/**
+ * Validate a language code, returning the suffix used for its SPARQL variables
+ */
+export function languageVariable(language: string): string {
+  if (typeof language !== 'string' || !/^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(language)) {
+    throw new Error(`Invalid language code: ${String(language)}`)
+  }
+
+  return language.replace(/-/g, '_')
+}
+
+/**
+ * A subquery selecting one page of distinct items, ordered by item
+ * Paging over items rather than result rows keeps every row of an item on the same page
+ */
+export function itemPage(where: string[], limit: number, offset: number): string {
+  return `{
+    SELECT DISTINCT ?service WHERE {
+${where.map(pattern => `      ${pattern}`).join('\n')}
+    }
+    ORDER BY ?service
+    LIMIT ${integer(limit)}
+    OFFSET ${integer(offset)}
+  }`
+}
+
+export interface ServiceQueryOptions {
+  // Triple patterns and filters selecting ?service
+  where: string[]
+  // Whether the where clause already binds ?serviceLabel itself
+  bindsLabel?: boolean
+  // Variable to sort by; required for stable pagination
+  orderBy?: string
+  // Languages for labels, descriptions and Wikipedia links; the first is primary
+  languages?: string[]
+  limit?: number
+  offset?: number
+}
+
+// Variables returned by every service query, read by WikidataClient.parseServiceResults
+const SERVICE_PROJECTION = `SELECT ?service ?serviceLabel ?serviceDescription
+       ?industry ?industryLabel
+       ?provider ?providerLabel
+       ?inception ?image ?wikipedia ?unspsc ?naics`
+
+// Optional properties fetched for every service
+const SERVICE_OPTIONALS = [
+  'OPTIONAL { ?service wdt:P452 ?industry. }',
+  'OPTIONAL { ?service wdt:P176 ?provider. }',
+  'OPTIONAL { ?service wdt:P571 ?inception. }',
+  'OPTIONAL { ?service wdt:P18 ?image. }',
+  'OPTIONAL { ?service wdt:P2167 ?unspsc. }',
+  'OPTIONAL { ?service wdt:P4496 ?naics. }'
+]
+
+/**
+ * Wikipedia article about the service in one language
+ */
+function wikipediaOptional(variable: string, language: string): string {
+  return `OPTIONAL {
+    ${variable} schema:about ?service ;
+      schema:isPartOf <https://${language}.wikipedia.org/> .
+  }`
+}
+
+/**
+ * Label and description in a secondary language, bound to suffixed variables
+ */
+function languageOptionals(language: string): string[] {
+  const suffix = languageVariable(language)
+  const tag = literal(language.toLowerCase())
+
+  return [
+    `OPTIONAL { ?service rdfs:label ?serviceLabel_${suffix} . FILTER(LANG(?serviceLabel_${suffix}) = ${tag}) }`,
+    `OPTIONAL { ?service schema:description ?serviceDescription_${suffix} . FILTER(LANG(?serviceDescription_${suffix}) = ${tag}) }`,
+    wikipediaOptional(`?wikipedia_${suffix}`, language.toLowerCase())
+  ]
+}
+
+/**
+ * Build a service query sharing the projection, OPTIONAL blocks and label service
+ */
+export function buildServiceQuery(options: ServiceQueryOptions): string {
+  const { where, bindsLabel = false, orderBy, languages = ['en'], limit, offset } = options
+  if (languages.length === 0) {
+    throw new Error('At least one language is required')
+  }
+  languages.forEach(languageVariable)
+  const [primary, ...secondary] = languages
+
+  const labelBindings = [
+    bindsLabel ? undefined : '?service rdfs:label ?serviceLabel .',
+    '?service schema:description ?serviceDescription .'
+  ].filter(Boolean)
+
+  const projection = [
+    SERVICE_PROJECTION,
+    ...secondary.map(language => {
+      const suffix = languageVariable(language)
+      return `       ?serviceLabel_${suffix} ?serviceDescription_${suffix} ?wikipedia_${suffix}`
+    })
+  ]
+
+  const lines = [
+    ...projection,
+    'WHERE {',
+    ...where.map(pattern => `  ${pattern}`),
+    '',
+    ...SERVICE_OPTIONALS.map(optional => `  ${optional}`),
+    '',
+    `  ${wikipediaOptional('?wikipedia', primary.toLowerCase())}`,
+    ...secondary.flatMap(languageOptionals).map(optional => `  ${optional}`),
+    '',
+    '  SERVICE wikibase:label {',
+    `    bd:serviceParam wikibase:language ${literal(languages.join(',').toLowerCase())}.`,
+    ...labelBindings.map(binding => `    ${binding}`),
+    '  }',
+    '}'
+  ]
+
+  if (orderBy !== undefined) {
+    if (!/^\?[A-Za-z_]\w*$/.test(orderBy)) {
+      throw new Error(`Invalid SPARQL variable: ${orderBy}`)
+    }
+    lines.push(`ORDER BY ${orderBy}`)
+  }
+  if (limit !== undefined) lines.push(`LIMIT ${integer(limit)}`)
+  if (offset !== undefined) lines.push(`OFFSET ${integer(offset)}`)
+
+  return lines.join('\n')
+}
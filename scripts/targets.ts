@@ -0,0 +1,119 @@
+/**
+ * Generator Targets
+ * Output layouts rendered from the same service data, selected with --target
+ */
+
+import { resolve } from 'path'
+import type { ServiceRecord } from './services-data'
+import { ontologyTarget } from './ontology-target'
+import { rdfTarget } from './rdf-target'
+import { skosTarget } from './skos-target'
+
+export interface GenerateOptions {
+  // Resolve each industry to a Wikidata item before generating
+  wikidata?: boolean
+  // Answer Wikidata queries only from the on-disk cache
+  offline?: boolean
+  // Languages for localized names and descriptions, English first (default: ['en'])
+  languages?: string[]
+  // Also write one page per non-English language under types/generated/<lang>/
+  localePages?: boolean
+}
+
+export interface ServiceFilter {
+  // NAICS sector codes, e.g. 54 or 44-45
+  sectors?: string[]
+  // NAICS code prefixes, e.g. 5415
+  naicsPrefixes?: string[]
+}
+
+export interface GeneratorContext {
+  // Curated service records that pass the filter
+  records: ServiceRecord[]
+  // Whether a NAICS industry passes the filter
+  matches(naics: { code: string, sector: string }): boolean
+  options: GenerateOptions
+}
+
+export interface OutputFile {
+  // Relative to the repository root
+  path: string
+  content: string
+  // NAICS code or category the file was rendered from, recorded in the manifest
+  source?: string
+}
+
+export interface GeneratorTarget {
+  name: string
+  description: string
+  render(context: GeneratorContext): OutputFile[] | Promise<OutputFile[]>
+}
+
+type LayoutRenderer = (records: ServiceRecord[]) => OutputFile[]
+
+/**
+ * Wrap one of the JavaScript layout scripts as a target over the curated records
+ */
+function layoutTarget(name: string, description: string, script: string, renderer: string): GeneratorTarget {
+  return {
+    name,
+    description,
+    render(context) {
+      const render: LayoutRenderer = require(script)[renderer]
+      return render(context.records)
+    }
+  }
+}
+
+export const BUILTIN_TARGETS: GeneratorTarget[] = [
+  ontologyTarget,
+  layoutTarget('flat', 'TitleCase pages with breadcrumbs in the repository root', './generate-flat', 'renderFlat'),
+  layoutTarget('fumadocs', 'Fumadocs (Category)/(Subcategory) folders', './generate-fumadocs', 'renderFumadocs'),
+  layoutTarget('samples', 'Sample pages for the curated records in samples/', './generate-samples', 'renderSamples'),
+  rdfTarget,
+  skosTarget
+]
+
+/**
+ * Check whether a NAICS industry passes a filter; every given criterion must match
+ */
+export function matchesFilter(naics: { code: string, sector: string }, filter: ServiceFilter): boolean {
+  const { sectors = [], naicsPrefixes = [] } = filter
+
+  if (sectors.length > 0 && !sectors.some(sector => naics.sector === sector || naics.code.startsWith(sector))) {
+    return false
+  }
+  if (naicsPrefixes.length > 0 && !naicsPrefixes.some(prefix => naics.code.startsWith(prefix))) {
+    return false
+  }
+  return true
+}
+
+function isTarget(value: any): value is GeneratorTarget {
+  return Boolean(value) && typeof value.name === 'string' && typeof value.render === 'function'
+}
+
+/**
+ * Resolve a target by built-in name, or load a third-party target from a module
+ * The module must export a target as its default export, as `target`, or as module.exports
+ */
+export function loadTarget(name: string): GeneratorTarget {
+  const builtin = BUILTIN_TARGETS.find(target => target.name === name)
+  if (builtin) return builtin
+
+  let exported: any
+  try {
+    exported = require(name.startsWith('.') ? resolve(process.cwd(), name) : name)
+  } catch (error: any) {
+    if (error?.code !== 'MODULE_NOT_FOUND') throw error
+
+    const names = BUILTIN_TARGETS.map(target => target.name).join(', ')
+    throw new Error(`Unknown target "${name}" (built-in targets: ${names})`)
+  }
+
+  const target = [exported?.default, exported?.target, exported].find(isTarget)
+  if (!target) {
+    throw new Error(`Module "${name}" does not export a generator target with a name and render()`)
+  }
+  return target
+}
@@ -0,0 +1,56 @@
+/**
+ * Types for type-graph.js
+ */
+
+import type { ServiceGroup, ServiceRecord } from './services-data'
+
+export interface TypeNode {
+  // PascalCase type name, e.g. LegalServices
+  name: string
+  title: string
+}
+
+export interface TypeSource {
+  category?: ServiceGroup
+  subcategory?: ServiceGroup
+  naics?: {
+    sector?: string
+    sectorName?: string
+    subsector?: string
+    subsectorName?: string
+    industryGroup?: string
+    industryGroupName?: string
+    industry?: string
+    industryName?: string
+  }
+}
+
+export const ROOT_TYPE: 'Service'
+
+// NAICS sector or industry group code → chain from Service down to its curated group
+export type CuratedGroups = Map<string, TypeNode[]>
+
+export function extendsChain(typeName: string, source?: TypeSource, groups?: CuratedGroups): TypeNode[]
+
+export function curatedGroups(services: ServiceRecord[]): CuratedGroups
+
+export class TypeGraph {
+  add(typeName: string, title: string, chain: TypeNode[]): this
+  has(typeName: string): boolean
+  title(typeName: string): string | undefined
+  ancestors(typeName: string): string[]
+  subtypes(typeName: string, options?: { direct?: boolean }): string[]
+  isSubtypeOf(typeName: string, ancestor: string): boolean
+}
+
+export function buildTypeGraph(services: ServiceRecord[]): TypeGraph
+
+export interface SubtypesOptions {
+  link?: (typeName: string) => string | undefined
+  // Paragraph between the heading and the list
+  intro?: string
+}
+
+export function renderSubtypes(graph: TypeGraph, typeName: string, options?: SubtypesOptions): string
+
+export function renderBreadcrumb(chain: TypeNode[], servicePage: string): string
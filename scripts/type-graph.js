@@ -0,0 +1,186 @@
+/**
+ * Type Graph
+ * Inheritance between service types: every type extends Service, through its category and
+ * subcategory when it has them, otherwise through the NAICS levels above its industry
+ */
+
+const { toTypeName } = require('./identifiers')
+
+const ROOT_TYPE = 'Service'
+
+// NAICS levels above a national industry, broadest first; each has a code and a <level>Name title
+const NAICS_LEVELS = ['sector', 'subsector', 'industryGroup', 'industry']
+
+/**
+ * The types a service type extends, from Service down to its direct parent, as { name, title }
+ * Curated records extend their category and subcategory. Other industries extend their NAICS
+ * levels, starting below the deepest level `groups` maps to a curated group, so every type in a
+ * NAICS industry group the curated records cover has the same parent as the curated type.
+ * Levels that repeat the title above them, or the type's own name, are skipped
+ */
+function extendsChain(typeName, { category, subcategory, naics } = {}, groups) {
+  const chain = [{ name: ROOT_TYPE, title: ROOT_TYPE }]
+  const push = (name, title) => {
+    if (name !== typeName && name !== chain[chain.length - 1].name) chain.push({ name, title })
+  }
+
+  if (category && subcategory) {
+    push(category.name, category.display)
+    push(subcategory.name, subcategory.display)
+    return chain
+  }
+
+  const levels = NAICS_LEVELS.filter(level => naics && naics[`${level}Name`])
+  let start = 0
+  for (let index = levels.length - 1; groups && index >= 0; index--) {
+    const group = groups.get(naics[levels[index]])
+    if (group) {
+      group.slice(1).forEach(node => push(node.name, node.title))
+      start = index + 1
+      break
+    }
+  }
+
+  let previous = start > 0 ? naics[`${levels[start - 1]}Name`] : undefined
+  for (const level of levels.slice(start)) {
+    const title = naics[`${level}Name`]
+    if (title !== previous) push(toTypeName(title), title)
+    previous = title
+  }
+
+  return chain
+}
+
+/**
+ * The curated group of each NAICS sector and industry group the curated records are in, as the
+ * chain from Service down to that group, e.g. 5415 → Service > ProfessionalServices > ComputerServices
+ * Throws when two records put the same code in different groups
+ */
+function curatedGroups(services) {
+  const groups = new Map()
+  const claim = (code, chain) => {
+    if (!code) return
+    const path = chain.map(node => node.name).join(' > ')
+    const other = groups.get(code)
+    if (other && other.map(node => node.name).join(' > ') !== path) {
+      throw new Error(`NAICS ${code} is in two curated groups: ${other.map(node => node.name).join(' > ')} and ${path}`)
+    }
+    groups.set(code, chain)
+  }
+
+  for (const service of services) {
+    const chain = extendsChain(service.titleCase, service)
+    claim(service.naics.sector, chain.slice(0, 2))
+    claim(service.naics.industryGroup, chain)
+  }
+  return groups
+}
+
+class TypeGraph {
+  constructor() {
+    this.parents = new Map()
+    this.titles = new Map([[ROOT_TYPE, ROOT_TYPE]])
+  }
+
+  /**
+   * Add a type below its extends chain; a type keeps the first parent it was added with
+   */
+  add(typeName, title, chain) {
+    const path = [...chain, { name: typeName, title }]
+    path.forEach((node, index) => {
+      if (!this.titles.has(node.name)) this.titles.set(node.name, node.title)
+      if (index > 0 && node.name !== ROOT_TYPE && !this.parents.has(node.name)) {
+        this.parents.set(node.name, path[index - 1].name)
+      }
+    })
+    return this
+  }
+
+  has(typeName) {
+    return this.titles.has(typeName)
+  }
+
+  title(typeName) {
+    return this.titles.get(typeName)
+  }
+
+  /**
+   * Every type above a type, from Service down to its direct parent
+   * Throws when the parents above the type loop back on themselves
+   */
+  ancestors(typeName) {
+    const ancestors = []
+    for (let parent = this.parents.get(typeName); parent; parent = this.parents.get(parent)) {
+      if (parent === typeName || ancestors.includes(parent)) {
+        throw new Error(`The extends chain of ${typeName} loops: ${[typeName, ...[...ancestors].reverse(), parent].join(' < ')}`)
+      }
+      ancestors.unshift(parent)
+    }
+    return ancestors
+  }
+
+  /**
+   * Every type below a type, or only its direct subtypes, sorted by name
+   */
+  subtypes(typeName, { direct = false } = {}) {
+    const childrenOf = parent => Array.from(this.parents)
+      .filter(([, other]) => other === parent)
+      .map(([child]) => child)
+
+    if (direct) return childrenOf(typeName).sort()
+
+    // A type below itself sits on a loop, which ancestors() reports instead of walking it forever
+    this.ancestors(typeName)
+    const subtypes = childrenOf(typeName)
+    for (let index = 0; index < subtypes.length; index++) subtypes.push(...childrenOf(subtypes[index]))
+    return subtypes.sort()
+  }
+
+  isSubtypeOf(typeName, ancestor) {
+    return this.ancestors(typeName).includes(ancestor)
+  }
+}
+
+/**
+ * The graph of the curated service records, by category and subcategory
+ */
+function buildTypeGraph(services) {
+  const graph = new TypeGraph()
+  for (const service of services) {
+    graph.add(service.titleCase, service.name, extendsChain(service.titleCase, service))
+  }
+  return graph
+}
+
+/**
+ * A Subtypes section listing the types below a type, nested by level, or '' when there are none
+ * Links go through `link(typeName)`; types it returns nothing for are listed as plain text
+ */
+function renderSubtypes(graph, typeName, { link = () => undefined, intro } = {}) {
+  if (graph.subtypes(typeName).length === 0) return ''
+
+  const lines = []
+  const walk = (parent, depth) => {
+    for (const child of graph.subtypes(parent, { direct: true })) {
+      const href = link(child)
+      const title = graph.title(child)
+      lines.push(`${'  '.repeat(depth)}- ${href ? `[${title}](${href})` : title}`)
+      walk(child, depth + 1)
+    }
+  }
+  walk(typeName, 0)
+
+  return ['## Subtypes', intro, lines.join('\n')].filter(Boolean).join('\n\n')
+}
+
+/**
+ * Breadcrumb of a type page from its extends chain, linking Thing and the Service page
+ */
+function renderBreadcrumb(chain, servicePage) {
+  return [
+    '[Thing](https://schema.org.ai/Thing)',
+    ...chain.map(node => (node.name === ROOT_TYPE ? `[Service](${servicePage})` : node.title))
+  ].join(' > ')
+}
+
+module.exports = { ROOT_TYPE, extendsChain, curatedGroups, TypeGraph, buildTypeGraph, renderSubtypes, renderBreadcrumb }
@@ -0,0 +1,229 @@
+/**
+ * Service Type Schemas
+ * JSON Schemas and TypeScript declarations for the properties `$.Type.create()` accepts
+ */
+
+const SCHEMA_BASE_URL = 'https://services.org.ai/schemas/'
+export const BASE_SCHEMA_FILE = 'Service.schema.json'
+
+// Property tables in types/Service.mdx that the base schema mirrors
+const PROPERTY_SECTIONS = ['Properties', 'Extended Properties']
+
+export interface PropertyRow {
+  name: string
+  // Ontology types of the value, e.g. ['Organization', 'Person']
+  types: string[]
+  description: string
+}
+
+export type JSONSchema = Record<string, any>
+
+// Things given by name or as an object with a name
+const named = (type?: string): JSONSchema => ({
+  anyOf: [
+    { type: 'string', minLength: 1 },
+    {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        ...(type ? { type: { const: type } } : {})
+      }
+    }
+  ]
+})
+
+// JSON Schema for each ontology type a property table may name
+const TYPE_SHAPES: Record<string, JSONSchema> = {
+  Text: { type: 'string' },
+  URL: { type: 'string', pattern: '^https?://' },
+  Number: { type: 'number' },
+  Thing: named(),
+  Organization: named('Organization'),
+  Person: named('Person'),
+  Place: named('Place'),
+  GeoShape: named('GeoShape'),
+  GovernmentBenefitsType: { type: 'string' },
+  ServiceChannel: {
+    anyOf: [
+      { enum: ['web', 'phone', 'location'] },
+      {
+        type: 'object',
+        anyOf: [{ required: ['serviceUrl'] }, { required: ['servicePhone'] }, { required: ['serviceLocation'] }],
+        properties: {
+          name: { type: 'string' },
+          serviceUrl: { type: 'string', pattern: '^https?://' },
+          servicePhone: { type: 'string', minLength: 1 },
+          serviceLocation: { $ref: '#/definitions/Place' }
+        }
+      }
+    ]
+  },
+  OpeningHoursSpecification: {
+    type: 'object',
+    required: ['dayOfWeek', 'opens', 'closes'],
+    properties: {
+      dayOfWeek: { type: 'array', items: { type: 'string' } },
+      opens: { type: 'string' },
+      closes: { type: 'string' }
+    }
+  },
+  Offer: { type: 'object' },
+  NAICSClassification: {
+    type: 'object',
+    required: ['code', 'title', 'sector', 'sectorName'],
+    properties: {
+      code: { type: 'string', pattern: '^\\d{6}$' },
+      title: { type: 'string' },
+      sector: { type: 'string', pattern: '^\\d{2}(-\\d{2})?$' },
+      sectorName: { type: 'string' },
+      subsector: { type: 'string', pattern: '^\\d{3}$' },
+      subsectorName: { type: 'string' },
+      industryGroup: { type: 'string', pattern: '^\\d{4}$' },
+      industryGroupName: { type: 'string' }
+    }
+  }
+}
+
+// Constraints the property tables only state in prose
+const PROPERTY_CONSTRAINTS: Record<string, JSONSchema> = {
+  name: { type: 'string', minLength: 1 },
+  unspsc: { type: 'string', pattern: '^\\d{8}$' },
+  wikidata: { type: 'string', pattern: '^https://www\\.wikidata\\.org/wiki/Q[1-9]\\d*$' },
+  digital: { type: 'number', minimum: 0, maximum: 1 },
+  deliveryMethod: { enum: ['in-person', 'remote', 'hybrid'] }
+}
+
+// Properties that also take a list of values
+const LIST_PROPERTIES = new Set(['availableChannel', 'hoursAvailable'])
+
+/**
+ * Read the property tables of a type page, e.g. types/Service.mdx
+ */
+export function readPropertyTables(mdx: string): PropertyRow[] {
+  const rows: PropertyRow[] = []
+  let inSection = false
+
+  for (const line of mdx.split('\n')) {
+    const heading = line.match(/^##\s+(.+)$/)
+    if (heading) {
+      inSection = PROPERTY_SECTIONS.includes(heading[1].trim())
+      continue
+    }
+    if (!inSection || !line.startsWith('|') || /^\|\s*-/.test(line)) continue
+
+    const [name, type, description] = line
+      .slice(1, -1)
+      .split(/(?<!\\)\|/)
+      .map(cell => cell.trim().replace(/\\\|/g, '|'))
+    if (name === 'Property') continue
+
+    rows.push({ name, types: type.split('|').map(part => part.trim()), description })
+  }
+
+  return rows
+}
+
+/**
+ * Schema of one property from its table row
+ */
+function propertySchema(row: PropertyRow): JSONSchema {
+  const shapes = row.types.map(type => {
+    if (!TYPE_SHAPES[type]) {
+      throw new Error(`No JSON Schema shape for ${type} (property ${row.name})`)
+    }
+    return { $ref: `#/definitions/${type}` }
+  })
+
+  let schema: JSONSchema = shapes.length === 1 ? shapes[0] : { anyOf: shapes }
+  if (PROPERTY_CONSTRAINTS[row.name]) {
+    schema = { allOf: [schema, PROPERTY_CONSTRAINTS[row.name]] }
+  }
+  if (LIST_PROPERTIES.has(row.name)) {
+    schema = { anyOf: [schema, { type: 'array', items: schema }] }
+  }
+
+  return { description: row.description, ...schema }
+}
+
+/**
+ * The base Service schema, mirroring the property tables of types/Service.mdx
+ * Properties beyond the tables are allowed, as they are in create()
+ */
+export function buildServiceSchema(rows: PropertyRow[]): JSONSchema {
+  const used = new Set(rows.flatMap(row => row.types))
+  const definitions = Object.fromEntries(
+    Object.entries(TYPE_SHAPES).filter(([type]) => used.has(type) || type === 'Place')
+  )
+
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `${SCHEMA_BASE_URL}${BASE_SCHEMA_FILE}`,
+    title: 'Service',
+    description: 'Properties accepted by $.Service.create()',
+    type: 'object',
+    required: ['name'],
+    properties: Object.fromEntries(rows.map(row => [row.name, propertySchema(row)])),
+    definitions
+  }
+}
+
+/**
+ * Schema of one service type: the base schema, with classifications fixed to the type's own
+ */
+export function buildTypeSchema(typeName: string, definition: Record<string, any>): JSONSchema {
+  const properties: JSONSchema = {}
+  if (definition.naics?.code) {
+    properties.naics = { type: 'object', properties: { code: { const: definition.naics.code } } }
+  }
+  if (definition.unspsc) {
+    properties.unspsc = { const: definition.unspsc }
+  }
+
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `${SCHEMA_BASE_URL}${typeName}.schema.json`,
+    title: typeName,
+    description: definition.description,
+    type: 'object',
+    allOf: [{ $ref: BASE_SCHEMA_FILE }],
+    properties
+  }
+}
+
+/**
+ * TypeScript declarations matching the type schemas, one properties interface per service type
+ */
+export function renderDeclarations(definitions: Record<string, Record<string, any>>): string {
+  const interfaces: string[] = []
+  const entries: string[] = []
+
+  for (const [typeName, definition] of Object.entries(definitions)) {
+    if (typeName === 'Service') {
+      entries.push('  Service: ServiceProperties')
+      continue
+    }
+
+    const fields: string[] = []
+    if (definition.naics?.code) {
+      fields.push(`  naics?: NAICSClassification & { code: ${JSON.stringify(definition.naics.code)} }`)
+    }
+    if (definition.unspsc) {
+      fields.push(`  unspsc?: ${JSON.stringify(definition.unspsc)}`)
+    }
+
+    const comment = `/**
+ * Properties accepted by \`$.${typeName}.create()\`
+ */`
+    interfaces.push(fields.length > 0
+      ? `${comment}\nexport interface ${typeName}Properties extends ServiceProperties {\n${fields.join('\n')}\n}`
+      : `${comment}\nexport type ${typeName}Properties = ServiceProperties`)
+    entries.push(`  ${typeName}: ${typeName}Properties`)
+  }
+
+  return `${interfaces.join('\n\n')}
+
+export interface ServicePropertiesByType {
+${entries.join('\n')}
+}`
+}
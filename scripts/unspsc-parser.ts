@@ -0,0 +1,304 @@
+/**
+ * UNSPSC (United Nations Standard Products and Services Code) Parser
+ * Parses the services segments (70-95) of the UNSPSC code set
+ */
+
+import { readFile } from 'fs/promises'
+import { parseCSV, findColumn } from './csv'
+
+export type UNSPSCLevel = 'segment' | 'family' | 'class' | 'commodity'
+
+export interface UNSPSCNode {
+  code: string
+  title: string
+  definition?: string
+  level: UNSPSCLevel
+  parent?: string
+  children: string[]
+}
+
+export interface UNSPSCClassification {
+  code: string
+  title: string
+  segment: string
+  segmentName: string
+  family?: string
+  familyName?: string
+  class?: string
+  className?: string
+  commodity?: string
+  commodityName?: string
+}
+
+// UNSPSC code set export, saved as CSV
+export const UNSPSC_FILE = 'unspsc.csv'
+
+// Segments 70-95 describe services; everything below is goods
+const FIRST_SERVICE_SEGMENT = 70
+const LAST_SERVICE_SEGMENT = 95
+
+// Columns of the wide export, one row per commodity with its ancestors
+const WIDE_LEVELS: UNSPSCLevel[] = ['segment', 'family', 'class', 'commodity']
+
+// Sample UNSPSC data - In production, this would be loaded from the UNSPSC code set
+const UNSPSC_DATA: Record<string, string> = {
+  '70000000': 'Farming and Fishing and Forestry and Wildlife Contracting Services',
+  '71000000': 'Mining and oil and gas services',
+  '72000000': 'Building and Facility Construction and Maintenance Services',
+  '73000000': 'Industrial Production and Manufacturing Services',
+  '76000000': 'Industrial Cleaning Services',
+  '77000000': 'Environmental Services',
+  '78000000': 'Transportation and Storage and Mail Services',
+  '80000000': 'Management and Business Professionals and Administrative Services',
+  '80110000': 'Human resources services',
+  '80111700': 'Personnel recruitment',
+  '80120000': 'Legal services',
+  '80121500': 'Criminal law services',
+  '81000000': 'Engineering and Research and Technology Based Services',
+  '81110000': 'Computer services',
+  '81111500': 'Software or hardware engineering',
+  '81111504': 'Application programming services',
+  '82000000': 'Editorial and Design and Graphic and Fine Art Services',
+  '83000000': 'Public Utilities and Public Sector Related Services',
+  '84000000': 'Financial and Insurance Services',
+  '85000000': 'Healthcare Services',
+  '85120000': 'Medical practice',
+  '85121600': 'Medical doctors specialist services',
+  '86000000': 'Education and Training Services',
+  '86100000': 'Vocational training',
+  '86101500': 'Agricultural vocational training services',
+  '86120000': 'Educational institutions',
+  '86121500': 'Elementary and secondary schools',
+  '90000000': 'Travel and Food and Lodging and Entertainment Services',
+  '90100000': 'Restaurants and catering',
+  '90101500': 'Eating and drinking establishments',
+  '90101501': 'Restaurants',
+  '91000000': 'Personal and Domestic Services',
+  '92000000': 'National Defense and Public Order and Security and Safety Services',
+  '93000000': 'Politics and Civic Affairs Services',
+  '94000000': 'Organizations and Clubs',
+  '95000000': 'Land and Buildings and Structures and Thoroughfares'
+}
+
+/**
+ * Determine the hierarchy level of an 8-digit code from its trailing zeros
+ */
+export function getUNSPSCLevel(code: string): UNSPSCLevel {
+  if (code.endsWith('000000')) return 'segment'
+  if (code.endsWith('0000')) return 'family'
+  if (code.endsWith('00')) return 'class'
+  return 'commodity'
+}
+
+/**
+ * Get the code of the level directly above an 8-digit code
+ */
+function parentCode(code: string): string | undefined {
+  switch (getUNSPSCLevel(code)) {
+    case 'family': return `${code.substring(0, 2)}000000`
+    case 'class': return `${code.substring(0, 4)}0000`
+    case 'commodity': return `${code.substring(0, 6)}00`
+    default: return undefined
+  }
+}
+
+/**
+ * Check whether a code belongs to one of the services segments
+ */
+export function isServiceCode(code: string): boolean {
+  const segment = Number(code.substring(0, 2))
+  return /^\d{8}$/.test(code) && segment >= FIRST_SERVICE_SEGMENT && segment <= LAST_SERVICE_SEGMENT
+}
+
+/**
+ * Read nodes from either the wide export (Segment, Segment Title, ... Commodity Title)
+ * or a flat Code/Title list
+ */
+function parseUNSPSCCodes(content: string, source: string): Map<string, UNSPSCNode> {
+  const nodes = new Map<string, UNSPSCNode>()
+  const records = parseCSV(content, source)
+  if (records.length === 0) return nodes
+
+  const addNode = (code: string, title: string, definition?: string) => {
+    code = code.replace(/\D/g, '')
+    if (!isServiceCode(code) || !title || nodes.has(code)) return
+    nodes.set(code, { code, title, definition: definition || undefined, level: getUNSPSCLevel(code), children: [] })
+  }
+
+  const sample = records[0]
+  const wide = WIDE_LEVELS.every(level => findColumn(sample, new RegExp(`^${level}$`, 'i')))
+
+  if (wide) {
+    const columns = WIDE_LEVELS.map(level => ({
+      code: findColumn(sample, new RegExp(`^${level}$`, 'i'))!,
+      title: findColumn(sample, new RegExp(`^${level} title$`, 'i')),
+      definition: findColumn(sample, new RegExp(`^${level} definition$`, 'i'))
+    }))
+
+    for (const record of records) {
+      for (const column of columns) {
+        if (!column.title) continue
+        addNode(record[column.code], record[column.title], column.definition && record[column.definition])
+      }
+    }
+  } else {
+    const codeColumn = findColumn(sample, /code|key/i)
+    const titleColumn = findColumn(sample, /title|name/i)
+    const definitionColumn = findColumn(sample, /definition|description/i)
+    if (!codeColumn || !titleColumn) {
+      throw new Error('UNSPSC file must have code and title columns')
+    }
+
+    for (const record of records) {
+      addNode(record[codeColumn], record[titleColumn], definitionColumn && record[definitionColumn])
+    }
+  }
+
+  return nodes
+}
+
+export class UNSPSCParser {
+  private nodes = new Map<string, UNSPSCNode>()
+
+  constructor(data?: Record<string, string>) {
+    const nodes = new Map<string, UNSPSCNode>()
+    for (const [code, title] of Object.entries(data || UNSPSC_DATA)) {
+      nodes.set(code, { code, title, level: getUNSPSCLevel(code), children: [] })
+    }
+    this.buildHierarchy(nodes)
+  }
+
+  /**
+   * Get the node for an 8-digit code
+   */
+  getNode(code: string): UNSPSCNode | null {
+    return this.nodes.get(code) || null
+  }
+
+  /**
+   * Get the nearest ancestor of a code
+   */
+  getParent(code: string): UNSPSCNode | null {
+    const parent = this.getNode(code)?.parent
+    return parent ? this.getNode(parent) : null
+  }
+
+  /**
+   * Get the direct children of a code
+   */
+  getChildren(code: string): UNSPSCNode[] {
+    const node = this.getNode(code)
+    if (!node) return []
+
+    return node.children
+      .map(child => this.nodes.get(child))
+      .filter((child): child is UNSPSCNode => !!child)
+  }
+
+  /**
+   * Get all ancestors of a code, from the segment down to its parent
+   */
+  getAncestors(code: string): UNSPSCNode[] {
+    const ancestors: UNSPSCNode[] = []
+
+    let parent = this.getParent(code)
+    while (parent) {
+      ancestors.unshift(parent)
+      parent = this.getParent(parent.code)
+    }
+
+    return ancestors
+  }
+
+  /**
+   * Get all descendants of a code, depth first
+   */
+  getDescendants(code: string): UNSPSCNode[] {
+    return this.getChildren(code).flatMap(child => [child, ...this.getDescendants(child.code)])
+  }
+
+  /**
+   * Get classification structure for a UNSPSC code
+   */
+  getClassification(code: string): UNSPSCClassification | null {
+    const node = this.getNode(code)
+    if (!node) return null
+
+    const path = new Map<UNSPSCLevel, UNSPSCNode>()
+    ;[...this.getAncestors(code), node].forEach(ancestor => path.set(ancestor.level, ancestor))
+
+    return {
+      code: node.code,
+      title: node.title,
+      segment: code.substring(0, 2) + '000000',
+      segmentName: path.get('segment')?.title || '',
+      family: path.get('family')?.code,
+      familyName: path.get('family')?.title,
+      class: path.get('class')?.code,
+      className: path.get('class')?.title,
+      commodity: path.get('commodity')?.code,
+      commodityName: path.get('commodity')?.title
+    }
+  }
+
+  /**
+   * Get all segments
+   */
+  getSegments(): UNSPSCNode[] {
+    return this.getByLevel('segment')
+  }
+
+  /**
+   * Get all nodes at a hierarchy level
+   */
+  getByLevel(level: UNSPSCLevel): UNSPSCNode[] {
+    return Array.from(this.nodes.values()).filter(node => node.level === level)
+  }
+
+  /**
+   * Search codes by keyword, optionally restricted to one level
+   */
+  search(keyword: string, level?: UNSPSCLevel): UNSPSCNode[] {
+    const lowerKeyword = keyword.toLowerCase()
+
+    return Array.from(this.nodes.values()).filter(node =>
+      (!level || node.level === level) &&
+      (node.title.toLowerCase().includes(lowerKeyword) ||
+        (node.definition && node.definition.toLowerCase().includes(lowerKeyword)))
+    )
+  }
+
+  /**
+   * Load the services segments from a UNSPSC code set CSV
+   */
+  async loadFromFile(filePath: string): Promise<void> {
+    const nodes = parseUNSPSCCodes(await readFile(filePath, 'utf-8'), filePath)
+    if (nodes.size === 0) {
+      throw new Error(`No UNSPSC service codes found in ${filePath}`)
+    }
+
+    this.buildHierarchy(nodes)
+  }
+
+  /**
+   * Link nodes to their nearest ancestor present in the data
+   */
+  private buildHierarchy(nodes: Map<string, UNSPSCNode>): void {
+    this.nodes = nodes
+
+    for (const node of nodes.values()) {
+      let code = parentCode(node.code)
+      while (code && !nodes.has(code)) {
+        code = parentCode(code)
+      }
+
+      if (code) {
+        node.parent = code
+        nodes.get(code)!.children.push(node.code)
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const unspscParser = new UNSPSCParser()
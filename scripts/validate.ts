@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+/**
+ * Ontology Validator
+ * Checks every MDX page against the service type invariants and reports violations by file and line
+ */
+
+import { existsSync, readFileSync, readdirSync, statSync } from 'fs'
+import { basename, dirname, join, posix, relative, sep } from 'path'
+import { parseFrontmatter, type MDXDocument } from './frontmatter'
+import { naicsParser, NAICS_CODES_FILE } from './naics-parser'
+import { CHANNELS, DELIVERY_METHODS } from './delivery'
+import { ROOT_TYPE } from './type-graph'
+
+const ROOT_DIR = join(__dirname, '..')
+const NAICS_DATA_DIR = join(ROOT_DIR, 'data', 'naics')
+
+// Directories that never hold ontology pages; samples/ repeats the $ids of types/generated/
+const SKIPPED_DIRECTORIES = new Set(['node_modules', 'dist', 'data', 'samples'])
+
+const WIKIDATA_URL_PATTERN = /^https:\/\/www\.wikidata\.org\/wiki\/Q[1-9]\d*$/
+
+const TYPE_NAME_PATTERN = /^[A-Z][A-Za-z0-9]*$/
+
+export interface Violation {
+  // Relative to the repository root
+  file: string
+  line: number
+  message: string
+}
+
+interface Page {
+  file: string
+  content: string
+  document?: MDXDocument
+}
+
+/**
+ * Find every MDX file below a directory
+ */
+function findMDXFiles(directory: string): string[] {
+  return readdirSync(directory).flatMap(entry => {
+    if (entry.startsWith('.') || SKIPPED_DIRECTORIES.has(entry)) return []
+
+    const path = join(directory, entry)
+    if (statSync(path).isDirectory()) return findMDXFiles(path)
+    return entry.endsWith('.mdx') ? [path] : []
+  })
+}
+
+/**
+ * Site route of a page; Fumadocs (group) folders and index pages do not add a segment
+ */
+function routeOf(file: string): string {
+  const segments = file
+    .split(sep)
+    .filter(segment => !/^\(.*\)$/.test(segment))
+  const last = segments.pop()!.replace(/\.mdx$/, '')
+  if (last !== 'index') segments.push(last)
+  return segments.join('/')
+}
+
+/**
+ * Check the frontmatter of one page
+ */
+function validateFrontmatter(page: Page): Violation[] {
+  const { file, document } = page
+  if (!document) return []
+
+  const { data } = document
+  const violations: Violation[] = []
+  // A missing field is reported on the nearest value above it that is there
+  const report = (path: Array<string | number>, message: string) => {
+    let line: number | undefined
+    for (let depth = path.length; depth > 0 && !line; depth--) line = document.line(path.slice(0, depth))
+    violations.push({ file, line: line || 1, message })
+  }
+
+  if (data.naics !== undefined) {
+    const naics = data.naics || {}
+    const code = String(naics.code ?? '')
+
+    if (!/^\d{6}$/.test(code)) {
+      report(['naics', 'code'], `naics.code must be a 6-digit NAICS code, got "${code}"`)
+    } else {
+      const classification = naicsParser.getClassification(code)
+      if (!classification) {
+        report(['naics', 'code'], `naics.code ${code} is not a known NAICS industry`)
+      }
+
+      const expected: Record<string, string> = {
+        sector: classification?.sector || code.slice(0, 2),
+        subsector: code.slice(0, 3),
+        industryGroup: code.slice(0, 4)
+      }
+      for (const [field, value] of Object.entries(expected)) {
+        if (naics[field] !== undefined && String(naics[field]) !== value) {
+          report(['naics', field], `naics.${field} "${naics[field]}" does not match naics.code ${code} (expected "${value}")`)
+        }
+      }
+    }
+  }
+
+  if (data.digital !== undefined) {
+    if (typeof data.digital !== 'number' || data.digital < 0 || data.digital > 1) {
+      report(['digital'], `digital must be a number from 0 to 1, got ${JSON.stringify(data.digital)}`)
+    }
+  }
+
+  if (data.digitalSignals !== undefined) {
+    const signals = Array.isArray(data.digitalSignals) ? data.digitalSignals : []
+    if (signals.length === 0) {
+      report(['digitalSignals'], 'digitalSignals must list the signals behind the digital score')
+    }
+    signals.forEach((signal: any, index: number) => {
+      if (typeof signal?.value !== 'number' || signal.value < 0 || signal.value > 1) {
+        report(['digitalSignals', index], `digitalSignals[${index}].value must be a number from 0 to 1, got ${JSON.stringify(signal?.value)}`)
+      }
+    })
+  }
+
+  if (data.deliveryMethod !== undefined && !DELIVERY_METHODS.includes(data.deliveryMethod)) {
+    report(['deliveryMethod'], `deliveryMethod must be one of ${DELIVERY_METHODS.join(', ')}, got "${data.deliveryMethod}"`)
+  }
+
+  if (data.availableChannel !== undefined) {
+    const channels = Array.isArray(data.availableChannel) ? data.availableChannel : [data.availableChannel]
+    channels.forEach((channel: unknown, index: number) => {
+      if (typeof channel !== 'string' || !(channel in CHANNELS)) {
+        report(['availableChannel', index], `availableChannel must list ${Object.keys(CHANNELS).join(', ')}, got ${JSON.stringify(channel)}`)
+      }
+    })
+  }
+
+  if (data.unspsc !== undefined && !/^\d{8}$/.test(String(data.unspsc))) {
+    report(['unspsc'], `unspsc must be an 8-digit UNSPSC code, got "${data.unspsc}"`)
+  }
+
+  if (data.wikidata !== undefined && !WIKIDATA_URL_PATTERN.test(String(data.wikidata))) {
+    report(['wikidata'], `wikidata must be a URL like https://www.wikidata.org/wiki/Q123, got "${data.wikidata}"`)
+  }
+
+  return violations
+}
+
+/**
+ * Check that every $id is used by one page only
+ */
+function validateUniqueIds(pages: Page[]): Violation[] {
+  const violations: Violation[] = []
+  const seen = new Map<string, string>()
+
+  for (const { file, document } of pages) {
+    const $id = document?.data.$id
+    if ($id === undefined) continue
+
+    const other = seen.get(String($id))
+    if (other) {
+      violations.push({ file, line: document!.line(['$id']) || 1, message: `$id ${$id} is already used by ${other}` })
+    } else {
+      seen.set(String($id), file)
+    }
+  }
+
+  return violations
+}
+
+/**
+ * Check that every extends chain starts at Service, and that each type has the same
+ * parent on every page that names it
+ */
+function validateExtends(pages: Page[]): Violation[] {
+  const violations: Violation[] = []
+  const parents = new Map<string, { parent: string, file: string }>()
+
+  for (const { file, document } of pages) {
+    // Service itself extends the schema.org type, outside the graph
+    const own = basename(file, '.mdx')
+    const chain = document?.data.extends
+    if (chain === undefined || own === ROOT_TYPE) continue
+
+    const report = (path: Array<string | number>, message: string) => {
+      violations.push({ file, line: document!.line(path) || 1, message })
+    }
+
+    if (!Array.isArray(chain) || chain[0] !== ROOT_TYPE) {
+      report(['extends'], `extends must list the types above this one, starting with ${ROOT_TYPE}`)
+      continue
+    }
+
+    // The page's own type, unless it is a folder index
+    const path = own === 'index' ? chain : [...chain, own]
+    path.forEach((type: unknown, index: number) => {
+      if (typeof type !== 'string' || !TYPE_NAME_PATTERN.test(type)) {
+        report(['extends', index], `extends[${index}] must be a type name like LegalServices, got ${JSON.stringify(type)}`)
+        return
+      }
+      if (index === 0) return
+
+      const known = parents.get(type)
+      if (!known) {
+        parents.set(type, { parent: path[index - 1], file })
+      } else if (known.parent !== path[index - 1]) {
+        report(['extends', Math.min(index, chain.length - 1)], `${type} extends ${path[index - 1]} here but ${known.parent} in ${known.file}`)
+      }
+    })
+  }
+
+  return violations
+}
+
+/**
+ * Check that breadcrumb, category and other internal links point at existing pages
+ */
+function validateLinks(root: string, page: Page, routes: Set<string>): Violation[] {
+  const violations: Violation[] = []
+  const lines = page.content.split('\n')
+  const firstLine = page.document?.bodyLine || 1
+  let inCode = false
+
+  lines.forEach((text, index) => {
+    if (index + 1 < firstLine) return
+    if (/^\s*```/.test(text)) inCode = !inCode
+    if (inCode) return
+
+    const targets = [
+      ...Array.from(text.matchAll(/\]\(([^)\s]+)\)/g), match => match[1]),
+      ...Array.from(text.matchAll(/href="([^"]+)"/g), match => match[1])
+    ]
+
+    for (const target of targets) {
+      if (/^[a-z]+:/i.test(target) || target.startsWith('#')) continue
+      if (!resolveLink(root, page.file, target.replace(/#.*$/, ''), routes)) {
+        violations.push({ file: page.file, line: index + 1, message: `Link ${target} does not resolve to a page` })
+      }
+    }
+  })
+
+  return violations
+}
+
+/**
+ * Resolve a link as a file path relative to the page, or as a site route
+ */
+function resolveLink(root: string, file: string, target: string, routes: Set<string>): boolean {
+  if (target.startsWith('/')) {
+    const route = target.replace(/^\/+|\/+$/g, '')
+    return route === '' || routes.has(route)
+  }
+
+  const path = join(root, dirname(file), target)
+  if (existsSync(path) && statSync(path).isFile()) return true
+  if (existsSync(`${path}.mdx`)) return true
+
+  const route = routeOf(file)
+  const base = file.endsWith(`${sep}index.mdx`) || file === 'index.mdx' ? route : posix.dirname(route)
+  return routes.has(posix.normalize(posix.join(base, target)).replace(/^\.\/?|\/$/g, ''))
+}
+
+/**
+ * Validate every MDX page below the repository root
+ */
+export function validateOntology(root: string = ROOT_DIR): Violation[] {
+  const violations: Violation[] = []
+  const pages: Page[] = findMDXFiles(root).map(path => {
+    const file = relative(root, path)
+    const content = readFileSync(path, 'utf-8')
+
+    try {
+      return { file, content, document: parseFrontmatter(content) }
+    } catch (error) {
+      const line = Number((error as Error).message.match(/line (\d+)/)?.[1] || 1)
+      violations.push({ file, line, message: (error as Error).message })
+      return { file, content }
+    }
+  })
+
+  const routes = new Set(pages.map(page => routeOf(page.file)))
+
+  for (const page of pages) {
+    violations.push(...validateFrontmatter(page), ...validateLinks(root, page, routes))
+  }
+  violations.push(...validateUniqueIds(pages), ...validateExtends(pages))
+
+  return violations.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line)
+}
+
+/**
+ * Validate and print a report; exits non-zero on any violation
+ */
+async function validate() {
+  console.log('🔍 Validating service type pages...\n')
+
+  // Check codes against the full NAICS 2022 structure when the Census files are present
+  if (existsSync(join(NAICS_DATA_DIR, NAICS_CODES_FILE))) {
+    await naicsParser.loadFromFile(NAICS_DATA_DIR)
+  }
+
+  const violations = validateOntology()
+  for (const violation of violations) {
+    console.log(`${violation.file}:${violation.line}  ${violation.message}`)
+  }
+
+  if (violations.length > 0) {
+    console.log(`\n❌ ${violations.length} violation${violations.length === 1 ? '' : 's'}`)
+    process.exitCode = 1
+  } else {
+    console.log('✅ All pages valid')
+  }
+}
+
+// Run validator if executed directly
+if (require.main === module) {
+  validate().catch(error => {
+    console.error(error)
+    process.exitCode = 1
+  })
+}
+
+export { validate }
@@ -0,0 +1,80 @@
+/**
+ * Wikidata Query Cache
+ * Stores SPARQL responses keyed by normalized query text
+ */
+
+import { createHash } from 'crypto'
+import { existsSync } from 'fs'
+import { mkdir, readFile, writeFile } from 'fs/promises'
+import { join } from 'path'
+
+export interface CacheEntry {
+  query: string
+  storedAt: string
+  response: any
+}
+
+export interface QueryCache {
+  get(key: string): Promise<CacheEntry | undefined>
+  set(key: string, entry: CacheEntry): Promise<void>
+}
+
+/**
+ * Normalize SPARQL so formatting-only differences share a cache entry
+ */
+export function normalizeSparql(sparql: string): string {
+  return sparql
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line !== '')
+    .join('\n')
+}
+
+/**
+ * Derive the cache key for a query
+ */
+export function cacheKey(sparql: string): string {
+  return createHash('sha256').update(normalizeSparql(sparql)).digest('hex')
+}
+
+/**
+ * Cache held in memory for the lifetime of the process
+ */
+export class MemoryQueryCache implements QueryCache {
+  private entries = new Map<string, CacheEntry>()
+
+  async get(key: string): Promise<CacheEntry | undefined> {
+    return this.entries.get(key)
+  }
+
+  async set(key: string, entry: CacheEntry): Promise<void> {
+    this.entries.set(key, entry)
+  }
+}
+
+/**
+ * Cache stored as one JSON file per query, suitable for committing and replaying on CI
+ */
+export class FileQueryCache implements QueryCache {
+  private directory: string
+
+  constructor(directory: string) {
+    this.directory = directory
+  }
+
+  async get(key: string): Promise<CacheEntry | undefined> {
+    const filepath = this.path(key)
+    if (!existsSync(filepath)) return undefined
+
+    return JSON.parse(await readFile(filepath, 'utf-8'))
+  }
+
+  async set(key: string, entry: CacheEntry): Promise<void> {
+    await mkdir(this.directory, { recursive: true })
+    await writeFile(this.path(key), JSON.stringify(entry, null, 2) + '\n', 'utf-8')
+  }
+
+  private path(key: string): string {
+    return join(this.directory, `${key}.json`)
+  }
+}
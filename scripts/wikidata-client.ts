@@ -3,6 +3,9 @@
  * Queries Wikidata for service information
  */
 
+import { cacheKey, normalizeSparql, type QueryCache } from './wikidata-cache'
+import { buildServiceQuery, entity, itemPage, languageVariable, literal, type ServiceQueryOptions } from './sparql'
+
 const WIKIDATA_ENDPOINT = 'https://query.wikidata.org/sparql'
 const USER_AGENT = 'services.org.ai/1.0 (https://services.org.ai)'
 
@@ -12,76 +15,185 @@ export interface WikidataService {
   description?: string
   industry?: string
   industryQID?: string
+  industryQIDs?: string[]
   provider?: string
   providerQID?: string
+  providerQIDs?: string[]
   inception?: string
   image?: string
   wikipedia?: string
   naicsCode?: string
+  // Every NAICS code (P4496) on the item
+  naicsCodes?: string[]
   unspscCode?: string
+  // Keyed by language code
+  labels?: Record<string, string>
+  descriptions?: Record<string, string>
+  wikipedias?: Record<string, string>
+}
+
+export interface WikidataClientOptions {
+  // Response cache; without one every query goes to the endpoint
+  cache?: QueryCache
+  // Maximum age of a cached response in milliseconds (default: never expires)
+  ttl?: number
+  // 'replay' answers only from the cache and never touches the network
+  mode?: 'live' | 'replay'
+  // Retries after a 429 or 5xx response
+  retries?: number
+  // Base delay for exponential backoff in milliseconds
+  backoff?: number
+  // Minimum delay between requests in milliseconds
+  minInterval?: number
+  // Languages for labels, descriptions and Wikipedia links; the first is primary (default: ['en'])
+  languages?: string[]
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(header: string | null): number | undefined {
+  if (!header) return undefined
+
+  const seconds = Number(header)
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000
+
+  const date = Date.parse(header)
+  return Number.isNaN(date) ? undefined : Math.max(date - Date.now(), 0)
+}
+
+/**
+ * Rate limiting and transient server errors are worth retrying
+ */
+function isRetryable(status: number): boolean {
+  return status === 429 || status >= 500
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Union two optional lists, keeping first-seen order
+ */
+function union(a?: string[], b?: string[]): string[] | undefined {
+  if (!a && !b) return undefined
+  return Array.from(new Set([...(a || []), ...(b || [])]))
+}
+
+/**
+ * Merge two result rows for the same item; scalars keep their first value,
+ * industries and providers accumulate
+ */
+export function mergeServices(target: WikidataService, source: WikidataService): WikidataService {
+  const merged: WikidataService = { ...source }
+
+  for (const [key, value] of Object.entries(target)) {
+    if (value !== undefined) {
+      (merged as any)[key] = value
+    }
+  }
+
+  merged.industryQIDs = union(target.industryQIDs, source.industryQIDs)
+  merged.providerQIDs = union(target.providerQIDs, source.providerQIDs)
+  merged.naicsCodes = union(target.naicsCodes, source.naicsCodes)
+  merged.labels = { ...source.labels, ...target.labels }
+  merged.descriptions = { ...source.descriptions, ...target.descriptions }
+  merged.wikipedias = { ...source.wikipedias, ...target.wikipedias }
+  return merged
 }
 
 export class WikidataClient {
   private endpoint: string
+  private options: WikidataClientOptions
+  private lastRequestAt = 0
 
-  constructor(endpoint: string = WIKIDATA_ENDPOINT) {
+  constructor(endpoint: string = WIKIDATA_ENDPOINT, options: WikidataClientOptions = {}) {
     this.endpoint = endpoint
+    this.options = options
+  }
+
+  /**
+   * Languages requested by this client, primary first
+   */
+  get languages(): string[] {
+    return this.options.languages || ['en']
   }
 
   /**
-   * Execute a SPARQL query against Wikidata
+   * Execute a SPARQL query against Wikidata, answering from the cache when possible
    */
   async query(sparql: string): Promise<any> {
+    const { cache, ttl, mode = 'live' } = this.options
+    const key = cacheKey(sparql)
+
+    const cached = cache ? await cache.get(key) : undefined
+    if (cached && (mode === 'replay' || ttl === undefined || Date.now() - Date.parse(cached.storedAt) <= ttl)) {
+      return cached.response
+    }
+
+    if (mode === 'replay') {
+      throw new Error(`No cached Wikidata response for query ${key} (offline replay)`)
+    }
+
+    const response = await this.fetchWithRetry(sparql)
+    if (cache) {
+      await cache.set(key, {
+        query: normalizeSparql(sparql),
+        storedAt: new Date().toISOString(),
+        response
+      })
+    }
+
+    return response
+  }
+
+  /**
+   * Fetch a query result, backing off on 429/5xx and honouring Retry-After
+   */
+  private async fetchWithRetry(sparql: string): Promise<any> {
+    const { retries = 5, backoff = 1000, minInterval = 500 } = this.options
     const url = new URL(this.endpoint)
     url.searchParams.set('query', sparql)
     url.searchParams.set('format', 'json')
 
-    const response = await fetch(url.toString(), {
-      headers: {
-        'User-Agent': USER_AGENT,
-        'Accept': 'application/sparql-results+json'
+    for (let attempt = 0; ; attempt++) {
+      const wait = this.lastRequestAt + minInterval - Date.now()
+      if (wait > 0) await sleep(wait)
+      this.lastRequestAt = Date.now()
+
+      const response = await fetch(url.toString(), {
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept': 'application/sparql-results+json'
+        }
+      })
+
+      if (response.ok) {
+        return response.json()
       }
-    })
 
-    if (!response.ok) {
-      throw new Error(`Wikidata query failed: ${response.statusText}`)
-    }
+      if (!isRetryable(response.status) || attempt >= retries) {
+        throw new Error(`Wikidata query failed: ${response.status} ${response.statusText}`)
+      }
 
-    return response.json()
+      const delay = parseRetryAfter(response.headers.get('Retry-After')) ?? backoff * 2 ** attempt
+      console.warn(`⏳ Wikidata returned ${response.status}, retrying in ${Math.round(delay / 1000)}s`)
+      await sleep(delay)
+    }
   }
 
   /**
    * Get services by industry
    */
   async getServicesByIndustry(industryQID: string, limit: number = 100): Promise<WikidataService[]> {
-    const sparql = `
-      SELECT ?service ?serviceLabel ?serviceDescription
-             ?industry ?industryLabel
-             ?provider ?providerLabel
-             ?inception ?image ?wikipedia
-      WHERE {
-        ?service wdt:P31/wdt:P279* wd:Q7406919.
-        ?service wdt:P452 wd:${industryQID}.
-
-        OPTIONAL { ?service wdt:P452 ?industry. }
-        OPTIONAL { ?service wdt:P176 ?provider. }
-        OPTIONAL { ?service wdt:P571 ?inception. }
-        OPTIONAL { ?service wdt:P18 ?image. }
-
-        OPTIONAL {
-          ?wikipedia schema:about ?service .
-          ?wikipedia schema:inLanguage "en" .
-          FILTER (SUBSTR(str(?wikipedia), 1, 25) = "https://en.wikipedia.org/")
-        }
-
-        SERVICE wikibase:label {
-          bd:serviceParam wikibase:language "en".
-          ?service rdfs:label ?serviceLabel .
-          ?service schema:description ?serviceDescription .
-        }
-      }
-      LIMIT ${limit}
-    `
+    const sparql = this.serviceQuery({
+      where: [
+        '?service wdt:P31/wdt:P279* wd:Q7406919.',
+        `?service wdt:P452 ${entity(industryQID)}.`
+      ],
+      limit
+    })
 
     const results = await this.query(sparql)
     return this.parseServiceResults(results)
@@ -91,34 +203,18 @@ export class WikidataClient {
    * Get all services (general query)
    */
   async getAllServices(limit: number = 1000, offset: number = 0): Promise<WikidataService[]> {
-    const sparql = `
-      SELECT ?service ?serviceLabel ?serviceDescription
-             ?industry ?industryLabel
-             ?provider ?providerLabel
-             ?inception ?image ?wikipedia
-      WHERE {
-        ?service wdt:P31/wdt:P279* wd:Q7406919.
-
-        OPTIONAL { ?service wdt:P452 ?industry. }
-        OPTIONAL { ?service wdt:P176 ?provider. }
-        OPTIONAL { ?service wdt:P571 ?inception. }
-        OPTIONAL { ?service wdt:P18 ?image. }
-
-        OPTIONAL {
-          ?wikipedia schema:about ?service .
-          ?wikipedia schema:inLanguage "en" .
-          FILTER (SUBSTR(str(?wikipedia), 1, 25) = "https://en.wikipedia.org/")
-        }
+    return this.getServicesPage(limit, offset)
+  }
 
-        SERVICE wikibase:label {
-          bd:serviceParam wikibase:language "en".
-          ?service rdfs:label ?serviceLabel .
-          ?service schema:description ?serviceDescription .
-        }
-      }
-      LIMIT ${limit}
-      OFFSET ${offset}
-    `
+  /**
+   * Get one page of all services, `limit` items from the `offset`-th in item order
+   * Pages hold whole items, so an item's rows never straddle two pages
+   */
+  async getServicesPage(limit: number, offset: number): Promise<WikidataService[]> {
+    const sparql = this.serviceQuery({
+      where: [itemPage(['?service wdt:P31/wdt:P279* wd:Q7406919.'], limit, offset)],
+      orderBy: '?service'
+    })
 
     const results = await this.query(sparql)
     return this.parseServiceResults(results)
@@ -128,102 +224,115 @@ export class WikidataClient {
    * Get service details by QID
    */
   async getServiceByQID(qid: string): Promise<WikidataService | null> {
-    const sparql = `
-      SELECT ?service ?serviceLabel ?serviceDescription
-             ?industry ?industryLabel
-             ?provider ?providerLabel
-             ?inception ?image ?wikipedia
-      WHERE {
-        BIND(wd:${qid} AS ?service)
-
-        OPTIONAL { ?service wdt:P452 ?industry. }
-        OPTIONAL { ?service wdt:P176 ?provider. }
-        OPTIONAL { ?service wdt:P571 ?inception. }
-        OPTIONAL { ?service wdt:P18 ?image. }
-
-        OPTIONAL {
-          ?wikipedia schema:about ?service .
-          ?wikipedia schema:inLanguage "en" .
-          FILTER (SUBSTR(str(?wikipedia), 1, 25) = "https://en.wikipedia.org/")
-        }
-
-        SERVICE wikibase:label {
-          bd:serviceParam wikibase:language "en".
-          ?service rdfs:label ?serviceLabel .
-          ?service schema:description ?serviceDescription .
-        }
-      }
-      LIMIT 1
-    `
+    const sparql = this.serviceQuery({
+      where: [`BIND(${entity(qid)} AS ?service)`],
+      limit: 1
+    })
 
     const results = await this.query(sparql)
     const services = this.parseServiceResults(results)
     return services.length > 0 ? services[0] : null
   }
 
+  /**
+   * Get items classified under a NAICS code (P4496)
+   */
+  async getItemsByNAICSCode(naicsCode: string, limit: number = 20): Promise<WikidataService[]> {
+    if (!/^\d{2,6}$/.test(naicsCode)) {
+      throw new Error(`Invalid NAICS code: ${naicsCode}`)
+    }
+
+    const sparql = this.serviceQuery({
+      where: [`?service wdt:P4496 ${literal(naicsCode)}.`],
+      limit
+    })
+
+    const results = await this.query(sparql)
+    return this.parseServiceResults(results).map(service => ({ ...service, naicsCode }))
+  }
+
   /**
    * Search for services by name
    */
   async searchServices(searchTerm: string, limit: number = 50): Promise<WikidataService[]> {
-    const sparql = `
-      SELECT ?service ?serviceLabel ?serviceDescription
-             ?industry ?industryLabel
-             ?provider ?providerLabel
-             ?inception ?image ?wikipedia
-      WHERE {
-        ?service wdt:P31/wdt:P279* wd:Q7406919.
-        ?service rdfs:label ?serviceLabel .
-
-        FILTER(CONTAINS(LCASE(?serviceLabel), "${searchTerm.toLowerCase()}"))
-        FILTER(LANG(?serviceLabel) = "en")
-
-        OPTIONAL { ?service wdt:P452 ?industry. }
-        OPTIONAL { ?service wdt:P176 ?provider. }
-        OPTIONAL { ?service wdt:P571 ?inception. }
-        OPTIONAL { ?service wdt:P18 ?image. }
-
-        OPTIONAL {
-          ?wikipedia schema:about ?service .
-          ?wikipedia schema:inLanguage "en" .
-          FILTER (SUBSTR(str(?wikipedia), 1, 25) = "https://en.wikipedia.org/")
-        }
-
-        SERVICE wikibase:label {
-          bd:serviceParam wikibase:language "en".
-          ?service schema:description ?serviceDescription .
-        }
-      }
-      LIMIT ${limit}
-    `
+    const sparql = this.serviceQuery({
+      where: [
+        '?service wdt:P31/wdt:P279* wd:Q7406919.',
+        '?service rdfs:label ?serviceLabel .',
+        `FILTER(CONTAINS(LCASE(?serviceLabel), ${literal(searchTerm.toLowerCase())}))`,
+        `FILTER(LANG(?serviceLabel) = ${literal(this.languages[0])})`
+      ],
+      bindsLabel: true,
+      limit
+    })
 
     const results = await this.query(sparql)
     return this.parseServiceResults(results)
   }
 
   /**
-   * Parse SPARQL results into WikidataService objects
+   * Build a service query in this client's languages
+   */
+  private serviceQuery(options: ServiceQueryOptions): string {
+    return buildServiceQuery({ ...options, languages: this.languages })
+  }
+
+  /**
+   * Parse SPARQL results into WikidataService objects, one per item
    */
   private parseServiceResults(results: any): WikidataService[] {
     if (!results.results || !results.results.bindings) {
       return []
     }
 
-    return results.results.bindings.map((binding: any) => {
-      const service: WikidataService = {
-        qid: this.extractQID(binding.service?.value),
-        label: binding.serviceLabel?.value || '',
-        description: binding.serviceDescription?.value,
-        industry: binding.industryLabel?.value,
-        industryQID: binding.industry ? this.extractQID(binding.industry.value) : undefined,
-        provider: binding.providerLabel?.value,
-        providerQID: binding.provider ? this.extractQID(binding.provider.value) : undefined,
-        inception: binding.inception?.value,
-        image: binding.image?.value,
-        wikipedia: binding.wikipedia?.value
-      }
+    // Items with several industries, providers or NAICS codes come back as several rows
+    const services = new Map<string, WikidataService>()
+    for (const binding of results.results.bindings) {
+      const service = this.parseServiceBinding(binding)
+      const existing = services.get(service.qid)
+      services.set(service.qid, existing ? mergeServices(existing, service) : service)
+    }
 
-      return service
+    return Array.from(services.values())
+  }
+
+  /**
+   * Parse a single result row
+   */
+  private parseServiceBinding(binding: any): WikidataService {
+    const industryQID = binding.industry ? this.extractQID(binding.industry.value) : undefined
+    const providerQID = binding.provider ? this.extractQID(binding.provider.value) : undefined
+
+    // Primary language uses the unsuffixed variables
+    const labels: Record<string, string> = {}
+    const descriptions: Record<string, string> = {}
+    const wikipedias: Record<string, string> = {}
+    this.languages.forEach((language, index) => {
+      const suffix = index === 0 ? '' : `_${languageVariable(language)}`
+      if (binding[`serviceLabel${suffix}`]) labels[language] = binding[`serviceLabel${suffix}`].value
+      if (binding[`serviceDescription${suffix}`]) descriptions[language] = binding[`serviceDescription${suffix}`].value
+      if (binding[`wikipedia${suffix}`]) wikipedias[language] = binding[`wikipedia${suffix}`].value
     })
+
+    return {
+      qid: this.extractQID(binding.service?.value),
+      label: binding.serviceLabel?.value || '',
+      description: binding.serviceDescription?.value,
+      industry: binding.industryLabel?.value,
+      industryQID,
+      industryQIDs: industryQID ? [industryQID] : undefined,
+      provider: binding.providerLabel?.value,
+      providerQID,
+      providerQIDs: providerQID ? [providerQID] : undefined,
+      inception: binding.inception?.value,
+      image: binding.image?.value,
+      wikipedia: binding.wikipedia?.value,
+      unspscCode: binding.unspsc?.value,
+      naicsCodes: binding.naics ? [binding.naics.value] : undefined,
+      labels,
+      descriptions,
+      wikipedias
+    }
   }
 
   /**
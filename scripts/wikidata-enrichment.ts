@@ -0,0 +1,112 @@
+/**
+ * Wikidata Enrichment
+ * Resolves NAICS industries to Wikidata items by NAICS code (P4496) or label
+ */
+
+import { wikidataClient, type WikidataClient, type WikidataService } from './wikidata-client'
+import type { NAICSIndustry } from './naics-parser'
+
+/**
+ * Where the enricher looks items up: the live client, or a harvested snapshot
+ */
+export type WikidataSource = Pick<WikidataClient, 'getItemsByNAICSCode' | 'searchServices'>
+
+export type EnrichmentStatus = 'matched' | 'ambiguous' | 'unmatched'
+
+export interface EnrichmentResult {
+  industry: NAICSIndustry
+  status: EnrichmentStatus
+  method?: 'naics' | 'label'
+  match?: WikidataService
+  candidates: WikidataService[]
+}
+
+export interface EnrichmentReport {
+  results: EnrichmentResult[]
+  matched: EnrichmentResult[]
+  ambiguous: EnrichmentResult[]
+  unmatched: EnrichmentResult[]
+}
+
+/**
+ * Normalize a label for comparison, ignoring parentheticals like "(except ...)"
+ */
+export function normalizeLabel(label: string): string {
+  return label
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+}
+
+export class WikidataEnricher {
+  private client: WikidataSource
+
+  constructor(client: WikidataSource = wikidataClient) {
+    this.client = client
+  }
+
+  /**
+   * Resolve one industry, preferring items that carry its NAICS code
+   */
+  async enrich(industry: NAICSIndustry): Promise<EnrichmentResult> {
+    const byCode = await this.client.getItemsByNAICSCode(industry.code)
+    if (byCode.length > 0) {
+      return this.pick(industry, 'naics', byCode, byCode)
+    }
+
+    // Fall back to service items whose label matches the industry title
+    const title = normalizeLabel(industry.title)
+    const byLabel = await this.client.searchServices(title)
+    const exact = byLabel.filter(service => normalizeLabel(service.label) === title)
+    if (exact.length > 0) {
+      return this.pick(industry, 'label', exact, byLabel)
+    }
+
+    return { industry, status: 'unmatched', candidates: byLabel }
+  }
+
+  /**
+   * Resolve every industry and group the results by status
+   */
+  async enrichAll(industries: NAICSIndustry[]): Promise<EnrichmentReport> {
+    const results: EnrichmentResult[] = []
+
+    // Sequential on purpose - the public endpoint rate-limits parallel queries
+    for (const industry of industries) {
+      results.push(await this.enrich(industry))
+    }
+
+    return {
+      results,
+      matched: results.filter(result => result.status === 'matched'),
+      ambiguous: results.filter(result => result.status === 'ambiguous'),
+      unmatched: results.filter(result => result.status === 'unmatched')
+    }
+  }
+
+  /**
+   * Choose the best match; several candidates with no single exact label are ambiguous
+   */
+  private pick(
+    industry: NAICSIndustry,
+    method: 'naics' | 'label',
+    matches: WikidataService[],
+    candidates: WikidataService[]
+  ): EnrichmentResult {
+    if (matches.length === 1) {
+      return { industry, status: 'matched', method, match: matches[0], candidates }
+    }
+
+    const title = normalizeLabel(industry.title)
+    const exact = matches.filter(service => normalizeLabel(service.label) === title)
+    if (exact.length === 1) {
+      return { industry, status: 'matched', method, match: exact[0], candidates }
+    }
+
+    return { industry, status: 'ambiguous', method, match: exact[0] || matches[0], candidates }
+  }
+}
+
+// Export singleton instance
+export const wikidataEnricher = new WikidataEnricher()
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * Wikidata Service Harvest
+ * Pages through every Wikidata service item and writes a local JSON snapshot
+ */
+
+import { existsSync, mkdirSync } from 'fs'
+import { appendFile, readFile, rm, writeFile } from 'fs/promises'
+import { dirname, join } from 'path'
+import { WikidataClient, wikidataClient, type WikidataService } from './wikidata-client'
+import { normalizeLabel, type WikidataSource } from './wikidata-enrichment'
+
+export const SNAPSHOT_FILE = join(__dirname, '..', 'data', 'wikidata', 'services.json')
+
+export interface HarvestOptions {
+  // Items requested per SPARQL page
+  pageSize?: number
+  // Progress file; an interrupted harvest resumes from it
+  checkpointPath?: string
+}
+
+/**
+ * A harvest as written to disk, with the languages its labels and descriptions are in
+ */
+export interface Snapshot {
+  languages: string[]
+  services: WikidataService[]
+}
+
+// What the harvester needs from a client
+export type HarvestSource = Pick<WikidataClient, 'getServicesPage' | 'languages'>
+
+// One line of the checkpoint, appended as each page completes
+interface HarvestPage {
+  // Items to skip to reach the next page
+  offset: number
+  services: WikidataService[]
+}
+
+export class WikidataHarvester {
+  private client: HarvestSource
+
+  constructor(client: HarvestSource = wikidataClient) {
+    this.client = client
+  }
+
+  /**
+   * Iterate over every service item, one merged WikidataService per QID
+   * A resumed harvest first replays the items completed before the interruption
+   */
+  async *harvest(options: HarvestOptions = {}): AsyncGenerator<WikidataService> {
+    const { checkpointPath, pageSize = 1000 } = options
+    let offset = 0
+
+    if (checkpointPath && existsSync(checkpointPath)) {
+      for (const page of await this.readCheckpoint(checkpointPath)) {
+        offset = page.offset
+        yield* page.services
+      }
+      console.log(`↩️  Resuming harvest at offset ${offset}`)
+    }
+
+    while (true) {
+      const services = await this.client.getServicesPage(pageSize, offset)
+      offset += services.length
+
+      // Append only the new page, so each checkpoint write costs one page however far the harvest is
+      if (checkpointPath) {
+        mkdirSync(dirname(checkpointPath), { recursive: true })
+        const page: HarvestPage = { offset, services }
+        await appendFile(checkpointPath, JSON.stringify(page) + '\n', 'utf-8')
+      }
+
+      yield* services
+
+      if (services.length < pageSize) break
+    }
+
+    if (checkpointPath && existsSync(checkpointPath)) {
+      await rm(checkpointPath)
+    }
+  }
+
+  /**
+   * Harvest everything into a JSON snapshot, in the client's languages
+   */
+  async writeSnapshot(snapshotPath: string = SNAPSHOT_FILE, options: HarvestOptions = {}): Promise<WikidataService[]> {
+    const services: WikidataService[] = []
+    const checkpointPath = options.checkpointPath || `${snapshotPath}.checkpoint.jsonl`
+
+    for await (const service of this.harvest({ ...options, checkpointPath })) {
+      services.push(service)
+      if (services.length % 1000 === 0) {
+        console.log(`   … ${services.length} services`)
+      }
+    }
+
+    services.sort((a, b) => Number(a.qid.slice(1)) - Number(b.qid.slice(1)))
+    mkdirSync(dirname(snapshotPath), { recursive: true })
+    const snapshot: Snapshot = { languages: this.client.languages, services }
+    await writeFile(snapshotPath, JSON.stringify(snapshot, null, 2) + '\n', 'utf-8')
+    return services
+  }
+
+  /**
+   * The pages completed before an interruption
+   * A line cut short by the interruption is dropped, and its page fetched again
+   */
+  private async readCheckpoint(checkpointPath: string): Promise<HarvestPage[]> {
+    const lines = (await readFile(checkpointPath, 'utf-8')).split('\n').filter(Boolean)
+    const pages: HarvestPage[] = []
+
+    for (const [index, line] of lines.entries()) {
+      try {
+        pages.push(JSON.parse(line))
+      } catch (error) {
+        if (index < lines.length - 1) throw error
+        console.warn(`⚠️  Dropping the incomplete last page of ${checkpointPath}`)
+        // Rewrite without it, so the next page is appended on a line of its own
+        await writeFile(checkpointPath, pages.map(page => JSON.stringify(page) + '\n').join(''), 'utf-8')
+      }
+    }
+
+    return pages
+  }
+}
+
+/**
+ * Read a harvested snapshot
+ */
+export async function readSnapshot(snapshotPath: string = SNAPSHOT_FILE): Promise<Snapshot> {
+  return JSON.parse(await readFile(snapshotPath, 'utf-8'))
+}
+
+/**
+ * A harvested snapshot answering the enricher's lookups without querying Wikidata
+ * The harvest holds service items only, so a NAICS code no harvested item carries is
+ * looked up in `fallback` (the live client) when there is one
+ */
+export class WikidataSnapshot implements WikidataSource {
+  readonly languages: string[]
+  private services: WikidataService[]
+  private fallback?: WikidataSource
+  private byNAICSCode = new Map<string, WikidataService[]>()
+
+  constructor(snapshot: Snapshot, fallback?: WikidataSource) {
+    this.languages = snapshot.languages
+    this.services = snapshot.services
+    this.fallback = fallback
+    for (const service of this.services) {
+      for (const code of service.naicsCodes || []) {
+        this.byNAICSCode.set(code, [...(this.byNAICSCode.get(code) || []), service])
+      }
+    }
+  }
+
+  /**
+   * Whether the snapshot has labels in every given language
+   */
+  covers(languages: string[]): boolean {
+    return languages.every(language => this.languages.includes(language))
+  }
+
+  async getItemsByNAICSCode(naicsCode: string, limit: number = 20): Promise<WikidataService[]> {
+    const services = this.byNAICSCode.get(naicsCode)
+    if (!services && this.fallback) return this.fallback.getItemsByNAICSCode(naicsCode, limit)
+    return (services || []).slice(0, limit).map(service => ({ ...service, naicsCode }))
+  }
+
+  /**
+   * Service items whose label contains the term, compared the way the enricher compares labels
+   */
+  async searchServices(searchTerm: string, limit: number = 50): Promise<WikidataService[]> {
+    const term = normalizeLabel(searchTerm)
+    return this.services.filter(service => normalizeLabel(service.label).includes(term)).slice(0, limit)
+  }
+}
+
+/**
+ * Harvest all Wikidata services into data/wikidata/services.json
+ * Labels are harvested in the given languages, e.g. --languages=en,fr,es (default: en)
+ */
+async function harvestServices(languages: string[] = ['en']) {
+  console.log(`🚀 Harvesting Wikidata services (${languages.join(', ')})...\n`)
+
+  const services = await new WikidataHarvester(new WikidataClient(undefined, { languages })).writeSnapshot()
+
+  console.log(`\n📊 Harvest complete!`)
+  console.log(`   ✅ Services: ${services.length}`)
+  console.log(`   📁 Output: ${SNAPSHOT_FILE}`)
+}
+
+// Run harvest if executed directly
+if (require.main === module) {
+  const languages = process.argv.find(arg => arg.startsWith('--languages='))?.slice('--languages='.length).split(',').filter(Boolean)
+  harvestServices(languages).catch(error => {
+    console.error(error)
+    process.exitCode = 1
+  })
+}
+
+export { harvestServices }
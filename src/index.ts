@@ -0,0 +1,55 @@
+/**
+ * services.org.ai
+ * Runtime accessors for every service type in the ontology
+ */
+
+import { SERVICE_TYPES, type ServicePropertiesByType } from './registry'
+import { ServiceType, type ServiceInstance } from './service-type'
+import { readJSONLD } from './jsonld'
+
+export type ServiceTypeName = keyof typeof SERVICE_TYPES
+
+export type ServiceRegistry = { readonly [K in ServiceTypeName]: ServiceType<ServicePropertiesByType[K]> }
+
+/**
+ * Build one accessor per registered service type
+ */
+function createRegistry(): ServiceRegistry {
+  const registry = {} as Record<string, ServiceType>
+
+  for (const [name, definition] of Object.entries(SERVICE_TYPES)) {
+    registry[name] = new ServiceType(name, definition)
+  }
+
+  return Object.freeze(registry) as ServiceRegistry
+}
+
+export const $ = createRegistry()
+
+/**
+ * Create a service instance from schema.org Service markup, as the service type its
+ * @type, NAICS identifier or Wikidata sameAs points to
+ */
+export function fromJSONLD(document: unknown): ServiceInstance {
+  const { typeName, properties } = readJSONLD(document)
+  return ($ as unknown as Record<string, ServiceType>)[typeName].create(properties)
+}
+
+export { SERVICE_TYPES }
+export { ServiceType, ServiceInstance } from './service-type'
+export { ServiceValidationError, validateProperties, type ValidationIssue } from './validation'
+export { SERVICE_SCHEMA, TYPE_SCHEMAS } from './schemas'
+export { JSONLD_CONTEXT, type JSONLDNode } from './jsonld'
+export { isSubtypeOf, subtypesOf, supertypesOf } from './type-graph'
+export {
+  MemoryStore,
+  JSONFileStore,
+  useStore,
+  type InstanceStore,
+  type StoredService,
+  type ServiceFilter,
+  type FilterOperators,
+  type FindOptions
+} from './store'
+export type * from './registry'
+export type * from './types'
@@ -0,0 +1,118 @@
+/**
+ * Service instances written as JSON-LD and read back, from this module's markup and from other sites
+ */
+
+import { $, MemoryStore, fromJSONLD, useStore, type ServiceInstance } from '.'
+import { readJSONLD, toJSONLD } from './jsonld'
+
+// What the instance holds, without the class it is held in
+const plain = (instance: ServiceInstance) => JSON.parse(JSON.stringify(instance))
+
+describe('JSON-LD round trip', () => {
+  beforeEach(() => useStore(new MemoryStore()))
+
+  it('reads back every property of a typed instance', () => {
+    const original = $.OfficesOfLawyers.create({
+      name: 'Smith & Associates Law Firm',
+      description: 'Civil and criminal practice',
+      provider: { type: 'Person', name: 'Jane Smith' },
+      areaServed: 'California',
+      hoursAvailable: [
+        { dayOfWeek: ['Mon', 'Tue'], opens: '9:00', closes: '17:00' },
+        { dayOfWeek: ['Sat'], opens: '10:00', closes: '13:00' }
+      ],
+      availableChannel: ['web', { name: 'Front desk', servicePhone: '+1-555-0100', serviceLocation: 'San Francisco' }],
+      digital: 0.7,
+      deliveryMethod: 'hybrid'
+    })
+
+    const markup = toJSONLD(original)
+    expect(markup['@type']).toEqual(['Service', 'https://services.org.ai/offices-of-lawyers'])
+
+    const copy = fromJSONLD(markup)
+    expect(copy).not.toBe(original)
+    expect(plain(copy)).toEqual(plain(original))
+  })
+
+  it('reads back the same markup as a JSON string', () => {
+    const original = $.FullServiceRestaurants.create({ name: 'Corner Bistro', areaServed: 'Oakland' })
+
+    expect(readJSONLD(JSON.stringify(original.toJSONLD()))).toEqual({
+      typeName: 'FullServiceRestaurants',
+      properties: expect.objectContaining({ name: 'Corner Bistro', areaServed: { type: 'Place', name: 'Oakland' } })
+    })
+  })
+
+  it('keeps the classifications a plain Service was given', () => {
+    const original = $.Service.create({
+      name: 'Odd Jobs',
+      unspsc: '72101500',
+      wikidata: 'https://www.wikidata.org/wiki/Q1',
+      wikipedia: 'https://en.wikipedia.org/wiki/Handyman'
+    })
+
+    expect(plain(fromJSONLD(original.toJSONLD()))).toEqual(plain(original))
+  })
+})
+
+describe('fromJSONLD on external markup', () => {
+  beforeEach(() => useStore(new MemoryStore()))
+
+  it('reads properties and types under other prefixes and full IRIs', () => {
+    const service = fromJSONLD({
+      '@context': { s: 'http://schema.org/', ext: 'https://services.org.ai/vocab#' },
+      '@type': 's:Service',
+      's:name': 'Smith & Associates',
+      's:provider': { '@type': 's:Person', 's:name': 'Jane Smith' },
+      'http://schema.org/areaServed': { '@type': 'http://schema.org/Place', 'http://schema.org/name': 'California' },
+      's:identifier': { '@type': 's:PropertyValue', 's:propertyID': 'NAICS', 's:value': { '@value': '541110' } },
+      'ext:digital': 0.9
+    })
+
+    expect(service.$type).toBe('OfficesOfLawyers')
+    expect(service).toMatchObject({
+      name: 'Smith & Associates',
+      provider: { $type: 'Person', name: 'Jane Smith' },
+      areaServed: { $type: 'Place', name: 'California' },
+      digital: 0.9
+    })
+  })
+
+  it('reads the undeclared schema: prefix and leaves unknown prefixes alone', () => {
+    const { typeName, properties } = readJSONLD({
+      '@context': { other: 'https://example.com/terms#' },
+      '@type': 'schema:Service',
+      'schema:name': 'Bay Clinic',
+      'other:rating': 5,
+      sameAs: 'https://www.wikidata.org/wiki/Q1'
+    })
+
+    expect(typeName).toBe('Service')
+    expect(properties).toEqual({ name: 'Bay Clinic', wikidata: 'https://www.wikidata.org/wiki/Q1' })
+  })
+
+  it('finds the Service in an @graph or a list of nodes', () => {
+    const organization = { '@id': '#firm', '@type': 'Organization', name: 'Smith LLP' }
+    const service = {
+      '@type': ['Thing', 'https://schema.org/Service'],
+      name: 'Smith & Associates',
+      additionalType: 'https://services.org.ai/naics/541110'
+    }
+
+    expect(readJSONLD({ '@context': 'https://schema.org', '@graph': [organization, service] }).typeName).toBe('OfficesOfLawyers')
+    expect(readJSONLD([organization, { '@context': 'https://schema.org', ...service }]).typeName).toBe('OfficesOfLawyers')
+  })
+
+  it('reads the prefixes an @graph node declares for itself', () => {
+    const { properties } = readJSONLD({
+      '@graph': [{ '@context': { sdo: 'https://schema.org/' }, '@type': 'sdo:Service', 'sdo:name': 'Corner Bistro' }]
+    })
+
+    expect(properties).toEqual({ name: 'Corner Bistro' })
+  })
+
+  it('throws when no node is a schema.org Service', () => {
+    expect(() => readJSONLD({ '@graph': [{ '@type': 'Organization', name: 'Smith LLP' }] }))
+      .toThrow('fromJSONLD() found no schema.org Service in the document')
+  })
+})
@@ -0,0 +1,317 @@
+/**
+ * JSON-LD
+ * Schema.org Service markup for service instances, and service properties read back from it
+ */
+
+import { SERVICE_TYPES } from './registry'
+import type { ServiceProperties, ServiceTypeDefinition } from './types'
+import type { ServiceInstance } from './service-type'
+
+export type JSONLDNode = Record<string, unknown>
+
+const SERVICES_ORG = 'https://services.org.ai/'
+
+// NAICS concepts as published by the skos target, e.g. https://services.org.ai/naics/541110
+const NAICS_CONCEPT = `${SERVICES_ORG}naics/`
+
+// Properties beyond schema.org live in the services.org.ai vocabulary, the svc: prefix
+// the generator uses as VOCAB_URL (scripts/identifiers.js) in the pages and RDF targets
+const VOCAB = `${SERVICES_ORG}vocab#`
+
+export const JSONLD_CONTEXT = ['https://schema.org', { svc: VOCAB }]
+
+// Prefixes markup may use without declaring them
+const DEFAULT_PREFIXES: Record<string, string> = { schema: 'https://schema.org/', svc: VOCAB }
+
+const EXTENSIONS = ['digital', 'deliveryMethod', 'industryVertical'] as const
+
+// Plain schema.org properties copied as they are
+const TEXT_PROPERTIES = ['name', 'description', 'image', 'url', 'serviceType', 'termsOfService'] as const
+
+// Properties given by name or as a Thing
+const THING_PROPERTIES = ['category', 'serviceOutput', 'produces'] as const
+
+// Schema.org Service and its subtypes, any of which fromJSONLD() accepts
+const SERVICE_TYPE_TERMS = [
+  'Service',
+  'BroadcastService',
+  'CableOrSatelliteService',
+  'FinancialProduct',
+  'FoodService',
+  'GovernmentService',
+  'Taxi',
+  'TaxiService',
+  'WebAPI'
+]
+
+const CHANNEL_KINDS = ['web', 'phone', 'location']
+
+const isObject = (value: unknown): value is Record<string, any> =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+const definitions = (): Array<[string, ServiceTypeDefinition]> =>
+  Object.entries(SERVICE_TYPES as Record<string, ServiceTypeDefinition>)
+
+/**
+ * Copy a value, turning the `$type` of canonical objects and the `type` of shorthand inputs into `@type`
+ */
+function toNode(value: unknown, defaultType?: string): unknown {
+  if (Array.isArray(value)) return value.map(item => toNode(item, defaultType))
+  if (!isObject(value)) return value
+
+  const { $type, type, ...rest } = value
+  const node: JSONLDNode = {}
+  const nodeType = $type || type || defaultType
+  if (nodeType) node['@type'] = nodeType
+  for (const [key, item] of Object.entries(rest)) {
+    if (item !== undefined) node[key] = toNode(item)
+  }
+  return node
+}
+
+/**
+ * A ServiceChannel node; channel kinds like 'web' become channels named after the kind
+ */
+function toChannel(value: unknown): JSONLDNode {
+  if (typeof value === 'string') return { '@type': 'ServiceChannel', name: value }
+
+  const { serviceLocation, ...rest } = value as Record<string, unknown>
+  const channel = toNode(rest, 'ServiceChannel') as JSONLDNode
+  if (serviceLocation !== undefined) {
+    channel.serviceLocation = typeof serviceLocation === 'string'
+      ? { '@type': 'Place', name: serviceLocation }
+      : toNode(serviceLocation, 'Place')
+  }
+  return channel
+}
+
+/**
+ * Serialize a service instance as schema.org Service markup
+ * The type IRI joins Service in @type, NAICS and UNSPSC codes become PropertyValue identifiers
+ * and the Wikidata and Wikipedia links become sameAs
+ */
+export function toJSONLD(instance: ServiceInstance): JSONLDNode {
+  const definition = (SERVICE_TYPES as Record<string, ServiceTypeDefinition>)[instance.$type]
+  const types = ['Service']
+  if (definition && instance.$type !== 'Service') types.push(definition.$id)
+
+  const node: JSONLDNode = { '@context': JSONLD_CONTEXT, '@type': types }
+
+  for (const key of TEXT_PROPERTIES) node[key] = instance[key]
+  for (const key of THING_PROPERTIES) {
+    node[key] = isObject(instance[key]) ? toNode(instance[key], 'Thing') : instance[key]
+  }
+
+  node.provider = toNode(instance.provider)
+  node.areaServed = toNode(instance.areaServed)
+  node.hoursAvailable = toNode(instance.hoursAvailable)
+  node.offers = toNode(instance.offers, 'Offer')
+
+  const channels = instance.availableChannel
+  if (channels !== undefined) {
+    node.availableChannel = Array.isArray(channels) ? channels.map(toChannel) : toChannel(channels)
+  }
+
+  const identifiers: JSONLDNode[] = []
+  if (instance.naics) {
+    node.additionalType = `${NAICS_CONCEPT}${instance.naics.code}`
+    identifiers.push({ '@type': 'PropertyValue', propertyID: 'NAICS', value: instance.naics.code, name: instance.naics.title })
+  }
+  if (instance.unspsc) {
+    identifiers.push({ '@type': 'PropertyValue', propertyID: 'UNSPSC', value: instance.unspsc })
+  }
+  if (identifiers.length > 0) node.identifier = identifiers
+
+  const sameAs = [instance.wikidata, instance.wikipedia].filter(Boolean)
+  if (sameAs.length > 0) node.sameAs = sameAs
+
+  for (const key of EXTENSIONS) node[`svc:${key}`] = instance[key]
+
+  return Object.fromEntries(Object.entries(node).filter(([, value]) => value !== undefined))
+}
+
+/**
+ * Strip the schema.org namespace, whether written as a prefix or a full IRI
+ */
+function term(value: unknown): string | undefined {
+  if (typeof value !== 'string') return undefined
+  return value.replace(/^(?:schema:|https?:\/\/schema\.org\/)/, '')
+}
+
+// Every value of a property, whether given once or as a list
+const all = (value: unknown): unknown[] => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value])
+
+// A literal, unwrapping {"@value": ...} and {"@id": ...}
+function literal(value: unknown): unknown {
+  if (isObject(value)) return value['@value'] ?? value['@id'] ?? value
+  return value
+}
+
+const first = (node: JSONLDNode, key: string): unknown => literal(all(node[key])[0])
+
+const typesOf = (node: JSONLDNode): string[] => all(node['@type']).filter((type): type is string => typeof type === 'string')
+
+/**
+ * The prefixes in scope below an @context, which may be an IRI, an object or a list of both
+ */
+function prefixesOf(context: unknown, inherited: Record<string, string>): Record<string, string> {
+  const prefixes = { ...inherited }
+  for (const item of all(context).filter(isObject)) {
+    for (const [prefix, iri] of Object.entries(item)) {
+      if (!prefix.startsWith('@') && typeof iri === 'string') prefixes[prefix] = iri
+    }
+  }
+  return prefixes
+}
+
+/**
+ * Name a property or type the way this module reads it: schema.org terms bare and vocabulary
+ * terms as svc:, whatever prefix or full IRI the markup uses for them
+ */
+function compactName(name: string, prefixes: Record<string, string>): string {
+  const colon = name.indexOf(':')
+  const prefix = name.slice(0, colon)
+  const iri = colon > 0 && !name.startsWith('//', colon + 1) && prefix in prefixes
+    ? `${prefixes[prefix]}${name.slice(colon + 1)}`
+    : name
+
+  const schemaTerm = iri.match(/^https?:\/\/schema\.org\/(.+)$/)
+  if (schemaTerm) return schemaTerm[1]
+  if (iri.startsWith(VOCAB)) return `svc:${iri.slice(VOCAB.length)}`
+  return name
+}
+
+/**
+ * Rewrite the property names and types of every node through compactName()
+ */
+function compact(value: unknown, prefixes: Record<string, string>): unknown {
+  if (Array.isArray(value)) return value.map(item => compact(item, prefixes))
+  if (!isObject(value)) return value
+
+  const scoped = prefixesOf(value['@context'], prefixes)
+  const compactType = (type: unknown) => (typeof type === 'string' ? compactName(type, scoped) : type)
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    if (key === '@context') return [key, item]
+    if (key === '@type') return [key, Array.isArray(item) ? item.map(compactType) : compactType(item)]
+    return [compactName(key, scoped), compact(item, scoped)]
+  }))
+}
+
+/**
+ * Find the Service node in a document, which may be a single node, a list of nodes or an @graph
+ */
+function findServiceNode(document: unknown): JSONLDNode | undefined {
+  const nodes = all(isObject(document) && document['@graph'] ? document['@graph'] : document).filter(isObject)
+  const ids = new Set(definitions().map(([, definition]) => definition.$id))
+
+  return nodes.find(node => typesOf(node).some(type => ids.has(type) || SERVICE_TYPE_TERMS.includes(term(type)!)))
+}
+
+/**
+ * Resolve the service type: a type IRI in @type or additionalType, then a NAICS identifier
+ * or concept, then a Wikidata sameAs; anything else is a plain Service
+ */
+function resolveType(node: JSONLDNode): string {
+  const iris = [...typesOf(node), ...all(node.additionalType).map(literal)]
+  const byId = definitions().find(([, definition]) => iris.includes(definition.$id))
+  if (byId) return byId[0]
+
+  const naicsCodes = [
+    ...iris.filter((iri): iri is string => typeof iri === 'string' && iri.startsWith(NAICS_CONCEPT)).map(iri => iri.slice(NAICS_CONCEPT.length)),
+    ...all(node.identifier)
+      .filter(identifier => isObject(identifier) && String(literal(identifier.propertyID)).toUpperCase() === 'NAICS')
+      .map(identifier => String(literal((identifier as JSONLDNode).value)))
+  ]
+  const byNAICS = definitions().find(([, definition]) => definition.naics && naicsCodes.includes(definition.naics.code))
+  if (byNAICS) return byNAICS[0]
+
+  const qids = all(node.sameAs).map(literal).map(url => String(url).match(/wikidata\.org\/(?:wiki|entity)\/(Q\d+)$/)?.[1]).filter(Boolean)
+  const byWikidata = definitions().find(([, definition]) => qids.some(qid => definition.wikidata?.endsWith(`/${qid}`)))
+  if (byWikidata) return byWikidata[0]
+
+  return 'Service'
+}
+
+const placeType = (type: string | undefined) => (type === 'GeoShape' ? 'GeoShape' : 'Place')
+
+const providerType = (type: string | undefined) => (type === 'Person' ? 'Person' : 'Organization')
+
+/**
+ * A nested node as a shorthand input, keeping its name and the plain values beside it
+ */
+function fromNode(value: unknown, type?: (nodeType: string | undefined) => string | undefined): unknown {
+  const resolved = literal(value)
+  if (!isObject(resolved)) return resolved
+
+  const input: Record<string, unknown> = {}
+  for (const [key, item] of Object.entries(resolved)) {
+    if (key.startsWith('@')) continue
+    input[key] = isObject(item) || Array.isArray(item) ? item : literal(item)
+  }
+  const nodeType = type ? type(term(typesOf(resolved)[0])) : undefined
+  if (nodeType) input.type = nodeType
+  return input
+}
+
+function fromChannel(value: unknown): unknown {
+  const channel = fromNode(value) as Record<string, unknown>
+  if (!isObject(channel)) return channel
+
+  const { name, serviceLocation, ...rest } = channel
+  if (Object.keys(rest).length === 0 && serviceLocation === undefined && CHANNEL_KINDS.includes(name as string)) return name
+  return {
+    ...(name !== undefined ? { name } : {}),
+    ...rest,
+    ...(serviceLocation !== undefined ? { serviceLocation: fromNode(serviceLocation, placeType) } : {})
+  }
+}
+
+// A list where the document gives several values, a single value otherwise
+const oneOrMany = <T>(values: T[]): T | T[] | undefined => (values.length > 1 ? values : values[0])
+
+/**
+ * Read schema.org Service markup into the name of the service type it describes and the
+ * properties to create it with. Classifications come from the type, except on a plain Service
+ */
+export function readJSONLD(document: unknown): { typeName: string, properties: ServiceProperties } {
+  const parsed = typeof document === 'string' ? JSON.parse(document) : document
+  const node = findServiceNode(compact(parsed, DEFAULT_PREFIXES))
+  if (!node) {
+    throw new TypeError('fromJSONLD() found no schema.org Service in the document')
+  }
+
+  const typeName = resolveType(node)
+  const properties: Record<string, unknown> = {}
+
+  for (const key of TEXT_PROPERTIES) {
+    const value = first(node, key)
+    properties[key] = isObject(value) ? value.url ?? value.contentUrl : value
+  }
+  for (const key of THING_PROPERTIES) properties[key] = fromNode(first(node, key))
+
+  properties.provider = fromNode(all(node.provider)[0], providerType)
+  properties.areaServed = fromNode(all(node.areaServed)[0], placeType)
+  properties.hoursAvailable = oneOrMany(all(node.hoursAvailable).map(hours => {
+    const input = fromNode(hours) as Record<string, unknown>
+    return isObject(input) ? { ...input, dayOfWeek: all(input.dayOfWeek).map(literal) } : input
+  }))
+  properties.availableChannel = oneOrMany(all(node.availableChannel).map(fromChannel))
+  if (isObject(node.offers)) properties.offers = fromNode(node.offers)
+
+  for (const key of EXTENSIONS) properties[key] = literal(node[`svc:${key}`])
+
+  if (typeName === 'Service') {
+    const unspsc = all(node.identifier).find(identifier => isObject(identifier) && String(literal(identifier.propertyID)).toUpperCase() === 'UNSPSC')
+    properties.unspsc = isObject(unspsc) ? String(literal(unspsc.value)) : undefined
+
+    const sameAs = all(node.sameAs).map(literal).map(String)
+    properties.wikidata = sameAs.find(url => url.startsWith('https://www.wikidata.org/wiki/'))
+    properties.wikipedia = sameAs.find(url => /^https:\/\/\w+\.wikipedia\.org\//.test(url))
+  }
+
+  return {
+    typeName,
+    properties: Object.fromEntries(Object.entries(properties).filter(([, value]) => value !== undefined)) as ServiceProperties
+  }
+}
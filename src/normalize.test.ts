@@ -0,0 +1,70 @@
+/**
+ * The shorthand shapes create() accepts, turned into canonical Schema.org objects
+ */
+
+import { normalizeProperties } from './normalize'
+
+describe('normalizeProperties', () => {
+  it('turns a provider or place name into a typed object', () => {
+    const { properties, issues } = normalizeProperties({
+      name: 'Smith & Associates',
+      provider: 'Smith & Associates LLP',
+      areaServed: { type: 'GeoShape', name: 'Bay Area' }
+    })
+
+    expect(issues).toEqual([])
+    expect(properties.provider).toEqual({ $type: 'Organization', name: 'Smith & Associates LLP' })
+    expect(properties.areaServed).toEqual({ $type: 'GeoShape', name: 'Bay Area' })
+  })
+
+  it('turns a channel location into a place the way it does areaServed', () => {
+    const { properties } = normalizeProperties({
+      name: 'Bay Clinic',
+      availableChannel: ['phone', { servicePhone: '+1-555-0100', serviceLocation: 'Oakland' }]
+    })
+
+    expect(properties.availableChannel).toEqual(['phone', { servicePhone: '+1-555-0100', serviceLocation: { $type: 'Place', name: 'Oakland' } }])
+  })
+
+  it('keeps the $type of objects that are already canonical', () => {
+    const { properties } = normalizeProperties({
+      name: 'Jane Doe, Attorney',
+      provider: { $type: 'Person', name: 'Jane Doe' }
+    } as never)
+
+    expect(properties.provider).toEqual({ $type: 'Person', name: 'Jane Doe' })
+  })
+
+  it('reads weekdays as names, abbreviations or schema.org URLs and pads times', () => {
+    const { properties, issues } = normalizeProperties({
+      name: 'Bay Clinic',
+      hoursAvailable: { dayOfWeek: ['mon', 'Monday', 'https://schema.org/Tuesday'], opens: '9:00', closes: '24:00' }
+    })
+
+    expect(issues).toEqual([])
+    expect(properties.hoursAvailable).toEqual({ $type: 'OpeningHoursSpecification', dayOfWeek: ['Monday', 'Tuesday'], opens: '09:00', closes: '24:00' })
+  })
+
+  it('reports every weekday and time it cannot read by path', () => {
+    const { issues } = normalizeProperties({
+      name: 'Bay Clinic',
+      hoursAvailable: [
+        { dayOfWeek: ['Mon'], opens: '09:00', closes: '17:00' },
+        { dayOfWeek: ['Funday', 'Sat'], opens: '24:30', closes: '5pm' }
+      ]
+    })
+
+    expect(issues).toEqual([
+      { path: 'hoursAvailable[1].dayOfWeek[0]', message: 'must be a day of the week like Monday or Mon, got "Funday"' },
+      { path: 'hoursAvailable[1].opens', message: 'must be a time like 09:00 or 17:30:00, got "24:30"' },
+      { path: 'hoursAvailable[1].closes', message: 'must be a time like 09:00 or 17:30:00, got "5pm"' }
+    ])
+  })
+
+  it('passes shapes the schema rejects through unchanged', () => {
+    const { properties, issues } = normalizeProperties({ name: 'Bay Clinic', provider: 42, hoursAvailable: ['Mon 9-5'] } as never)
+
+    expect(issues).toEqual([])
+    expect(properties).toEqual({ name: 'Bay Clinic', provider: 42, hoursAvailable: ['Mon 9-5'] })
+  })
+})
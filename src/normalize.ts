@@ -0,0 +1,141 @@
+/**
+ * Property Normalization
+ * Turns the shorthand shapes `create()` accepts into canonical Schema.org objects
+ */
+
+import type {
+  ChannelKind,
+  OpeningHoursInput,
+  OpeningHoursSpecification,
+  Organization,
+  Person,
+  Place,
+  PlaceInput,
+  ProviderInput,
+  ServiceChannelInput,
+  ServiceProperties
+} from './types'
+import type { ValidationIssue } from './validation'
+
+type Shorthand = 'provider' | 'areaServed' | 'hoursAvailable'
+
+/**
+ * create() properties with provider, areaServed and hoursAvailable in canonical form
+ */
+export type NormalizedProperties = {
+  [K in keyof ServiceProperties as K extends Shorthand ? never : K]: ServiceProperties[K]
+} & {
+  provider?: Organization | Person
+  areaServed?: Place
+  hoursAvailable?: OpeningHoursSpecification | OpeningHoursSpecification[]
+}
+
+// Schema.org DayOfWeek members
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday', 'PublicHolidays']
+
+// Schema.org Time, e.g. 9:00, 09:00:00, 17:30+02:00; 24:00 closes at midnight
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?(Z|[+-]\d{2}:\d{2})?$/
+
+/**
+ * Resolve a weekday written as a name, a three-letter abbreviation or a schema.org URL
+ */
+function dayOfWeek(value: string): string | undefined {
+  const name = value.trim().replace(/^https?:\/\/schema\.org\//, '').toLowerCase()
+  return DAYS_OF_WEEK.find(day => day.toLowerCase() === name || (name.length === 3 && day.toLowerCase().startsWith(name)))
+}
+
+/**
+ * Zero-pad a time, or return undefined when it is not a valid time of day
+ */
+function time(value: string): string | undefined {
+  const match = value.trim().match(TIME_PATTERN)
+  if (!match) return undefined
+
+  const [, hours, minutes, seconds, zone = ''] = match
+  const [h, m, s] = [Number(hours), Number(minutes), Number(seconds || 0)]
+  const midnight = h === 24 && m === 0 && s === 0
+  if ((h > 23 && !midnight) || m > 59 || s > 59) return undefined
+
+  return `${hours.padStart(2, '0')}:${minutes}${seconds ? `:${seconds}` : ''}${zone}`
+}
+
+// Canonical objects, e.g. from a stored instance being updated, keep their $type
+function provider(value: string | ProviderInput | Organization | Person): Organization | Person {
+  if (typeof value === 'string') return { $type: 'Organization', name: value }
+
+  const { type, ...rest } = value as ProviderInput & { $type?: 'Organization' | 'Person' }
+  return { ...rest, $type: type || rest.$type || 'Organization' }
+}
+
+function place(value: string | PlaceInput | Place): Place {
+  if (typeof value === 'string') return { $type: 'Place', name: value }
+
+  const { type, ...rest } = value as PlaceInput & { $type?: 'Place' | 'GeoShape' }
+  return { ...rest, $type: type || rest.$type || 'Place' }
+}
+
+// A channel's serviceLocation is a place like areaServed
+function channel(value: ChannelKind | ServiceChannelInput): ChannelKind | ServiceChannelInput {
+  if (!isObject(value) || !(typeof value.serviceLocation === 'string' || isObject(value.serviceLocation))) return value
+  return { ...value, serviceLocation: place(value.serviceLocation) }
+}
+
+function openingHours(value: OpeningHoursInput, path: string, issues: ValidationIssue[]): OpeningHoursSpecification {
+  const days = (Array.isArray(value.dayOfWeek) ? value.dayOfWeek : []).map((day, index) => {
+    const resolved = typeof day === 'string' ? dayOfWeek(day) : undefined
+    if (!resolved) {
+      issues.push({ path: `${path}.dayOfWeek[${index}]`, message: `must be a day of the week like Monday or Mon, got ${JSON.stringify(day)}` })
+    }
+    return resolved || day
+  })
+
+  const times = (['opens', 'closes'] as const).map(key => {
+    const raw = value[key]
+    const resolved = typeof raw === 'string' ? time(raw) : undefined
+    if (typeof raw === 'string' && !resolved) {
+      issues.push({ path: `${path}.${key}`, message: `must be a time like 09:00 or 17:30:00, got ${JSON.stringify(raw)}` })
+    }
+    return resolved || raw
+  })
+
+  const { dayOfWeek: _days, opens: _opens, closes: _closes, ...rest } = value
+  return { ...rest, $type: 'OpeningHoursSpecification', dayOfWeek: Array.from(new Set(days)), opens: times[0], closes: times[1] }
+}
+
+const isObject = (value: unknown): value is Record<string, any> =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Normalize provider, areaServed, channel locations and hoursAvailable, collecting an issue for every
+ * weekday or time that cannot be read. Shapes the schema rejects are passed through unchanged
+ */
+export function normalizeProperties(properties: ServiceProperties): { properties: NormalizedProperties, issues: ValidationIssue[] } {
+  const issues: ValidationIssue[] = []
+  const normalized = { ...properties } as NormalizedProperties
+
+  if (typeof properties.provider === 'string' || isObject(properties.provider)) {
+    normalized.provider = provider(properties.provider as string | ProviderInput)
+  }
+
+  if (typeof properties.areaServed === 'string' || isObject(properties.areaServed)) {
+    normalized.areaServed = place(properties.areaServed as string | PlaceInput)
+  }
+
+  const { availableChannel } = properties
+  if (Array.isArray(availableChannel)) {
+    normalized.availableChannel = availableChannel.map(channel)
+  } else if (isObject(availableChannel)) {
+    normalized.availableChannel = channel(availableChannel)
+  }
+
+  const { hoursAvailable } = properties
+  if (Array.isArray(hoursAvailable)) {
+    normalized.hoursAvailable = hoursAvailable.map((hours, index) =>
+      isObject(hours) ? openingHours(hours, `hoursAvailable[${index}]`, issues) : hours
+    ) as OpeningHoursSpecification[]
+  } else if (isObject(hoursAvailable)) {
+    normalized.hoursAvailable = openingHours(hoursAvailable as OpeningHoursInput, 'hoursAvailable', issues)
+  }
+
+  return { properties: normalized, issues }
+}
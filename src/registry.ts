@@ -0,0 +1,401 @@
+/**
+ * Service Type Registry
+ * Generated by scripts/generate-registry.ts from the MDX frontmatter in types/ - do not edit
+ */
+
+import type { NAICSClassification, ServiceProperties, ServiceTypeDefinition } from './types'
+
+export const SERVICE_TYPES = {
+  "Service": {
+    "$id": "https://services.org.ai/Service",
+    "extends": "https://schema.org/Service",
+    "name": "Service",
+    "description": "A service is an intangible product that is offered by one party to another in exchange for money or value",
+    "digital": 0.7
+  },
+  "ComputerFacilitiesManagementServices": {
+    "$id": "https://services.org.ai/computer-facilities-management-services",
+    "extends": [
+      "Service",
+      "ProfessionalServices",
+      "ComputerServices"
+    ],
+    "name": "Computer Facilities Management Services",
+    "description": "Providing on-site management and operation of clients computer systems and/or data processing facilities",
+    "naics": {
+      "code": "541513",
+      "title": "Computer Facilities Management Services",
+      "sector": "54",
+      "sectorName": "Professional, Scientific, and Technical Services",
+      "subsector": "541",
+      "subsectorName": "Professional, Scientific, and Technical Services",
+      "industryGroup": "5415",
+      "industryGroupName": "Computer Systems Design and Related Services"
+    },
+    "unspsc": "81110000",
+    "digital": 0.85,
+    "deliveryMethod": "remote",
+    "availableChannel": [
+      "web",
+      "phone"
+    ],
+    "serviceType": "Professional Service"
+  },
+  "ComputerSystemsDesignServices": {
+    "$id": "https://services.org.ai/computer-systems-design-services",
+    "extends": [
+      "Service",
+      "ProfessionalServices",
+      "ComputerServices"
+    ],
+    "name": "Computer Systems Design Services",
+    "description": "Planning and designing computer systems that integrate computer hardware, software, and communication technologies",
+    "naics": {
+      "code": "541512",
+      "title": "Computer Systems Design Services",
+      "sector": "54",
+      "sectorName": "Professional, Scientific, and Technical Services",
+      "subsector": "541",
+      "subsectorName": "Professional, Scientific, and Technical Services",
+      "industryGroup": "5415",
+      "industryGroupName": "Computer Systems Design and Related Services"
+    },
+    "unspsc": "81110000",
+    "digital": 0.84,
+    "deliveryMethod": "remote",
+    "availableChannel": [
+      "web",
+      "phone"
+    ],
+    "serviceType": "Professional Service"
+  },
+  "CustomComputerProgrammingServices": {
+    "$id": "https://services.org.ai/custom-computer-programming-services",
+    "extends": [
+      "Service",
+      "ProfessionalServices",
+      "ComputerServices"
+    ],
+    "name": "Custom Computer Programming Services",
+    "description": "Writing, modifying, testing, and supporting software to meet the needs of a particular customer",
+    "naics": {
+      "code": "541511",
+      "title": "Custom Computer Programming Services",
+      "sector": "54",
+      "sectorName": "Professional, Scientific, and Technical Services",
+      "subsector": "541",
+      "subsectorName": "Professional, Scientific, and Technical Services",
+      "industryGroup": "5415",
+      "industryGroupName": "Computer Systems Design and Related Services"
+    },
+    "unspsc": "81111504",
+    "wikidata": "https://www.wikidata.org/wiki/Q21198342",
+    "wikipedia": "https://en.wikipedia.org/wiki/Custom_software",
+    "digital": 1,
+    "deliveryMethod": "remote",
+    "availableChannel": [
+      "web",
+      "phone"
+    ],
+    "serviceType": "Professional Service"
+  },
+  "ElementaryAndSecondarySchools": {
+    "$id": "https://services.org.ai/elementary-and-secondary-schools",
+    "extends": [
+      "Service",
+      "EducationalServices",
+      "Schools"
+    ],
+    "name": "Elementary and Secondary Schools",
+    "description": "Providing academic courses and associated course work that comprise a basic preparatory education",
+    "naics": {
+      "code": "611110",
+      "title": "Elementary and Secondary Schools",
+      "sector": "61",
+      "sectorName": "Educational Services",
+      "subsector": "611",
+      "subsectorName": "Educational Services",
+      "industryGroup": "6111",
+      "industryGroupName": "Elementary and Secondary Schools"
+    },
+    "unspsc": "86121500",
+    "wikidata": "https://www.wikidata.org/wiki/Q3914",
+    "wikipedia": "https://en.wikipedia.org/wiki/School",
+    "digital": 0.6,
+    "deliveryMethod": "in-person",
+    "availableChannel": [
+      "web",
+      "phone",
+      "location"
+    ],
+    "serviceType": "Educational Service"
+  },
+  "FullServiceRestaurants": {
+    "$id": "https://services.org.ai/full-service-restaurants",
+    "extends": [
+      "Service",
+      "HospitalityServices",
+      "Restaurants"
+    ],
+    "name": "Full-Service Restaurants",
+    "description": "Providing food services to patrons who order and are served while seated and pay after eating",
+    "naics": {
+      "code": "722511",
+      "title": "Full-Service Restaurants",
+      "sector": "72",
+      "sectorName": "Accommodation and Food Services",
+      "subsector": "722",
+      "subsectorName": "Food Services and Drinking Places",
+      "industryGroup": "7225",
+      "industryGroupName": "Restaurants and Other Eating Places"
+    },
+    "unspsc": "90101501",
+    "wikidata": "https://www.wikidata.org/wiki/Q11707",
+    "wikipedia": "https://en.wikipedia.org/wiki/Restaurant",
+    "digital": 0.3,
+    "deliveryMethod": "in-person",
+    "availableChannel": [
+      "phone",
+      "location"
+    ],
+    "serviceType": "Hospitality Service"
+  },
+  "LimitedServiceRestaurants": {
+    "$id": "https://services.org.ai/limited-service-restaurants",
+    "extends": [
+      "Service",
+      "HospitalityServices",
+      "Restaurants"
+    ],
+    "name": "Limited-Service Restaurants",
+    "description": "Providing food services where patrons generally order or select items and pay before eating",
+    "naics": {
+      "code": "722513",
+      "title": "Limited-Service Restaurants",
+      "sector": "72",
+      "sectorName": "Accommodation and Food Services",
+      "subsector": "722",
+      "subsectorName": "Food Services and Drinking Places",
+      "industryGroup": "7225",
+      "industryGroupName": "Restaurants and Other Eating Places"
+    },
+    "unspsc": "90101501",
+    "digital": 0.2,
+    "deliveryMethod": "in-person",
+    "availableChannel": [
+      "phone",
+      "location"
+    ],
+    "serviceType": "Hospitality Service"
+  },
+  "OfficesOfCertifiedPublicAccountants": {
+    "$id": "https://services.org.ai/offices-of-certified-public-accountants",
+    "extends": [
+      "Service",
+      "ProfessionalServices",
+      "AccountingTaxPreparationBookkeepingAndPayrollServices"
+    ],
+    "name": "Offices of Certified Public Accountants",
+    "description": "Providing accounting, auditing, and bookkeeping services",
+    "naics": {
+      "code": "541211",
+      "title": "Offices of Certified Public Accountants",
+      "sector": "54",
+      "sectorName": "Professional, Scientific, and Technical Services",
+      "subsector": "541",
+      "subsectorName": "Professional, Scientific, and Technical Services",
+      "industryGroup": "5412",
+      "industryGroupName": "Accounting, Tax Preparation, Bookkeeping, and Payroll Services"
+    },
+    "digital": 0.7,
+    "deliveryMethod": "hybrid",
+    "availableChannel": [
+      "web",
+      "phone",
+      "location"
+    ],
+    "serviceType": "Professional Service"
+  },
+  "OfficesOfDentists": {
+    "$id": "https://services.org.ai/offices-of-dentists",
+    "extends": [
+      "Service",
+      "HealthcareServices",
+      "AmbulatoryHealthCareServices"
+    ],
+    "name": "Offices of Dentists",
+    "description": "Providing dental care services by licensed dentists",
+    "naics": {
+      "code": "621210",
+      "title": "Offices of Dentists",
+      "sector": "62",
+      "sectorName": "Health Care and Social Assistance",
+      "subsector": "621",
+      "subsectorName": "Ambulatory Health Care Services",
+      "industryGroup": "6212",
+      "industryGroupName": "Offices of Dentists"
+    },
+    "digital": 0.5,
+    "deliveryMethod": "in-person",
+    "availableChannel": [
+      "web",
+      "phone",
+      "location"
+    ],
+    "serviceType": "Healthcare Service"
+  },
+  "OfficesOfLawyers": {
+    "$id": "https://services.org.ai/offices-of-lawyers",
+    "extends": [
+      "Service",
+      "ProfessionalServices",
+      "LegalServices"
+    ],
+    "name": "Offices of Lawyers",
+    "description": "Legal advice and representation in civil and criminal legal matters and other legal services",
+    "naics": {
+      "code": "541110",
+      "title": "Offices of Lawyers",
+      "sector": "54",
+      "sectorName": "Professional, Scientific, and Technical Services",
+      "subsector": "541",
+      "subsectorName": "Professional, Scientific, and Technical Services",
+      "industryGroup": "5411",
+      "industryGroupName": "Legal Services"
+    },
+    "unspsc": "80120000",
+    "wikidata": "https://www.wikidata.org/wiki/Q40348",
+    "wikipedia": "https://en.wikipedia.org/wiki/Lawyer",
+    "digital": 0.6,
+    "deliveryMethod": "hybrid",
+    "availableChannel": [
+      "web",
+      "phone",
+      "location"
+    ],
+    "serviceType": "Professional Service"
+  },
+  "OfficesOfPhysicians": {
+    "$id": "https://services.org.ai/offices-of-physicians",
+    "extends": [
+      "Service",
+      "HealthcareServices",
+      "Physicians"
+    ],
+    "name": "Offices of Physicians (except Mental Health Specialists)",
+    "description": "Medical care services provided by licensed physicians in private practice",
+    "naics": {
+      "code": "621111",
+      "title": "Offices of Physicians (except Mental Health Specialists)",
+      "sector": "62",
+      "sectorName": "Health Care and Social Assistance",
+      "subsector": "621",
+      "subsectorName": "Ambulatory Health Care Services",
+      "industryGroup": "6211",
+      "industryGroupName": "Offices of Physicians"
+    },
+    "unspsc": "85121600",
+    "wikidata": "https://www.wikidata.org/wiki/Q39631",
+    "wikipedia": "https://en.wikipedia.org/wiki/Physician",
+    "digital": 0.5,
+    "deliveryMethod": "in-person",
+    "availableChannel": [
+      "web",
+      "phone",
+      "location"
+    ],
+    "serviceType": "Healthcare Service"
+  }
+} satisfies Record<string, ServiceTypeDefinition>
+
+/**
+ * Properties accepted by `$.ComputerFacilitiesManagementServices.create()`
+ */
+export interface ComputerFacilitiesManagementServicesProperties extends ServiceProperties {
+  naics?: NAICSClassification & { code: "541513" }
+  unspsc?: "81110000"
+}
+
+/**
+ * Properties accepted by `$.ComputerSystemsDesignServices.create()`
+ */
+export interface ComputerSystemsDesignServicesProperties extends ServiceProperties {
+  naics?: NAICSClassification & { code: "541512" }
+  unspsc?: "81110000"
+}
+
+/**
+ * Properties accepted by `$.CustomComputerProgrammingServices.create()`
+ */
+export interface CustomComputerProgrammingServicesProperties extends ServiceProperties {
+  naics?: NAICSClassification & { code: "541511" }
+  unspsc?: "81111504"
+}
+
+/**
+ * Properties accepted by `$.ElementaryAndSecondarySchools.create()`
+ */
+export interface ElementaryAndSecondarySchoolsProperties extends ServiceProperties {
+  naics?: NAICSClassification & { code: "611110" }
+  unspsc?: "86121500"
+}
+
+/**
+ * Properties accepted by `$.FullServiceRestaurants.create()`
+ */
+export interface FullServiceRestaurantsProperties extends ServiceProperties {
+  naics?: NAICSClassification & { code: "722511" }
+  unspsc?: "90101501"
+}
+
+/**
+ * Properties accepted by `$.LimitedServiceRestaurants.create()`
+ */
+export interface LimitedServiceRestaurantsProperties extends ServiceProperties {
+  naics?: NAICSClassification & { code: "722513" }
+  unspsc?: "90101501"
+}
+
+/**
+ * Properties accepted by `$.OfficesOfCertifiedPublicAccountants.create()`
+ */
+export interface OfficesOfCertifiedPublicAccountantsProperties extends ServiceProperties {
+  naics?: NAICSClassification & { code: "541211" }
+}
+
+/**
+ * Properties accepted by `$.OfficesOfDentists.create()`
+ */
+export interface OfficesOfDentistsProperties extends ServiceProperties {
+  naics?: NAICSClassification & { code: "621210" }
+}
+
+/**
+ * Properties accepted by `$.OfficesOfLawyers.create()`
+ */
+export interface OfficesOfLawyersProperties extends ServiceProperties {
+  naics?: NAICSClassification & { code: "541110" }
+  unspsc?: "80120000"
+}
+
+/**
+ * Properties accepted by `$.OfficesOfPhysicians.create()`
+ */
+export interface OfficesOfPhysiciansProperties extends ServiceProperties {
+  naics?: NAICSClassification & { code: "621111" }
+  unspsc?: "85121600"
+}
+
+export interface ServicePropertiesByType {
+  Service: ServiceProperties
+  ComputerFacilitiesManagementServices: ComputerFacilitiesManagementServicesProperties
+  ComputerSystemsDesignServices: ComputerSystemsDesignServicesProperties
+  CustomComputerProgrammingServices: CustomComputerProgrammingServicesProperties
+  ElementaryAndSecondarySchools: ElementaryAndSecondarySchoolsProperties
+  FullServiceRestaurants: FullServiceRestaurantsProperties
+  LimitedServiceRestaurants: LimitedServiceRestaurantsProperties
+  OfficesOfCertifiedPublicAccountants: OfficesOfCertifiedPublicAccountantsProperties
+  OfficesOfDentists: OfficesOfDentistsProperties
+  OfficesOfLawyers: OfficesOfLawyersProperties
+  OfficesOfPhysicians: OfficesOfPhysiciansProperties
+}
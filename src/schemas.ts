@@ -0,0 +1,685 @@
+/**
+ * Service Type Schemas
+ * Generated by scripts/generate-registry.ts from types/Service.mdx and the service type frontmatter - do not edit
+ */
+
+export const SERVICE_SCHEMA = {
+  "$schema": "http://json-schema.org/draft-07/schema#",
+  "$id": "https://services.org.ai/schemas/Service.schema.json",
+  "title": "Service",
+  "description": "Properties accepted by $.Service.create()",
+  "type": "object",
+  "required": [
+    "name"
+  ],
+  "properties": {
+    "name": {
+      "description": "The name of the service",
+      "allOf": [
+        {
+          "$ref": "#/definitions/Text"
+        },
+        {
+          "type": "string",
+          "minLength": 1
+        }
+      ]
+    },
+    "description": {
+      "description": "A description of the service",
+      "$ref": "#/definitions/Text"
+    },
+    "image": {
+      "description": "An image representing the service",
+      "$ref": "#/definitions/URL"
+    },
+    "url": {
+      "description": "URL of the service",
+      "$ref": "#/definitions/URL"
+    },
+    "provider": {
+      "description": "The service provider",
+      "anyOf": [
+        {
+          "$ref": "#/definitions/Organization"
+        },
+        {
+          "$ref": "#/definitions/Person"
+        }
+      ]
+    },
+    "serviceType": {
+      "description": "The type of service",
+      "anyOf": [
+        {
+          "$ref": "#/definitions/Text"
+        },
+        {
+          "$ref": "#/definitions/GovernmentBenefitsType"
+        }
+      ]
+    },
+    "areaServed": {
+      "description": "The geographic area where the service is provided",
+      "anyOf": [
+        {
+          "$ref": "#/definitions/Place"
+        },
+        {
+          "$ref": "#/definitions/GeoShape"
+        }
+      ]
+    },
+    "availableChannel": {
+      "description": "How the service can be accessed",
+      "anyOf": [
+        {
+          "$ref": "#/definitions/ServiceChannel"
+        },
+        {
+          "type": "array",
+          "items": {
+            "$ref": "#/definitions/ServiceChannel"
+          }
+        }
+      ]
+    },
+    "category": {
+      "description": "Category of the service",
+      "anyOf": [
+        {
+          "$ref": "#/definitions/Text"
+        },
+        {
+          "$ref": "#/definitions/Thing"
+        }
+      ]
+    },
+    "hoursAvailable": {
+      "description": "Hours the service is available",
+      "anyOf": [
+        {
+          "$ref": "#/definitions/OpeningHoursSpecification"
+        },
+        {
+          "type": "array",
+          "items": {
+            "$ref": "#/definitions/OpeningHoursSpecification"
+          }
+        }
+      ]
+    },
+    "offers": {
+      "description": "An offer to provide the service",
+      "$ref": "#/definitions/Offer"
+    },
+    "termsOfService": {
+      "description": "Terms of service for using the service",
+      "anyOf": [
+        {
+          "$ref": "#/definitions/URL"
+        },
+        {
+          "$ref": "#/definitions/Text"
+        }
+      ]
+    },
+    "serviceOutput": {
+      "description": "The output of the service",
+      "$ref": "#/definitions/Thing"
+    },
+    "produces": {
+      "description": "What the service produces",
+      "$ref": "#/definitions/Thing"
+    },
+    "naics": {
+      "description": "NAICS industry classification",
+      "$ref": "#/definitions/NAICSClassification"
+    },
+    "unspsc": {
+      "description": "UNSPSC service code",
+      "allOf": [
+        {
+          "$ref": "#/definitions/Text"
+        },
+        {
+          "type": "string",
+          "pattern": "^\\d{8}$"
+        }
+      ]
+    },
+    "wikidata": {
+      "description": "Wikidata QID reference",
+      "allOf": [
+        {
+          "$ref": "#/definitions/URL"
+        },
+        {
+          "type": "string",
+          "pattern": "^https://www\\.wikidata\\.org/wiki/Q[1-9]\\d*$"
+        }
+      ]
+    },
+    "wikipedia": {
+      "description": "Wikipedia article URL",
+      "$ref": "#/definitions/URL"
+    },
+    "digital": {
+      "description": "Digital service score (0.0-1.0)",
+      "allOf": [
+        {
+          "$ref": "#/definitions/Number"
+        },
+        {
+          "type": "number",
+          "minimum": 0,
+          "maximum": 1
+        }
+      ]
+    },
+    "deliveryMethod": {
+      "description": "How the service is delivered (in-person, remote, hybrid)",
+      "allOf": [
+        {
+          "$ref": "#/definitions/Text"
+        },
+        {
+          "enum": [
+            "in-person",
+            "remote",
+            "hybrid"
+          ]
+        }
+      ]
+    },
+    "industryVertical": {
+      "description": "Primary industry vertical",
+      "$ref": "#/definitions/Text"
+    }
+  },
+  "definitions": {
+    "Text": {
+      "type": "string"
+    },
+    "URL": {
+      "type": "string",
+      "pattern": "^https?://"
+    },
+    "Number": {
+      "type": "number"
+    },
+    "Thing": {
+      "anyOf": [
+        {
+          "type": "string",
+          "minLength": 1
+        },
+        {
+          "type": "object",
+          "required": [
+            "name"
+          ],
+          "properties": {
+            "name": {
+              "type": "string",
+              "minLength": 1
+            }
+          }
+        }
+      ]
+    },
+    "Organization": {
+      "anyOf": [
+        {
+          "type": "string",
+          "minLength": 1
+        },
+        {
+          "type": "object",
+          "required": [
+            "name"
+          ],
+          "properties": {
+            "name": {
+              "type": "string",
+              "minLength": 1
+            },
+            "type": {
+              "const": "Organization"
+            }
+          }
+        }
+      ]
+    },
+    "Person": {
+      "anyOf": [
+        {
+          "type": "string",
+          "minLength": 1
+        },
+        {
+          "type": "object",
+          "required": [
+            "name"
+          ],
+          "properties": {
+            "name": {
+              "type": "string",
+              "minLength": 1
+            },
+            "type": {
+              "const": "Person"
+            }
+          }
+        }
+      ]
+    },
+    "Place": {
+      "anyOf": [
+        {
+          "type": "string",
+          "minLength": 1
+        },
+        {
+          "type": "object",
+          "required": [
+            "name"
+          ],
+          "properties": {
+            "name": {
+              "type": "string",
+              "minLength": 1
+            },
+            "type": {
+              "const": "Place"
+            }
+          }
+        }
+      ]
+    },
+    "GeoShape": {
+      "anyOf": [
+        {
+          "type": "string",
+          "minLength": 1
+        },
+        {
+          "type": "object",
+          "required": [
+            "name"
+          ],
+          "properties": {
+            "name": {
+              "type": "string",
+              "minLength": 1
+            },
+            "type": {
+              "const": "GeoShape"
+            }
+          }
+        }
+      ]
+    },
+    "GovernmentBenefitsType": {
+      "type": "string"
+    },
+    "ServiceChannel": {
+      "anyOf": [
+        {
+          "enum": [
+            "web",
+            "phone",
+            "location"
+          ]
+        },
+        {
+          "type": "object",
+          "anyOf": [
+            {
+              "required": [
+                "serviceUrl"
+              ]
+            },
+            {
+              "required": [
+                "servicePhone"
+              ]
+            },
+            {
+              "required": [
+                "serviceLocation"
+              ]
+            }
+          ],
+          "properties": {
+            "name": {
+              "type": "string"
+            },
+            "serviceUrl": {
+              "type": "string",
+              "pattern": "^https?://"
+            },
+            "servicePhone": {
+              "type": "string",
+              "minLength": 1
+            },
+            "serviceLocation": {
+              "$ref": "#/definitions/Place"
+            }
+          }
+        }
+      ]
+    },
+    "OpeningHoursSpecification": {
+      "type": "object",
+      "required": [
+        "dayOfWeek",
+        "opens",
+        "closes"
+      ],
+      "properties": {
+        "dayOfWeek": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "opens": {
+          "type": "string"
+        },
+        "closes": {
+          "type": "string"
+        }
+      }
+    },
+    "Offer": {
+      "type": "object"
+    },
+    "NAICSClassification": {
+      "type": "object",
+      "required": [
+        "code",
+        "title",
+        "sector",
+        "sectorName"
+      ],
+      "properties": {
+        "code": {
+          "type": "string",
+          "pattern": "^\\d{6}$"
+        },
+        "title": {
+          "type": "string"
+        },
+        "sector": {
+          "type": "string",
+          "pattern": "^\\d{2}(-\\d{2})?$"
+        },
+        "sectorName": {
+          "type": "string"
+        },
+        "subsector": {
+          "type": "string",
+          "pattern": "^\\d{3}$"
+        },
+        "subsectorName": {
+          "type": "string"
+        },
+        "industryGroup": {
+          "type": "string",
+          "pattern": "^\\d{4}$"
+        },
+        "industryGroupName": {
+          "type": "string"
+        }
+      }
+    }
+  }
+}
+
+export const TYPE_SCHEMAS: Record<string, object> = {
+  "ComputerFacilitiesManagementServices": {
+    "$schema": "http://json-schema.org/draft-07/schema#",
+    "$id": "https://services.org.ai/schemas/ComputerFacilitiesManagementServices.schema.json",
+    "title": "ComputerFacilitiesManagementServices",
+    "description": "Providing on-site management and operation of clients computer systems and/or data processing facilities",
+    "type": "object",
+    "allOf": [
+      {
+        "$ref": "Service.schema.json"
+      }
+    ],
+    "properties": {
+      "naics": {
+        "type": "object",
+        "properties": {
+          "code": {
+            "const": "541513"
+          }
+        }
+      },
+      "unspsc": {
+        "const": "81110000"
+      }
+    }
+  },
+  "ComputerSystemsDesignServices": {
+    "$schema": "http://json-schema.org/draft-07/schema#",
+    "$id": "https://services.org.ai/schemas/ComputerSystemsDesignServices.schema.json",
+    "title": "ComputerSystemsDesignServices",
+    "description": "Planning and designing computer systems that integrate computer hardware, software, and communication technologies",
+    "type": "object",
+    "allOf": [
+      {
+        "$ref": "Service.schema.json"
+      }
+    ],
+    "properties": {
+      "naics": {
+        "type": "object",
+        "properties": {
+          "code": {
+            "const": "541512"
+          }
+        }
+      },
+      "unspsc": {
+        "const": "81110000"
+      }
+    }
+  },
+  "CustomComputerProgrammingServices": {
+    "$schema": "http://json-schema.org/draft-07/schema#",
+    "$id": "https://services.org.ai/schemas/CustomComputerProgrammingServices.schema.json",
+    "title": "CustomComputerProgrammingServices",
+    "description": "Writing, modifying, testing, and supporting software to meet the needs of a particular customer",
+    "type": "object",
+    "allOf": [
+      {
+        "$ref": "Service.schema.json"
+      }
+    ],
+    "properties": {
+      "naics": {
+        "type": "object",
+        "properties": {
+          "code": {
+            "const": "541511"
+          }
+        }
+      },
+      "unspsc": {
+        "const": "81111504"
+      }
+    }
+  },
+  "ElementaryAndSecondarySchools": {
+    "$schema": "http://json-schema.org/draft-07/schema#",
+    "$id": "https://services.org.ai/schemas/ElementaryAndSecondarySchools.schema.json",
+    "title": "ElementaryAndSecondarySchools",
+    "description": "Providing academic courses and associated course work that comprise a basic preparatory education",
+    "type": "object",
+    "allOf": [
+      {
+        "$ref": "Service.schema.json"
+      }
+    ],
+    "properties": {
+      "naics": {
+        "type": "object",
+        "properties": {
+          "code": {
+            "const": "611110"
+          }
+        }
+      },
+      "unspsc": {
+        "const": "86121500"
+      }
+    }
+  },
+  "FullServiceRestaurants": {
+    "$schema": "http://json-schema.org/draft-07/schema#",
+    "$id": "https://services.org.ai/schemas/FullServiceRestaurants.schema.json",
+    "title": "FullServiceRestaurants",
+    "description": "Providing food services to patrons who order and are served while seated and pay after eating",
+    "type": "object",
+    "allOf": [
+      {
+        "$ref": "Service.schema.json"
+      }
+    ],
+    "properties": {
+      "naics": {
+        "type": "object",
+        "properties": {
+          "code": {
+            "const": "722511"
+          }
+        }
+      },
+      "unspsc": {
+        "const": "90101501"
+      }
+    }
+  },
+  "LimitedServiceRestaurants": {
+    "$schema": "http://json-schema.org/draft-07/schema#",
+    "$id": "https://services.org.ai/schemas/LimitedServiceRestaurants.schema.json",
+    "title": "LimitedServiceRestaurants",
+    "description": "Providing food services where patrons generally order or select items and pay before eating",
+    "type": "object",
+    "allOf": [
+      {
+        "$ref": "Service.schema.json"
+      }
+    ],
+    "properties": {
+      "naics": {
+        "type": "object",
+        "properties": {
+          "code": {
+            "const": "722513"
+          }
+        }
+      },
+      "unspsc": {
+        "const": "90101501"
+      }
+    }
+  },
+  "OfficesOfCertifiedPublicAccountants": {
+    "$schema": "http://json-schema.org/draft-07/schema#",
+    "$id": "https://services.org.ai/schemas/OfficesOfCertifiedPublicAccountants.schema.json",
+    "title": "OfficesOfCertifiedPublicAccountants",
+    "description": "Providing accounting, auditing, and bookkeeping services",
+    "type": "object",
+    "allOf": [
+      {
+        "$ref": "Service.schema.json"
+      }
+    ],
+    "properties": {
+      "naics": {
+        "type": "object",
+        "properties": {
+          "code": {
+            "const": "541211"
+          }
+        }
+      }
+    }
+  },
+  "OfficesOfDentists": {
+    "$schema": "http://json-schema.org/draft-07/schema#",
+    "$id": "https://services.org.ai/schemas/OfficesOfDentists.schema.json",
+    "title": "OfficesOfDentists",
+    "description": "Providing dental care services by licensed dentists",
+    "type": "object",
+    "allOf": [
+      {
+        "$ref": "Service.schema.json"
+      }
+    ],
+    "properties": {
+      "naics": {
+        "type": "object",
+        "properties": {
+          "code": {
+            "const": "621210"
+          }
+        }
+      }
+    }
+  },
+  "OfficesOfLawyers": {
+    "$schema": "http://json-schema.org/draft-07/schema#",
+    "$id": "https://services.org.ai/schemas/OfficesOfLawyers.schema.json",
+    "title": "OfficesOfLawyers",
+    "description": "Legal advice and representation in civil and criminal legal matters and other legal services",
+    "type": "object",
+    "allOf": [
+      {
+        "$ref": "Service.schema.json"
+      }
+    ],
+    "properties": {
+      "naics": {
+        "type": "object",
+        "properties": {
+          "code": {
+            "const": "541110"
+          }
+        }
+      },
+      "unspsc": {
+        "const": "80120000"
+      }
+    }
+  },
+  "OfficesOfPhysicians": {
+    "$schema": "http://json-schema.org/draft-07/schema#",
+    "$id": "https://services.org.ai/schemas/OfficesOfPhysicians.schema.json",
+    "title": "OfficesOfPhysicians",
+    "description": "Medical care services provided by licensed physicians in private practice",
+    "type": "object",
+    "allOf": [
+      {
+        "$ref": "Service.schema.json"
+      }
+    ],
+    "properties": {
+      "naics": {
+        "type": "object",
+        "properties": {
+          "code": {
+            "const": "621111"
+          }
+        }
+      },
+      "unspsc": {
+        "const": "85121600"
+      }
+    }
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Queries on a service type, which take in the instances of the types below it
+ */
+
+import { $, MemoryStore, useStore } from '.'
+import type { ServiceFilter } from './store'
+
+describe('ServiceType queries', () => {
+  let store: MemoryStore
+
+  beforeEach(() => {
+    store = new MemoryStore()
+    useStore(store)
+    $.OfficesOfLawyers.create({ name: 'Smith & Associates' })
+    $.OfficesOfPhysicians.create({ name: 'Bay Clinic' })
+    $.Service.create({ name: 'Odd Jobs' })
+  })
+
+  it('finds the instances of subtypes on a parent type', () => {
+    expect($.Service.find({}, { sort: { name: 1 } }).map(service => service.name)).toEqual(['Bay Clinic', 'Odd Jobs', 'Smith & Associates'])
+    expect($.OfficesOfLawyers.find().map(service => service.$type)).toEqual(['OfficesOfLawyers'])
+  })
+
+  it('scopes the store query to the type and its subtypes with $type $in', () => {
+    const find = jest.spyOn(store, 'find')
+    $.OfficesOfLawyers.find({ 'naics.sector': '54' })
+
+    const [[filter]] = find.mock.calls as Array<[ServiceFilter]>
+    expect(filter).toEqual({ 'naics.sector': '54', $type: { $in: ['OfficesOfLawyers'] } })
+  })
+
+  it('narrows a parent type query to the subtypes a $type condition names', () => {
+    expect($.Service.find({ $type: 'OfficesOfPhysicians' }).map(service => service.name)).toEqual(['Bay Clinic'])
+    expect($.Service.find({ $type: { $in: ['OfficesOfLawyers', 'Service'] } }).map(service => service.name)).toEqual(['Smith & Associates', 'Odd Jobs'])
+    expect($.OfficesOfLawyers.find({ $type: 'OfficesOfPhysicians' })).toEqual([])
+  })
+
+  it('updates and deletes only within the type and its subtypes', () => {
+    expect($.OfficesOfLawyers.update({}, { digital: 0.9 }).map(service => service.name)).toEqual(['Smith & Associates'])
+    expect($.OfficesOfPhysicians.delete({ name: 'Smith & Associates' })).toBe(0)
+    expect($.Service.delete({})).toBe(3)
+  })
+})
@@ -0,0 +1,164 @@
+/**
+ * Service Type Accessors
+ * One accessor per service type, exposed on `$` as `$.TypeName`
+ */
+
+import type {
+  DeliveryMethod,
+  NAICSClassification,
+  OpeningHoursSpecification,
+  Organization,
+  Person,
+  Place,
+  ServiceProperties,
+  ServiceTypeDefinition
+} from './types'
+import { ServiceValidationError, validateProperties } from './validation'
+import { normalizeProperties, type NormalizedProperties } from './normalize'
+import { toJSONLD, type JSONLDNode } from './jsonld'
+import { getStore, matchesFilter, type FindOptions, type ServiceFilter, type StoredService } from './store'
+import { SERVICE_TYPES } from './registry'
+import { subtypesOf } from './type-graph'
+
+/**
+ * A service created through `$.TypeName.create()`
+ */
+export class ServiceInstance {
+  $type: string
+  name: string
+  naics?: NAICSClassification
+  unspsc?: string
+  wikidata?: string
+  wikipedia?: string
+  digital?: number
+  deliveryMethod?: DeliveryMethod
+  availableChannel?: ServiceProperties['availableChannel']
+  provider?: Organization | Person
+  areaServed?: Place
+  hoursAvailable?: OpeningHoursSpecification | OpeningHoursSpecification[]
+  serviceType?: string;
+  [property: string]: unknown
+
+  constructor(type: ServiceType, properties: NormalizedProperties) {
+    const { definition } = type
+
+    // Classifications come from the type; explicit properties win so the
+    // base Service type can still be created with its own NAICS code
+    Object.assign(this, {
+      naics: definition.naics,
+      unspsc: definition.unspsc,
+      wikidata: definition.wikidata,
+      wikipedia: definition.wikipedia,
+      digital: definition.digital,
+      deliveryMethod: definition.deliveryMethod,
+      availableChannel: definition.availableChannel,
+      serviceType: definition.serviceType
+    }, properties)
+
+    this.$type = type.name
+    this.name = properties.name
+  }
+
+  /**
+   * Schema.org Service markup typed as both Service and this service type
+   */
+  toJSONLD(): JSONLDNode {
+    return toJSONLD(this)
+  }
+}
+
+/**
+ * Normalize and validate properties for a service type, reporting shape and
+ * format problems together, one issue per path
+ */
+function prepare(typeName: string, properties: ServiceProperties, method = 'create'): NormalizedProperties {
+  const issues = validateProperties(typeName, properties)
+  // Anything but an object fails the schema at its root and has nothing to normalize
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    throw new ServiceValidationError(typeName, issues.length > 0 ? issues : [{ path: '', message: 'must be object' }], method)
+  }
+
+  const normalized = normalizeProperties(properties)
+  for (const issue of normalized.issues) {
+    if (!issues.some(other => other.path === issue.path)) issues.push(issue)
+  }
+  if (issues.length > 0) {
+    throw new ServiceValidationError(typeName, issues, method)
+  }
+  return normalized.properties
+}
+
+// Stores hold plain JSON, never the instances handed out
+const toRecord = (value: object): StoredService => JSON.parse(JSON.stringify(value))
+
+const toInstance = (record: StoredService): ServiceInstance =>
+  Object.assign(Object.create(ServiceInstance.prototype), record)
+
+export class ServiceType<P extends ServiceProperties = ServiceProperties> {
+  readonly name: string
+  readonly definition: ServiceTypeDefinition
+
+  constructor(name: string, definition: ServiceTypeDefinition) {
+    this.name = name
+    this.definition = definition
+  }
+
+  get $id(): string {
+    return this.definition.$id
+  }
+
+  get naics(): NAICSClassification | undefined {
+    return this.definition.naics
+  }
+
+  /**
+   * This type and the service types below it, whose instances queries on this type include
+   */
+  get typeNames(): string[] {
+    return [this.name, ...subtypesOf(this.name).filter(name => name in SERVICE_TYPES)]
+  }
+
+  /**
+   * Create a service instance of this type and add it to the store
+   */
+  create(properties: P): ServiceInstance {
+    const instance = new ServiceInstance(this, prepare(this.name, properties))
+    getStore().insert(toRecord(instance))
+    return instance
+  }
+
+  /**
+   * Find instances of this type and its subtypes matching every condition of the filter,
+   * e.g. find({ 'naics.sector': '54', digital: { $gte: 0.8 } }, { sort: { digital: -1 }, limit: 10 })
+   */
+  find(filter: ServiceFilter = {}, options?: FindOptions): ServiceInstance[] {
+    return getStore().find(this.scope(filter), options).map(toInstance)
+  }
+
+  /**
+   * Apply changes to every matching instance, validating each against its own type
+   * Nothing is changed when any result would be invalid
+   */
+  update(filter: ServiceFilter, changes: Partial<P>): ServiceInstance[] {
+    const updated = getStore().update(this.scope(filter), record => {
+      const { $type: _type, ...properties }: Record<string, unknown> = { ...record, ...changes }
+      return toRecord({ ...prepare(record.$type, properties as ServiceProperties, 'update'), $type: record.$type })
+    })
+    return updated.map(toInstance)
+  }
+
+  /**
+   * Delete every matching instance, returning how many were deleted
+   */
+  delete(filter: ServiceFilter): number {
+    return getStore().delete(this.scope(filter))
+  }
+
+  /**
+   * Restrict a filter to this type and its subtypes
+   */
+  private scope(filter: ServiceFilter): ServiceFilter {
+    const typeNames = this.typeNames.filter(typeName => !('$type' in filter) || matchesFilter({ $type: typeName, name: '' }, { $type: filter.$type }))
+    return { ...filter, $type: { $in: typeNames } }
+  }
+}
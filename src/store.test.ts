@@ -0,0 +1,147 @@
+/**
+ * Filters, find options and changes in the memory and JSON file stores
+ */
+
+import fs, { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { JSONFileStore, MemoryStore, type StoredService } from './store'
+
+const RECORDS: StoredService[] = [
+  { $type: 'OfficesOfLawyers', name: 'Smith & Associates', digital: 0.6, naics: { sector: '54' }, areaServed: { $type: 'Place', name: 'California' } },
+  { $type: 'OfficesOfPhysicians', name: 'Bay Clinic', digital: 0.3, naics: { sector: '62' }, availableChannel: ['web', 'phone'] },
+  { $type: 'CustomComputerProgrammingServices', name: 'Acme Software', digital: 0.95, naics: { sector: '54' } },
+  { $type: 'FullServiceRestaurants', name: 'Corner Bistro', naics: { sector: '72' } }
+]
+
+const names = (records: StoredService[]) => records.map(record => record.name)
+
+function memoryStore(): MemoryStore {
+  const store = new MemoryStore()
+  for (const record of RECORDS) store.insert(record)
+  return store
+}
+
+describe('MemoryStore', () => {
+  describe('find', () => {
+    const store = memoryStore()
+
+    it('matches plain values and $eq, including a name against its named object', () => {
+      expect(names(store.find({ name: 'Bay Clinic' }))).toEqual(['Bay Clinic'])
+      expect(names(store.find({ digital: { $eq: 0.6 } }))).toEqual(['Smith & Associates'])
+      expect(names(store.find({ areaServed: 'California' }))).toEqual(['Smith & Associates'])
+    })
+
+    it('compares with $gt, $gte, $lt and $lte, skipping missing values', () => {
+      expect(names(store.find({ digital: { $gt: 0.6 } }))).toEqual(['Acme Software'])
+      expect(names(store.find({ digital: { $gte: 0.6 } }))).toEqual(['Smith & Associates', 'Acme Software'])
+      expect(names(store.find({ digital: { $lt: 0.6 } }))).toEqual(['Bay Clinic'])
+      expect(names(store.find({ digital: { $gte: 0.3, $lte: 0.6 } }))).toEqual(['Smith & Associates', 'Bay Clinic'])
+    })
+
+    it('matches $in against a value or any item of a list', () => {
+      expect(names(store.find({ $type: { $in: ['OfficesOfLawyers', 'FullServiceRestaurants'] } }))).toEqual(['Smith & Associates', 'Corner Bistro'])
+      expect(names(store.find({ availableChannel: { $in: ['phone'] } }))).toEqual(['Bay Clinic'])
+      expect(names(store.find({ availableChannel: 'web' }))).toEqual(['Bay Clinic'])
+    })
+
+    it('reads dotted paths and requires every condition', () => {
+      expect(names(store.find({ 'naics.sector': '54' }))).toEqual(['Smith & Associates', 'Acme Software'])
+      expect(names(store.find({ 'naics.sector': '54', digital: { $gt: 0.9 } }))).toEqual(['Acme Software'])
+      expect(store.find({ 'naics.sector.code': '54' })).toEqual([])
+    })
+
+    it('throws on an unknown operator or a $in without a list', () => {
+      expect(() => store.find({ digital: { $ne: 0.6 } })).toThrow('Unknown filter operator $ne')
+      expect(() => store.find({ digital: { $in: 0.6 } })).toThrow('$in needs a list of values')
+    })
+  })
+
+  describe('find options', () => {
+    const store = memoryStore()
+
+    it('sorts by each key in turn with missing values last', () => {
+      expect(names(store.find({}, { sort: { digital: -1 } }))).toEqual(['Acme Software', 'Smith & Associates', 'Bay Clinic', 'Corner Bistro'])
+      expect(names(store.find({}, { sort: { 'naics.sector': 1, name: -1 } }))).toEqual(['Smith & Associates', 'Acme Software', 'Bay Clinic', 'Corner Bistro'])
+    })
+
+    it('skips offset matches and returns at most limit', () => {
+      const options = { sort: { name: 1 as const } }
+      expect(names(store.find({}, { ...options, limit: 2 }))).toEqual(['Acme Software', 'Bay Clinic'])
+      expect(names(store.find({}, { ...options, offset: 1, limit: 2 }))).toEqual(['Bay Clinic', 'Corner Bistro'])
+      expect(names(store.find({}, { ...options, offset: 3 }))).toEqual(['Smith & Associates'])
+    })
+  })
+
+  it('updates every match and returns the updated records', () => {
+    const store = memoryStore()
+    const updated = store.update({ 'naics.sector': '54' }, record => ({ ...record, digital: 1 }))
+
+    expect(names(updated)).toEqual(['Smith & Associates', 'Acme Software'])
+    expect(names(store.find({ digital: 1 }))).toEqual(['Smith & Associates', 'Acme Software'])
+  })
+
+  it('leaves every record untouched when a change throws', () => {
+    const store = memoryStore()
+    expect(() => store.update({}, record => {
+      if (record.name === 'Corner Bistro') throw new Error('invalid')
+      return { ...record, digital: 0 }
+    })).toThrow('invalid')
+
+    expect(store.find({ digital: 0 })).toEqual([])
+  })
+
+  it('deletes every match and returns how many it deleted', () => {
+    const store = memoryStore()
+
+    expect(store.delete({ 'naics.sector': '54' })).toBe(2)
+    expect(store.delete({ 'naics.sector': '54' })).toBe(0)
+    expect(names(store.find({}))).toEqual(['Bay Clinic', 'Corner Bistro'])
+  })
+})
+
+describe('JSONFileStore', () => {
+  let directory: string
+  let path: string
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'store-'))
+    path = join(directory, 'services.json')
+  })
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true })
+    jest.restoreAllMocks()
+  })
+
+  it('writes every change through a renamed temporary file', () => {
+    const rename = jest.spyOn(fs, 'renameSync')
+    const store = new JSONFileStore(path)
+    expect(existsSync(path)).toBe(false)
+
+    store.insert(RECORDS[0])
+    store.insert(RECORDS[1])
+    store.update({ name: 'Bay Clinic' }, record => ({ ...record, digital: 0.4 }))
+    store.delete({ name: 'Smith & Associates' })
+
+    expect(JSON.parse(readFileSync(path, 'utf-8'))).toEqual([{ ...RECORDS[1], digital: 0.4 }])
+    expect(rename.mock.calls).toEqual(Array(4).fill([`${path}.tmp`, path]))
+    expect(existsSync(`${path}.tmp`)).toBe(false)
+  })
+
+  it('finds the records a previous store wrote to the same file', () => {
+    const first = new JSONFileStore(path)
+    for (const record of RECORDS) first.insert(record)
+
+    const second = new JSONFileStore(path)
+    expect(names(second.find({ 'naics.sector': '54' }, { sort: { name: 1 } }))).toEqual(['Acme Software', 'Smith & Associates'])
+  })
+
+  it('throws when the file does not hold an array', () => {
+    const store = new JSONFileStore(path)
+    store.insert(RECORDS[0])
+    writeFileSync(path, '{}')
+
+    expect(() => new JSONFileStore(path)).toThrow('must hold a JSON array of service instances')
+  })
+})
@@ -0,0 +1,231 @@
+/**
+ * Instance Stores
+ * Where `$.Type.create()` keeps service instances and how `find()`, `update()` and `delete()` query them
+ */
+
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'fs'
+
+/**
+ * A service instance as stored: its properties, with `$type` naming its service type
+ */
+export interface StoredService {
+  $type: string
+  name: string
+  [property: string]: unknown
+}
+
+export interface FilterOperators {
+  $eq?: unknown
+  $gt?: number | string
+  $gte?: number | string
+  $lt?: number | string
+  $lte?: number | string
+  $in?: unknown[]
+}
+
+/**
+ * Conditions keyed by property path, e.g. { 'naics.sector': '54', digital: { $gte: 0.8 } }
+ * A plain value matches by equality; every condition must match
+ */
+export type ServiceFilter = Record<string, unknown>
+
+export interface FindOptions {
+  // 1 for ascending, -1 for descending, applied in key order, e.g. { digital: -1, name: 1 }
+  sort?: Record<string, 1 | -1>
+  // Number of matches to skip
+  offset?: number
+  // Maximum number of matches to return
+  limit?: number
+}
+
+/**
+ * Storage for service instances; every accessor on `$` shares the one set with useStore()
+ */
+export interface InstanceStore {
+  insert(record: StoredService): void
+  find(filter: ServiceFilter, options?: FindOptions): StoredService[]
+  // Apply the changes to every match and return the updated records
+  update(filter: ServiceFilter, change: (record: StoredService) => StoredService): StoredService[]
+  // Remove every match and return how many were removed
+  delete(filter: ServiceFilter): number
+}
+
+const OPERATORS = ['$eq', '$gt', '$gte', '$lt', '$lte', '$in']
+
+const isObject = (value: unknown): value is Record<string, any> =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+const isOperators = (condition: unknown): condition is FilterOperators =>
+  isObject(condition) && Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'))
+
+/**
+ * Read a dotted path like naics.sector
+ */
+function valueAt(record: Record<string, unknown>, path: string): unknown {
+  return path.split('.').reduce<unknown>((value, key) => (isObject(value) ? value[key] : undefined), record)
+}
+
+function isEqual(a: unknown, b: unknown): boolean {
+  if (a === b) return true
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]))
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a)
+    return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]))
+  }
+  return false
+}
+
+/**
+ * Equality, where a name also matches the named object stored for it,
+ * e.g. 'San Francisco' matches { $type: 'Place', name: 'San Francisco' }
+ */
+function equals(stored: unknown, expected: unknown): boolean {
+  if (isEqual(stored, expected)) return true
+  return typeof expected === 'string' && isObject(stored) && stored.name === expected
+}
+
+function compare(stored: unknown, bound: unknown, test: (order: number) => boolean): boolean {
+  if (typeof stored !== typeof bound || (typeof stored !== 'number' && typeof stored !== 'string')) return false
+  return test(stored < (bound as typeof stored) ? -1 : stored > (bound as typeof stored) ? 1 : 0)
+}
+
+/**
+ * Test one stored value against a condition; a list matches when the whole list or any item does
+ */
+function matchesCondition(stored: unknown, condition: unknown): boolean {
+  const candidates = Array.isArray(stored) ? [stored, ...stored] : [stored]
+  if (!isOperators(condition)) return candidates.some(value => equals(value, condition))
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return candidates.some(value => equals(value, operand))
+      case '$gt':
+        return candidates.some(value => compare(value, operand, order => order > 0))
+      case '$gte':
+        return candidates.some(value => compare(value, operand, order => order >= 0))
+      case '$lt':
+        return candidates.some(value => compare(value, operand, order => order < 0))
+      case '$lte':
+        return candidates.some(value => compare(value, operand, order => order <= 0))
+      case '$in':
+        if (!Array.isArray(operand)) throw new TypeError(`$in needs a list of values, got ${JSON.stringify(operand)}`)
+        return candidates.some(value => operand.some(item => equals(value, item)))
+      default:
+        throw new TypeError(`Unknown filter operator ${operator}, expected one of ${OPERATORS.join(', ')}`)
+    }
+  })
+}
+
+/**
+ * Whether a record meets every condition of a filter
+ */
+export function matchesFilter(record: StoredService, filter: ServiceFilter): boolean {
+  return Object.entries(filter).every(([path, condition]) => matchesCondition(valueAt(record, path), condition))
+}
+
+/**
+ * Sort by each key in turn, missing values last, then skip and limit
+ */
+export function applyOptions(records: StoredService[], options: FindOptions = {}): StoredService[] {
+  const { sort = {}, offset = 0, limit } = options
+  const keys = Object.entries(sort)
+
+  const sorted = keys.length === 0 ? records : [...records].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const [x, y] = [valueAt(a, path), valueAt(b, path)]
+      if (x === y) continue
+      if (x === undefined) return 1
+      if (y === undefined) return -1
+      if (x === null || y === null || typeof x !== typeof y) continue
+      return ((x as number | string) < (y as number | string) ? -1 : 1) * direction
+    }
+    return 0
+  })
+
+  return sorted.slice(offset, limit === undefined ? undefined : offset + limit)
+}
+
+/**
+ * The default store: instances live in memory for the life of the process
+ */
+export class MemoryStore implements InstanceStore {
+  protected records: StoredService[] = []
+
+  insert(record: StoredService): void {
+    this.records.push(record)
+    this.changed()
+  }
+
+  find(filter: ServiceFilter, options?: FindOptions): StoredService[] {
+    return applyOptions(this.records.filter(record => matchesFilter(record, filter)), options)
+  }
+
+  update(filter: ServiceFilter, change: (record: StoredService) => StoredService): StoredService[] {
+    // Work out every change before applying any, so one invalid record leaves the store untouched
+    const updates = this.records
+      .map((record, index) => ({ index, record }))
+      .filter(({ record }) => matchesFilter(record, filter))
+      .map(({ index, record }) => ({ index, record: change(record) }))
+
+    for (const { index, record } of updates) this.records[index] = record
+    if (updates.length > 0) this.changed()
+    return updates.map(({ record }) => record)
+  }
+
+  delete(filter: ServiceFilter): number {
+    const before = this.records.length
+    this.records = this.records.filter(record => !matchesFilter(record, filter))
+    const removed = before - this.records.length
+    if (removed > 0) this.changed()
+    return removed
+  }
+
+  /**
+   * Called after every insert, update and delete that changed the records
+   */
+  protected changed(): void {}
+}
+
+/**
+ * Instances kept in memory and written to a JSON file after every change,
+ * so they are found again by the next process using the same file
+ */
+export class JSONFileStore extends MemoryStore {
+  readonly path: string
+
+  constructor(path: string) {
+    super()
+    this.path = path
+
+    if (existsSync(path)) {
+      const records = JSON.parse(readFileSync(path, 'utf-8'))
+      if (!Array.isArray(records)) {
+        throw new TypeError(`${path} must hold a JSON array of service instances`)
+      }
+      this.records = records
+    }
+  }
+
+  protected changed(): void {
+    // Write beside the file and rename, so a crash never leaves half a file
+    const temporary = `${this.path}.tmp`
+    writeFileSync(temporary, JSON.stringify(this.records, null, 2) + '\n', 'utf-8')
+    renameSync(temporary, this.path)
+  }
+}
+
+let store: InstanceStore = new MemoryStore()
+
+/**
+ * Keep instances in another store from now on, e.g. useStore(new JSONFileStore('services.json'))
+ */
+export function useStore(next: InstanceStore): void {
+  store = next
+}
+
+export function getStore(): InstanceStore {
+  return store
+}
@@ -0,0 +1,71 @@
+/**
+ * Type Graph
+ * Subtype relations between service types, from the `extends` chains in their frontmatter
+ * Chains may pass through group types without an accessor, e.g. ProfessionalServices
+ */
+
+import { SERVICE_TYPES } from './registry'
+import type { ServiceTypeDefinition } from './types'
+
+const ROOT_TYPE = 'Service'
+
+let parents: Map<string, string> | undefined
+
+/**
+ * The direct parent of every type; a group keeps the first parent a chain gives it
+ */
+function getParents(): Map<string, string> {
+  if (!parents) {
+    parents = new Map()
+    for (const [name, definition] of Object.entries(SERVICE_TYPES as Record<string, ServiceTypeDefinition>)) {
+      if (name === ROOT_TYPE) continue
+
+      const path = [...(Array.isArray(definition.extends) ? definition.extends : [ROOT_TYPE]), name]
+      path.forEach((type, index) => {
+        if (index > 0 && type !== ROOT_TYPE && !parents!.has(type)) parents!.set(type, path[index - 1])
+      })
+    }
+  }
+  return parents
+}
+
+/**
+ * Every type above a type, from Service down to its direct parent
+ * Throws when the parents above the type loop back on themselves
+ */
+export function supertypesOf(typeName: string): string[] {
+  const supertypes: string[] = []
+  for (let parent = getParents().get(typeName); parent; parent = getParents().get(parent)) {
+    if (parent === typeName || supertypes.includes(parent)) {
+      throw new Error(`The extends chain of ${typeName} loops: ${[typeName, ...[...supertypes].reverse(), parent].join(' < ')}`)
+    }
+    supertypes.unshift(parent)
+  }
+  return supertypes
+}
+
+/**
+ * Whether a type extends another, directly or through the types between them
+ * A type is not a subtype of itself
+ */
+export function isSubtypeOf(typeName: string, supertype: string): boolean {
+  return supertypesOf(typeName).includes(supertype)
+}
+
+const childrenOf = (typeName: string): string[] =>
+  Array.from(getParents())
+    .filter(([, parent]) => parent === typeName)
+    .map(([child]) => child)
+
+/**
+ * Every type below a type, group types included, or only its direct subtypes; sorted by name
+ */
+export function subtypesOf(typeName: string, options: { direct?: boolean } = {}): string[] {
+  if (options.direct) return childrenOf(typeName).sort()
+
+  // A type below itself sits on a loop, which supertypesOf() reports instead of walking it forever
+  supertypesOf(typeName)
+  const subtypes = childrenOf(typeName)
+  for (let index = 0; index < subtypes.length; index++) subtypes.push(...childrenOf(subtypes[index]))
+  return subtypes.sort()
+}
@@ -0,0 +1,133 @@
+/**
+ * Runtime Types
+ * Shapes shared by the service type registry and service instances
+ */
+
+export interface NAICSClassification {
+  code: string
+  title: string
+  sector: string
+  sectorName: string
+  subsector?: string
+  subsectorName?: string
+  industryGroup?: string
+  industryGroupName?: string
+}
+
+export type DeliveryMethod = 'in-person' | 'remote' | 'hybrid'
+
+// Shorthand for a ServiceChannel reached through serviceUrl, servicePhone or serviceLocation
+export type ChannelKind = 'web' | 'phone' | 'location'
+
+/**
+ * A schema.org ServiceChannel; at least one way to reach the service is required
+ */
+export interface ServiceChannelInput {
+  name?: string
+  serviceUrl?: string
+  servicePhone?: string
+  serviceLocation?: string | PlaceInput
+}
+
+/**
+ * A service type as declared in its MDX frontmatter
+ */
+export interface ServiceTypeDefinition {
+  $id: string
+  // Types a service type extends, from Service down to its direct parent;
+  // on Service itself, the schema.org type it extends
+  extends?: string | string[]
+  name: string
+  description?: string
+  naics?: NAICSClassification
+  unspsc?: string
+  wikidata?: string
+  wikipedia?: string
+  digital?: number
+  deliveryMethod?: DeliveryMethod
+  availableChannel?: ChannelKind[]
+  serviceType?: string
+}
+
+export interface ThingInput {
+  name: string
+  type?: string
+}
+
+export interface ProviderInput {
+  name: string
+  type?: 'Organization' | 'Person'
+}
+
+export interface PlaceInput {
+  name: string
+  type?: 'Place' | 'GeoShape'
+}
+
+export interface OpeningHoursInput {
+  // Day names, three-letter abbreviations or schema.org DayOfWeek URLs
+  dayOfWeek: string[]
+  // Times like 09:00 or 17:30:00
+  opens: string
+  closes: string
+}
+
+/**
+ * Canonical Schema.org values stored on service instances
+ */
+export interface Organization {
+  $type: 'Organization'
+  name: string
+  [property: string]: unknown
+}
+
+export interface Person {
+  $type: 'Person'
+  name: string
+  [property: string]: unknown
+}
+
+export interface Place {
+  $type: 'Place' | 'GeoShape'
+  name: string
+  [property: string]: unknown
+}
+
+export interface OpeningHoursSpecification {
+  $type: 'OpeningHoursSpecification'
+  // Schema.org DayOfWeek names, e.g. Monday
+  dayOfWeek: string[]
+  // Zero-padded, e.g. 09:00
+  opens: string
+  closes: string
+  [property: string]: unknown
+}
+
+/**
+ * Properties accepted by `$.Type.create()`, matching the property tables in types/Service.mdx
+ * and the generated schemas/Service.schema.json
+ */
+export interface ServiceProperties {
+  name: string
+  description?: string
+  image?: string
+  url?: string
+  provider?: string | ProviderInput
+  serviceType?: string
+  areaServed?: string | PlaceInput
+  availableChannel?: ChannelKind | ServiceChannelInput | Array<ChannelKind | ServiceChannelInput>
+  category?: string | ThingInput
+  hoursAvailable?: OpeningHoursInput | OpeningHoursInput[]
+  offers?: object
+  termsOfService?: string
+  serviceOutput?: string | ThingInput
+  produces?: string | ThingInput
+  naics?: NAICSClassification
+  unspsc?: string
+  wikidata?: string
+  wikipedia?: string
+  digital?: number
+  deliveryMethod?: DeliveryMethod
+  industryVertical?: string
+  [property: string]: unknown
+}
@@ -0,0 +1,85 @@
+/**
+ * Schema validation of create() properties, and how create() combines it with normalization
+ */
+
+import { $, MemoryStore, useStore } from '.'
+import { ServiceValidationError, validateProperties } from './validation'
+
+const issuesOf = (action: () => unknown) => {
+  try {
+    action()
+  } catch (error) {
+    expect(error).toBeInstanceOf(ServiceValidationError)
+    return (error as ServiceValidationError).issues
+  }
+  throw new Error('expected a ServiceValidationError')
+}
+
+describe('validateProperties', () => {
+  it('reports every invalid property, one issue per path', () => {
+    expect(validateProperties('OfficesOfLawyers', {
+      digital: 2,
+      provider: { type: 'Robot' },
+      availableChannel: [{ serviceUrl: 3 }],
+      hoursAvailable: { dayOfWeek: ['Monday'], opens: '09:00', closes: 5 }
+    })).toEqual([
+      { path: 'name', message: 'is required' },
+      { path: 'provider.type', message: 'must be equal to constant: "Organization" or must be equal to constant: "Person"' },
+      { path: 'availableChannel[0].serviceUrl', message: 'must be string' },
+      { path: 'hoursAvailable.closes', message: 'must be string' },
+      { path: 'digital', message: 'must be <= 1' }
+    ])
+  })
+
+  it('holds a type to its own NAICS code', () => {
+    expect(validateProperties('OfficesOfLawyers', { name: 'Clinic', naics: { code: '621111' } })).toContainEqual(
+      { path: 'naics.code', message: 'must be equal to constant: "541110"' }
+    )
+    expect(validateProperties('OfficesOfLawyers', { name: 'Smith & Associates' })).toEqual([])
+  })
+})
+
+describe('create()', () => {
+  beforeEach(() => useStore(new MemoryStore()))
+
+  it('lists schema and normalization issues together and stores nothing', () => {
+    const issues = issuesOf(() => $.OfficesOfLawyers.create({
+      name: 'Smith & Associates',
+      digital: 2,
+      hoursAvailable: { dayOfWeek: ['Mon', 'Funday'], opens: '25:00', closes: '17:00' }
+    } as never))
+
+    expect(issues).toEqual([
+      { path: 'digital', message: 'must be <= 1' },
+      { path: 'hoursAvailable.dayOfWeek[1]', message: 'must be a day of the week like Monday or Mon, got "Funday"' },
+      { path: 'hoursAvailable.opens', message: 'must be a time like 09:00 or 17:30:00, got "25:00"' }
+    ])
+    expect($.OfficesOfLawyers.find()).toEqual([])
+  })
+
+  it('reports a missing name once, with the normalization issues', () => {
+    const issues = issuesOf(() => $.OfficesOfLawyers.create({ hoursAvailable: [{ dayOfWeek: ['Sun'], opens: '9am', closes: '13:00' }] } as never))
+
+    expect(issues.map(issue => issue.path)).toEqual(['name', 'hoursAvailable[0].opens'])
+  })
+
+  it('validates before normalizing, so values the schema rejects are reported by it alone', () => {
+    const issues = issuesOf(() => $.OfficesOfLawyers.create({ name: 'Smith & Associates', hoursAvailable: { dayOfWeek: ['Monday'], opens: 9, closes: '17:00' } } as never))
+
+    expect(issues).toEqual([{ path: 'hoursAvailable.opens', message: 'must be string' }])
+  })
+
+  it.each([null, 'Smith & Associates', ['Smith & Associates']])('rejects %p as a validation error at the root', properties => {
+    const create = () => $.OfficesOfLawyers.create(properties as never)
+
+    expect(create).toThrow('OfficesOfLawyers.create() got invalid properties:\n  (root): must be object')
+    expect(issuesOf(create)).toEqual([{ path: '', message: 'must be object' }])
+  })
+
+  it('names update() in the error of an invalid update', () => {
+    $.OfficesOfLawyers.create({ name: 'Smith & Associates' })
+
+    expect(() => $.OfficesOfLawyers.update({}, { digital: -1 })).toThrow('OfficesOfLawyers.update() got invalid properties:\n  digital: must be >= 0')
+    expect($.OfficesOfLawyers.find()[0].digital).toBe(0.6)
+  })
+})
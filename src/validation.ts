@@ -0,0 +1,116 @@
+/**
+ * Property Validation
+ * Checks the properties given to `$.Type.create()` against the generated JSON Schemas
+ */
+
+import Ajv, { type ErrorObject, type ValidateFunction } from 'ajv'
+import { SERVICE_SCHEMA, TYPE_SCHEMAS } from './schemas'
+
+export interface ValidationIssue {
+  // Dotted property path, e.g. provider.name or availableChannel[1]
+  path: string
+  message: string
+}
+
+/**
+ * Thrown by create() and update() with every property that failed validation
+ */
+export class ServiceValidationError extends TypeError {
+  readonly typeName: string
+  readonly issues: ValidationIssue[]
+
+  constructor(typeName: string, issues: ValidationIssue[], method = 'create') {
+    const lines = issues.map(issue => `  ${issue.path || '(root)'}: ${issue.message}`)
+    super(`${typeName}.${method}() got invalid properties:\n${lines.join('\n')}`)
+    this.name = 'ServiceValidationError'
+    this.typeName = typeName
+    this.issues = issues
+  }
+}
+
+let ajv: Ajv | undefined
+const validators = new Map<string, ValidateFunction>()
+
+/**
+ * Compile the schema of a service type once; types without their own schema use the base Service schema
+ */
+function getValidator(typeName: string): ValidateFunction {
+  let validate = validators.get(typeName)
+  if (!validate) {
+    if (!ajv) {
+      ajv = new Ajv({ allErrors: true })
+      ajv.addSchema(SERVICE_SCHEMA)
+    }
+    const schema = TYPE_SCHEMAS[typeName]
+    validate = schema ? ajv.compile(schema) : ajv.getSchema(SERVICE_SCHEMA.$id)!
+    validators.set(typeName, validate)
+  }
+  return validate
+}
+
+/**
+ * Convert a JSON pointer like /availableChannel/1/serviceUrl to availableChannel[1].serviceUrl
+ */
+function toPath(pointer: string): string {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((path, segment) => (/^\d+$/.test(segment) ? `${path}[${segment}]` : path ? `${path}.${segment}` : segment), '')
+}
+
+function isAlternative(error: ErrorObject): boolean {
+  return error.keyword === 'required' && /\/anyOf\/\d+\/required$/.test(error.schemaPath)
+}
+
+function describe(error: ErrorObject): string {
+  const { params } = error
+  if (error.keyword === 'required') return 'is required'
+  if (params.allowedValues) return `${error.message}: ${params.allowedValues.join(', ')}`
+  if (params.allowedValue !== undefined) return `${error.message}: ${JSON.stringify(params.allowedValue)}`
+  return error.message || 'is invalid'
+}
+
+/**
+ * Turn Ajv errors into one issue per path
+ * A union (anyOf) that failed reports what each alternative expected, unless one
+ * alternative got far enough to fail on a nested property, which is then reported instead
+ */
+function toIssues(errors: ErrorObject[]): ValidationIssue[] {
+  const groups = new Map<string, ErrorObject[]>()
+  for (const error of errors) {
+    // A property missing from one alternative of "one of these is required" belongs to the object
+    const path = error.keyword === 'required' && !isAlternative(error)
+      ? toPath(`${error.instancePath}/${error.params.missingProperty}`)
+      : toPath(error.instancePath)
+    groups.set(path, [...(groups.get(path) || []), error])
+  }
+
+  const issues: ValidationIssue[] = []
+  for (const [path, group] of groups) {
+    const union = group.some(error => error.keyword === 'anyOf')
+    const nested = Array.from(groups.keys()).some(other =>
+      other !== path && (path === '' || other.startsWith(`${path}.`) || other.startsWith(`${path}[`))
+    )
+    if (union && nested) continue
+
+    const alternatives = group.filter(isAlternative).map(error => error.params.missingProperty)
+    const messages = Array.from(new Set(
+      group
+        .filter(error => error.keyword !== 'anyOf' && error.keyword !== 'allOf' && !isAlternative(error))
+        .map(describe)
+    ))
+    if (alternatives.length > 0) messages.push(`needs one of ${alternatives.join(', ')}`)
+    issues.push({ path, message: messages.join(' or ') })
+  }
+
+  return issues
+}
+
+/**
+ * Validate create() properties for a service type, returning every issue found
+ */
+export function validateProperties(typeName: string, properties: unknown): ValidationIssue[] {
+  const validate = getValidator(typeName)
+  return validate(properties) ? [] : toIssues(validate.errors || [])
+}